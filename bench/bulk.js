@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Bulk generation benchmark
+ *
+ * Usage: node bench/bulk.js [count] [workers]
+ *
+ * Compares the original per-user approach (raw key string and check-tag subkey
+ * derived on every call) with the prepared-key paths: generateBulkPseudonyms,
+ * generateBulkPseudonymsAsync on the calling thread and across worker threads.
+ */
+const crypto = require('crypto');
+const os = require('os');
+const { ConsentKeysPseudonymGenerator } = require('../index.js');
+
+const count = Number(process.argv[2]) || 200000;
+const workers = Number(process.argv[3]) || os.availableParallelism();
+const secretKey = 'benchmark-secret-key-at-least-32-characters';
+const clientId = 'benchmark-app';
+const generator = new ConsentKeysPseudonymGenerator(secretKey);
+
+function* userIds() {
+  for (let i = 0; i < count; i++) {
+    yield `user-${i}`;
+  }
+}
+
+/**
+ * The per-call work of the original implementation, for comparison
+ * @param {string} userId - User identifier
+ * @returns {string} - Pseudonym
+ */
+function unpreparedPseudonym(userId) {
+  const hash = crypto.createHmac('sha256', secretKey).update(`${userId}\x00${clientId}\x01default\x02`).digest();
+  const body = hash.toString('base64url').substring(0, 16);
+  const checkKey = crypto.createHmac('sha256', secretKey).update('consentkeys-check-tag').digest();
+  const tag = crypto.createHmac('sha256', checkKey).update(body).digest('base64url').substring(0, 8);
+  return `ck_${body}${tag}`;
+}
+
+async function measure(label, run) {
+  const startedAt = process.hrtime.bigint();
+  await run();
+  const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+  return { label, seconds, perSecond: Math.round(count / seconds) };
+}
+
+(async () => {
+  // Both paths must agree before their speed is worth comparing
+  if (unpreparedPseudonym('user-0') !== generator.generatePseudonym('user-0', clientId)) {
+    throw new Error('Baseline does not match the generator output');
+  }
+
+  console.log(`Generating ${count.toLocaleString()} pseudonyms (${os.availableParallelism()} CPUs available)\n`);
+  const runs = [
+    await measure('Unprepared key, one at a time', () => {
+      for (const userId of userIds()) {
+        unpreparedPseudonym(userId);
+      }
+    }),
+    await measure('generateBulkPseudonyms', () => generator.generateBulkPseudonyms([...userIds()], clientId)),
+    await measure('generateBulkPseudonymsAsync', () => generator.generateBulkPseudonymsAsync(userIds(), clientId)),
+    await measure(`generateBulkPseudonymsAsync, ${workers} workers`, () =>
+      generator.generateBulkPseudonymsAsync(userIds(), clientId, { workers }))
+  ];
+
+  const baseline = runs[0].seconds;
+  for (const { label, seconds, perSecond } of runs) {
+    console.log(`${label.padEnd(46)} ${seconds.toFixed(2).padStart(7)}s ${perSecond.toLocaleString().padStart(12)}/s ${(baseline / seconds).toFixed(2).padStart(6)}x`);
+  }
+})().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
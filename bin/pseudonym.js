@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const {
+  ConsentKeysPseudonymGenerator,
+  createPseudonymizeStream,
+  createPseudonymService,
+  loadKeyFromEnv,
+  loadKeyFromFile
+} = require('../index.js');
+
+const USAGE = `Usage: pseudonym transform --client <clientId> (--columns <a,b> | --schema <file>) [options] [input]
+       pseudonym serve --clients-file <file> [--port <port>] [--host <host>] [key options]
+
+transform: pseudonymize a CSV or NDJSON file (or stdin) and write the result to stdout.
+serve:     run the HTTP pseudonymization service until interrupted.
+
+Options:
+  --client <id>        Client/app the output is for (required)
+  --columns <list>     Comma-separated columns (CSV) or paths (NDJSON) to pseudonymize
+  --schema <file>      JSON record schema mapping paths to actions, instead of --columns
+  --data-type <type>   Data type for --columns pseudonyms (default: default)
+  --format <format>    csv or ndjson (default: from the input extension, else csv)
+  --key-file <file>    Read the secret key from a file only its owner can access (chmod 600)
+  --key-env <name>     Read the secret key from an environment variable (default: PSEUDONYM_SECRET_KEY)
+  --strict             Stop at the first bad row instead of skipping it
+  --clients-file <f>   JSON array of { "clientId", "apiKey" } bindings for serve
+  --port <port>        Port for serve (default 8080)
+  --host <host>        Interface for serve (default 127.0.0.1)
+  -h, --help           Show this help
+`;
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - Command, positional arguments and flags
+ */
+function parseArgs(argv) {
+  const valueFlags = [
+    'client', 'columns', 'schema', 'data-type', 'format', 'key-file', 'key-env', 'clients-file', 'port', 'host'
+  ];
+  const args = { command: null, positional: [], flags: {} };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      args.flags.help = true;
+    } else if (arg === '--strict') {
+      args.flags.strict = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inlineValue] = arg.substring(2).split(/=(.*)/s);
+      if (!valueFlags.includes(name)) {
+        throw new Error(`Unknown option: ${arg}`);
+      }
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw new Error(`Option --${name} needs a value`);
+      }
+      args.flags[name] = value;
+    } else if (args.command === null) {
+      args.command = arg;
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+/**
+ * Load the secret key from a key file or environment variable
+ * @param {Object} flags - Parsed flags
+ * @param {Object} env - Environment variables
+ * @returns {KeyObject} - Secret key
+ */
+function loadSecretKey(flags, env) {
+  if (flags['key-file']) {
+    return loadKeyFromFile(flags['key-file']);
+  }
+  const name = flags['key-env'] || 'PSEUDONYM_SECRET_KEY';
+  if (!env[name]) {
+    throw new Error(`No secret key: set ${name} or pass --key-file`);
+  }
+  return loadKeyFromEnv(name, env);
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} io - Streams and environment (defaults to the process)
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv, io = {}) {
+  const stdin = io.stdin || process.stdin;
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const env = io.env || process.env;
+  
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  
+  if (args.flags.help || args.command === null) {
+    (args.flags.help ? stdout : stderr).write(USAGE);
+    return args.flags.help ? 0 : 2;
+  }
+  if (args.command === 'serve') {
+    return serve(args.flags, { stderr, env, signals: io.signals || process });
+  }
+  if (args.command !== 'transform') {
+    stderr.write(`Unknown command: ${args.command}\n\n${USAGE}`);
+    return 2;
+  }
+  
+  const { flags } = args;
+  const input = args.positional[0];
+  try {
+    if (!flags.client) {
+      throw new Error('--client is required');
+    }
+    if (!flags.columns === !flags.schema) {
+      throw new Error('Pass exactly one of --columns or --schema');
+    }
+    
+    const generator = new ConsentKeysPseudonymGenerator(loadSecretKey(flags, env));
+    const format = flags.format || (input && path.extname(input).toLowerCase() === '.ndjson' ? 'ndjson' : 'csv');
+    const transform = createPseudonymizeStream(generator, {
+      clientId: flags.client,
+      format,
+      columns: flags.columns ? flags.columns.split(',').map((column) => column.trim()).filter(Boolean) : undefined,
+      schema: flags.schema ? JSON.parse(fs.readFileSync(flags.schema, 'utf8')) : undefined,
+      dataType: flags['data-type'],
+      errorMode: flags.strict ? 'fail' : 'skip'
+    });
+    
+    transform.on('rowError', ({ record, error }) => {
+      stderr.write(`Skipped record ${record}: ${error}\n`);
+    });
+    
+    const source = input ? fs.createReadStream(input) : stdin;
+    await pipeline(source, transform, stdout, { end: stdout !== process.stdout });
+    
+    const { records, written, errors } = transform.stats;
+    stderr.write(`Pseudonymized ${written} of ${records} records (${errors} skipped)\n`);
+    return 0;
+  } catch (error) {
+    stderr.write(`pseudonym: ${error.message}\n`);
+    return 1;
+  }
+}
+
+/**
+ * Run the HTTP service until SIGINT or SIGTERM
+ * @param {Object} flags - Parsed flags
+ * @param {Object} io - stderr, environment and the signal emitter
+ * @returns {Promise<number>} - Exit code
+ */
+async function serve(flags, io) {
+  let service;
+  try {
+    if (!flags['clients-file']) {
+      throw new Error('--clients-file is required');
+    }
+    const port = flags.port === undefined ? 8080 : Number(flags.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`Invalid port: ${flags.port}`);
+    }
+    
+    const generator = new ConsentKeysPseudonymGenerator(loadSecretKey(flags, io.env));
+    const clients = JSON.parse(fs.readFileSync(flags['clients-file'], 'utf8'));
+    service = createPseudonymService(generator, { clients });
+    const address = await service.listen(port, flags.host || '127.0.0.1');
+    io.stderr.write(`Listening on http://${address.address}:${address.port}\n`);
+  } catch (error) {
+    io.stderr.write(`pseudonym: ${error.message}\n`);
+    return 1;
+  }
+  
+  await new Promise((resolve) => {
+    io.signals.once('SIGINT', resolve);
+    io.signals.once('SIGTERM', resolve);
+  });
+  io.stderr.write('Shutting down\n');
+  await service.close();
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  main,
+  parseArgs
+};
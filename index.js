@@ -1,4 +1,152 @@
 const crypto = require('crypto');
+const { version: PACKAGE_VERSION } = require('./package.json');
+const { PseudonymRegistry, MemoryRegistryAdapter, FileRegistryAdapter } = require('./lib/registry');
+const { ConsentStore } = require('./lib/consent');
+const { PseudonymTranslator } = require('./lib/translation');
+const { registerLocalePack, getLocalePack, listLocales } = require('./lib/locales');
+const { FORMAT_PRESETS, parseFormat, toNumerals, fromNumerals, ff1Encrypt, ff1Decrypt, hashToNumerals } = require('./lib/fpe');
+const records = require('./lib/records');
+const { GENERALIZERS, suppressValue, checkKAnonymity, suppressSmallClasses } = require('./lib/anonymize');
+const { PseudonymizeStream, createPseudonymizeStream } = require('./lib/stream');
+const {
+  OUTPUT_ENCODINGS,
+  resolveOutputFormat,
+  encodeOutput,
+  renderPseudonym,
+  matchOutputFormat,
+  collisionProbability,
+  findCollisions
+} = require('./lib/formats');
+const { PseudonymService, createPseudonymService } = require('./lib/server');
+const { createPseudonymMiddleware, createPseudonymResolverMiddleware } = require('./lib/middleware');
+const { EmailRelay } = require('./lib/relay');
+const { generateBulk } = require('./lib/bulk');
+const { deriveClientSecret, deriveClientCheckSecret, encodeClientKey, decodeClientKey } = require('./lib/client-keys');
+const { resolveNormalizer } = require('./lib/normalizers');
+const { renderAvatar } = require('./lib/avatar');
+const {
+  estimateKeyEntropy,
+  importSecretKey,
+  loadKeyFromEnv,
+  loadKeyFromFile,
+  deriveKeyFromPassphrase
+} = require('./lib/keys');
+const { AuditLog, MemoryAuditSink, FileAuditSink, verifyAuditChain } = require('./lib/audit');
+
+// Consent dataType each fake profile field is derived from
+const PROFILE_FIELD_DATA_TYPES = {
+  id: 'id',
+  email: 'email',
+  displayName: 'name',
+  address: 'address',
+  phone: 'phone',
+  birthDate: 'birthdate',
+  username: 'username',
+  ipv4: 'ip',
+  ipv6: 'ip',
+  testCard: 'card',
+  avatar: 'avatar'
+};
+
+// Fields included in a fake profile unless the caller selects others
+const DEFAULT_PROFILE_FIELDS = ['id', 'email', 'displayName', 'address'];
+
+// Pseudonyms issued before check tags were added: ck_ + 16 URL-safe base64 characters
+const LEGACY_PSEUDONYM_PATTERN = /^ck_([A-Za-z0-9_-]{16})$/;
+
+// Issuer prefixes and lengths of payment test cards (published sandbox ranges)
+const TEST_CARD_BRANDS = {
+  visa: { prefix: '400000', length: 16 },
+  mastercard: { prefix: '222300', length: 16 },
+  amex: { prefix: '378282', length: 15 }
+};
+
+/**
+ * Encode bytes as unpadded URL-safe base64
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - URL-safe base64 string
+ */
+function toUrlSafeBase64(buffer) {
+  return buffer.toString('base64')
+    .replace(/\+/g, '-')    // Replace + with -
+    .replace(/\//g, '_')    // Replace / with _
+    .replace(/=/g, '');     // Remove padding
+}
+
+/**
+ * Compute the Luhn check digit for a string of digits
+ * @param {string} payload - Digits without the check digit
+ * @returns {string} - Check digit
+ */
+function luhnCheckDigit(payload) {
+  let sum = 0;
+  for (let i = 0; i < payload.length; i++) {
+    // Double every second digit, starting from the rightmost payload digit
+    let digit = Number(payload[payload.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Compare two strings without leaking timing information
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if both strings are equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Decrypt a reversible pseudonym's identity. Module-private: callers go through
+ * reidentify() or decodeReversiblePseudonym(), which authorize and audit the request.
+ * @param {ConsentKeysPseudonymGenerator} generator - Generator that issued the pseudonym
+ * @param {string} pseudonym - Reversible pseudonym
+ * @returns {Object} - userId, clientId, dataType, keyVersion and the consent epoch it was issued in
+ */
+function decodeReversibleIdentity(generator, pseudonym) {
+  // With per-app check tags, verify against the app named in the encrypted,
+  // authenticated identity
+  const perClient = generator.keyDerivation === 'client';
+  const issuedTo = perClient ? generator.reversibleClientId(pseudonym) : null;
+  if ((perClient && issuedTo === null) || !generator.verifyPseudonym(pseudonym, issuedTo)) {
+    throw new Error('Pseudonym was not issued by this generator');
+  }
+
+  const parsed = generator.parsePseudonym(pseudonym, issuedTo);
+  if (!parsed.reversible) {
+    throw new Error('Pseudonym was not issued in reversible mode');
+  }
+
+  const payload = Buffer.from(parsed.body.substring(2), 'base64');
+  const [userId, clientId, dataType, epoch = 0] = JSON.parse(generator.decryptIdentity(payload));
+  return { userId, clientId, dataType, keyVersion: parsed.version, epoch };
+}
+
+/**
+ * Audit details of a refused identity request: refused attempts are accountable
+ * too, with whatever the request claimed
+ * @param {string} operation - Refused operation
+ * @param {Object} authorization - Request details as given
+ * @returns {Object} - Audit event
+ */
+function authorizationClaims(operation, authorization) {
+  const { actor, reason } = authorization || {};
+  return {
+    operation,
+    actor: typeof actor === 'string' ? actor.trim() : null,
+    reason: typeof reason === 'string' ? reason.trim() : null
+  };
+}
 
 /**
  * ConsentKeys Pseudonym Generator - Production-Ready Implementation
@@ -9,137 +157,1302 @@ const crypto = require('crypto');
  * - Isolated pseudonyms between different apps
  * - Support for multiple data types (id, email, name, address)
  * - Fake data generation for privacy compliance
+ * - Optional reversible mode with authorized re-identification
+ * - Optional consent enforcement with per-app pseudonym epochs
+ * - Format-preserving pseudonyms for structured identifiers (FF1)
+ * - Schema-driven pseudonymization of whole JSON records
+ * - Optional per-app derived keys for restricted, single-app generators
+ * - Optional hash-chained audit log of issuance and re-identification
  * - Comprehensive error handling and input validation
  */
 class ConsentKeysPseudonymGenerator {
-  constructor(secretKey) {
-    // Validate secret key strength
-    if (!secretKey || typeof secretKey !== 'string') {
-      throw new Error('Secret key must be a non-empty string');
+  /**
+   * @param {string|Buffer|KeyObject|Object} secretKey - Secret key (see loadKeyFromEnv,
+   *   loadKeyFromFile and deriveKeyFromPassphrase), or a keyring of versioned keys
+   *   ({ keys: { 1: '...', 2: '...' }, activeVersion: 2, legacyVersion: 1 }),
+   *   or a decoded client key bundle (see fromClientKey)
+   * @param {Object} options - Optional generator settings
+   * @param {string} options.mode - 'hmac' (default, one-way) or 'reversible'
+   * @param {string|Buffer|KeyObject} options.reidentificationKey - Separate key for reversible pseudonyms
+   * @param {ConsentStore} options.consentStore - Consent records gating fake data per app
+   * @param {string} options.consentMode - 'omit' (default) or 'refuse' unconsented profile fields
+   * @param {string} options.locale - Default locale pack for fake data (default 'en-US')
+   * @param {Object} options.outputFormat - Pseudonym { prefix, encoding, length }
+   *   (default ck_ + 16 base64url characters)
+   * @param {Object} options.dataTypeOutputFormats - Output format overrides per dataType
+   * @param {string} options.relayDomain - Domain of fake email addresses (default consentkeys.local)
+   * @param {string} options.keyDerivation - 'none' (default) or 'client' to key each app's
+   *   pseudonyms with its own derived key (see deriveClientKey)
+   * @param {AuditLog} options.auditLog - Audit log recording issuance, verification and re-identification
+   * @param {Object} options.normalizers - userId normalizers per dataType ('*' for every other
+   *   dataType): 'email', 'e164', 'unicode', { name, ...options } or a function
+   */
+  constructor(secretKey, options = {}) {
+    // Key material is held as KeyObjects on non-enumerable properties, so it never
+    // shows up when the generator is logged, serialized or spread
+    for (const name of ['keys', 'secretKey', 'reidentificationKey', 'checkKeys', 'preparedKeys', 'clientKeys']) {
+      Object.defineProperty(this, name, { value: null, writable: true, enumerable: false });
+    }
+    
+    this.initializeOutputFormats(options);
+    this.initializeNormalizers(options);
+    this.initializeKeyDerivation(options);
+    
+    // A single key keeps the original unversioned output format,
+    // a keyring marks every new pseudonym with its key version (ck_v2_...)
+    const singleKey = typeof secretKey === 'string' || Buffer.isBuffer(secretKey) || secretKey instanceof crypto.KeyObject;
+    if (!singleKey && secretKey && typeof secretKey === 'object' && secretKey.clientId !== undefined) {
+      this.initializeClientScope(secretKey);
+    } else if (!singleKey && secretKey && typeof secretKey === 'object') {
+      this.initializeKeyring(secretKey);
+    } else {
+      this.keys = new Map([[1, importSecretKey(secretKey)]]);
+      this.activeKeyVersion = 1;
+      this.legacyKeyVersion = 1;
+      this.versionedOutput = false;
+    }
+    
+    this.secretKey = this.keys.get(this.activeKeyVersion);
+    this.preparedKeys = new Map();
+    // key version -> Map(clientId -> derived pseudonym key)
+    this.clientKeys = new Map();
+    
+    this.initializeReidentification(options);
+    if (this.clientScope !== null && this.reidentificationKey) {
+      // The re-identification key decrypts reversible pseudonyms of every app
+      throw new Error('Client-scoped generators cannot hold a re-identification key');
+    }
+    this.initializeConsent(options);
+    this.initializeRelayDomain(options);
+    this.initializeAudit(options);
+    
+    // Initialize fake data pools for consistent generation
+    this.initializeFakeDataPools(options.locale);
+  }
+
+  /**
+   * Load a keyring of versioned secret keys
+   * @param {Object} keyring - Keyring configuration
+   * @param {Object} keyring.keys - Map of key version to secret key
+   * @param {number} keyring.activeVersion - Version used for new pseudonyms
+   * @param {number} keyring.legacyVersion - Optional version that produced unversioned pseudonyms
+   */
+  initializeKeyring(keyring) {
+    if (!keyring.keys || typeof keyring.keys !== 'object') {
+      throw new Error('Keyring must contain a keys object mapping versions to secret keys');
+    }
+    
+    this.keys = new Map();
+    for (const [version, key] of Object.entries(keyring.keys)) {
+      this.keys.set(this.parseKeyVersion(version), importSecretKey(key, `Secret key version ${version}`));
+    }
+    if (this.keys.size === 0) {
+      throw new Error('Keyring must contain at least one key');
+    }
+    
+    const activeVersion = keyring.activeVersion === undefined
+      ? Math.max(...this.keys.keys())
+      : this.parseKeyVersion(keyring.activeVersion);
+    if (!this.keys.has(activeVersion)) {
+      throw new Error(`Active key version ${activeVersion} is not in the keyring`);
+    }
+    
+    let legacyVersion = null;
+    if (keyring.legacyVersion !== undefined && keyring.legacyVersion !== null) {
+      legacyVersion = this.parseKeyVersion(keyring.legacyVersion);
+      if (!this.keys.has(legacyVersion)) {
+        throw new Error(`Legacy key version ${legacyVersion} is not in the keyring`);
+      }
+    }
+    
+    this.activeKeyVersion = activeVersion;
+    this.legacyKeyVersion = legacyVersion;
+    this.versionedOutput = true;
+  }
+
+  /**
+   * Configure how pseudonym keys are derived from the secret key
+   * @param {Object} options - Generator options
+   */
+  initializeKeyDerivation(options) {
+    const keyDerivation = options.keyDerivation || 'none';
+    if (keyDerivation !== 'none' && keyDerivation !== 'client') {
+      throw new Error(`Unknown key derivation: ${keyDerivation}`);
+    }
+    this.keyDerivation = keyDerivation;
+    this.clientScope = null;
+    this.checkKeys = null;
+  }
+
+  /**
+   * Load a client key bundle, restricting the generator to that bundle's clientId
+   * @param {Object} bundle - Client key bundle from deriveClientKey()
+   */
+  initializeClientScope(bundle) {
+    bundle = decodeClientKey(bundle);
+    
+    this.keys = new Map();
+    this.checkKeys = new Map();
+    for (const [version, key] of Object.entries(bundle.keys)) {
+      this.keys.set(this.parseKeyVersion(version), crypto.createSecretKey(Buffer.from(key, 'base64url')));
+      this.checkKeys.set(this.parseKeyVersion(version), Buffer.from(bundle.checkKeys[version], 'base64url'));
+    }
+    
+    const activeVersion = this.parseKeyVersion(bundle.activeVersion);
+    if (!this.keys.has(activeVersion)) {
+      throw new Error(`Active key version ${activeVersion} is not in the client key`);
+    }
+    this.activeKeyVersion = activeVersion;
+    this.legacyKeyVersion = bundle.legacyVersion === null ? null : this.parseKeyVersion(bundle.legacyVersion);
+    this.versionedOutput = bundle.versionedOutput === true;
+    this.keyDerivation = 'client';
+    this.clientScope = bundle.clientId.trim();
+  }
+
+  /**
+   * Build a generator restricted to one app from a client key. Its pseudonyms and
+   * fake data match the master generator's byte for byte, but it cannot produce
+   * them for any other clientId.
+   * @param {string} clientKey - Client key from deriveClientKey()
+   * @param {Object} options - Generator options; the master's output formats, locale
+   *   and relay domain are carried in the client key and used unless overridden
+   * @returns {ConsentKeysPseudonymGenerator} - Restricted generator
+   */
+  static fromClientKey(clientKey, options = {}) {
+    const bundle = decodeClientKey(clientKey);
+    return new ConsentKeysPseudonymGenerator(bundle, { ...bundle.options, ...options });
+  }
+
+  /**
+   * Derive the client key an app needs to generate its own pseudonyms and fake
+   * data offline (requires keyDerivation 'client'). The client key holds an HKDF
+   * subkey of every key version and of its check-tag key, for this clientId only.
+   * @param {string} clientId - Client/app identifier
+   * @returns {string} - Client key (ckclient2_...), as secret as the app's pseudonyms
+   */
+  deriveClientKey(clientId) {
+    if (!clientId || typeof clientId !== 'string' || clientId.trim().length === 0) {
+      throw new Error('clientId is required and must be a non-empty string');
+    }
+    if (this.keyDerivation !== 'client') {
+      throw new Error("Client keys need a generator created with keyDerivation: 'client'");
+    }
+    clientId = clientId.trim();
+    this.assertClientInScope(clientId);
+    // The app's generator would silently issue different pseudonyms without them
+    if ([...this.normalizers.values()].some((normalizer) => normalizer.custom)) {
+      throw new Error('Client keys cannot carry custom normalizers; use built-in normalizers for apps with client keys');
+    }
+    
+    const keys = {};
+    const checkKeys = {};
+    for (const version of this.keys.keys()) {
+      keys[version] = this.clientSecret(version, clientId).toString('base64url');
+      checkKeys[version] = this.clientPreparedKey(version, clientId).checkKey.export().toString('base64url');
+    }
+    return encodeClientKey({
+      clientId,
+      keys,
+      checkKeys,
+      activeVersion: this.activeKeyVersion,
+      legacyVersion: this.legacyKeyVersion,
+      versionedOutput: this.versionedOutput,
+      options: {
+        locale: this.locale,
+        relayDomain: this.relayDomain,
+        ...this.outputFormatOptions(),
+        ...this.normalizerOptions()
+      }
+    });
+  }
+
+  /**
+   * Refuse clientIds outside a restricted generator's scope
+   * @param {string} clientId - Trimmed client/app identifier
+   */
+  assertClientInScope(clientId) {
+    if (this.clientScope !== null && clientId !== this.clientScope) {
+      throw new Error(`This generator is restricted to clientId ${this.clientScope}`);
+    }
+  }
+
+  /**
+   * Get an app's derived secret for one key version
+   * @param {number} version - Key version
+   * @param {string} clientId - Trimmed client/app identifier
+   * @returns {Buffer} - 32-byte client secret
+   */
+  clientSecret(version, clientId) {
+    this.assertClientInScope(clientId);
+    // A restricted generator's keyring already holds its client's secrets
+    return this.clientScope !== null
+      ? this.keys.get(version).export()
+      : deriveClientSecret(this.keys.get(version), clientId);
+  }
+
+  /**
+   * Get the HMAC keys an app's pseudonyms are issued and tagged under, derived once
+   * per app and cached
+   * @param {number} version - Key version
+   * @param {string} clientId - Trimmed client/app identifier
+   * @returns {Object} - pseudonymKey and checkKey as KeyObjects
+   */
+  clientPreparedKey(version, clientId) {
+    if (this.keyDerivation !== 'client' || this.clientScope !== null) {
+      this.assertClientInScope(clientId);
+      return this.preparedKey(version);
+    }
+    
+    if (!this.clientKeys.has(version)) {
+      this.clientKeys.set(version, new Map());
+    }
+    const keys = this.clientKeys.get(version);
+    let prepared = keys.get(clientId);
+    if (!prepared) {
+      prepared = {
+        pseudonymKey: crypto.createSecretKey(this.clientSecret(version, clientId)),
+        checkKey: crypto.createSecretKey(deriveClientCheckSecret(this.preparedKey(version).checkKey, clientId))
+      };
+      keys.set(clientId, prepared);
+    }
+    return prepared;
+  }
+
+  /**
+   * Get the HMAC key an app's pseudonyms are issued under
+   * @param {number} version - Key version
+   * @param {string} clientId - Trimmed client/app identifier
+   * @returns {KeyObject} - Pseudonym key
+   */
+  pseudonymKeyFor(version, clientId) {
+    return this.clientPreparedKey(version, clientId).pseudonymKey;
+  }
+
+  /**
+   * Derive a labelled subkey of the active key for an app's keyed hashes
+   * @param {string} clientId - Trimmed client/app identifier
+   * @param {string} label - Subkey purpose
+   * @returns {Buffer} - HMAC-SHA256 subkey
+   */
+  valueHashKey(clientId, label) {
+    const base = this.keyDerivation === 'client'
+      ? this.clientSecret(this.activeKeyVersion, clientId)
+      : this.keys.get(this.activeKeyVersion);
+    return crypto.createHmac('sha256', base).update(label).digest();
+  }
+
+  /**
+   * Parse and validate a key version number
+   * @param {number|string} version - Key version
+   * @returns {number} - Positive integer key version
+   */
+  parseKeyVersion(version) {
+    const parsed = Number(version);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+      throw new Error(`Key version must be a positive integer, got ${version}`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Resolve the generator's output format and any per-dataType overrides
+   * @param {Object} options - Generator options
+   * @param {Object} options.outputFormat - Default { prefix, encoding, length }
+   * @param {Object} options.dataTypeOutputFormats - Map of dataType to format overrides
+   */
+  initializeOutputFormats(options) {
+    this.outputFormat = resolveOutputFormat(options.outputFormat || {});
+    this.prefix = this.outputFormat.prefix;
+    
+    const overrides = options.dataTypeOutputFormats || {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('dataTypeOutputFormats must map data types to output formats');
+    }
+    this.dataTypeOutputFormats = new Map();
+    for (const [dataType, spec] of Object.entries(overrides)) {
+      this.dataTypeOutputFormats.set(dataType.trim(), resolveOutputFormat(spec, this.outputFormat));
+    }
+  }
+
+  /**
+   * Describe the output formats as generator options, so an identical generator can be built
+   * @returns {Object} - { outputFormat, dataTypeOutputFormats } specs
+   */
+  outputFormatOptions() {
+    const spec = ({ prefix, encoding, length }) => ({ prefix, encoding, length });
+    return {
+      outputFormat: spec(this.outputFormat),
+      dataTypeOutputFormats: Object.fromEntries(
+        [...this.dataTypeOutputFormats].map(([dataType, format]) => [dataType, spec(format)])
+      )
+    };
+  }
+
+  /**
+   * Resolve the opt-in userId normalizers per dataType
+   * @param {Object} options - Generator options
+   * @param {Object} options.normalizers - Map of dataType (or '*') to normalizer spec
+   */
+  initializeNormalizers(options) {
+    const specs = options.normalizers || {};
+    if (typeof specs !== 'object' || Array.isArray(specs)) {
+      throw new Error('normalizers must map data types to normalizers');
+    }
+    this.normalizers = new Map();
+    for (const [dataType, spec] of Object.entries(specs)) {
+      this.normalizers.set(dataType.trim(), resolveNormalizer(spec));
+    }
+  }
+
+  /**
+   * Bring a userId into the canonical form of its dataType's normalizer, if any
+   * @param {string} userId - Trimmed user identifier
+   * @param {string} dataType - Trimmed data type
+   * @returns {string} - Canonical userId
+   */
+  normalizeUserId(userId, dataType) {
+    const normalizer = this.normalizers.get(dataType) || this.normalizers.get('*');
+    if (!normalizer) {
+      return userId;
+    }
+    
+    let normalized;
+    try {
+      normalized = normalizer.normalize(userId, dataType);
+    } catch (error) {
+      throw new Error(`Cannot normalize userId for ${dataType} with ${normalizer.name}: ${error.message}`);
+    }
+    if (typeof normalized !== 'string' || normalized.length === 0) {
+      throw new Error(`Normalizer ${normalizer.name} must return a non-empty string`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Describe the built-in normalizers as generator options; custom functions
+   * cannot be copied and have to be passed again
+   * @returns {Object} - { normalizers } specs
+   */
+  normalizerOptions() {
+    return {
+      normalizers: Object.fromEntries([...this.normalizers]
+        .filter(([, normalizer]) => !normalizer.custom)
+        .map(([dataType, normalizer]) => [dataType, { name: normalizer.name, ...normalizer.options }]))
+    };
+  }
+
+  /**
+   * Get the output format pseudonyms of a data type are rendered in
+   * @param {string} dataType - Data type
+   * @returns {Object} - Resolved output format
+   */
+  outputFormatFor(dataType) {
+    return this.dataTypeOutputFormats.get(dataType) || this.outputFormat;
+  }
+
+  /**
+   * Configure the pseudonym mode and the optional re-identification key
+   * @param {Object} options - Generator options
+   */
+  initializeReidentification(options) {
+    const mode = options.mode || 'hmac';
+    if (mode !== 'hmac' && mode !== 'reversible') {
+      throw new Error(`Unknown pseudonym mode: ${mode}`);
+    }
+    
+    this.reidentificationKey = null;
+    if (options.reidentificationKey !== undefined) {
+      const reidentificationKey = importSecretKey(options.reidentificationKey, 'Re-identification key');
+      if ([...this.keys.values()].some((key) => key.equals(reidentificationKey))) {
+        throw new Error('Re-identification key must differ from the pseudonym secret keys');
+      }
+      this.reidentificationKey = reidentificationKey;
+    }
+    if (mode === 'reversible' && !this.reidentificationKey) {
+      throw new Error('Reversible mode requires a reidentificationKey');
+    }
+    
+    this.mode = mode;
+  }
+
+  /**
+   * Configure consent enforcement for fake data
+   * @param {Object} options - Generator options
+   */
+  initializeConsent(options) {
+    const consentMode = options.consentMode || 'omit';
+    if (consentMode !== 'omit' && consentMode !== 'refuse') {
+      throw new Error(`Unknown consent mode: ${consentMode}`);
+    }
+    if (options.consentStore && typeof options.consentStore.isAllowed !== 'function') {
+      throw new Error('consentStore must implement isAllowed() and getEpoch()');
+    }
+    
+    this.consentStore = options.consentStore || null;
+    this.consentMode = consentMode;
+  }
+
+  /**
+   * Attach the optional audit log
+   * @param {Object} options - Generator options
+   */
+  initializeAudit(options) {
+    if (options.auditLog && typeof options.auditLog.record !== 'function') {
+      throw new Error('auditLog must implement record()');
+    }
+    this.auditLog = options.auditLog || null;
+    // Set while an audited operation runs, so the calls it makes internally
+    // (e.g. a profile's email and name) are not recorded again
+    this.auditing = false;
+  }
+
+  /**
+   * Run an operation and record it in the audit log with its outcome. Only the
+   * outermost audited operation is recorded. Failures are only recorded for
+   * operations that pass a failure event (re-identification); other failed
+   * operations disclose nothing. If the entry cannot be written the operation
+   * fails rather than going unrecorded.
+   * @param {Object|Function} event - Audit event, or a function building it from the result
+   * @param {Function} run - Operation to run
+   * @param {Function} failure - Optional function building the event of a failed attempt from its error
+   * @returns {*} - Result of the operation
+   */
+  audited(event, run, failure = null) {
+    if (!this.auditLog || this.auditing) {
+      return run();
+    }
+    
+    this.auditing = true;
+    let result;
+    try {
+      result = run();
+    } catch (error) {
+      if (failure) {
+        this.recordAudit({ ...failure(error), outcome: 'failure', error: error.message });
+      }
+      throw error;
+    } finally {
+      this.auditing = false;
+    }
+    this.recordAudit({ ...(typeof event === 'function' ? event(result) : event), outcome: 'success' });
+    return result;
+  }
+
+  /**
+   * Append an event to the audit log, if one is attached
+   * @param {Object} event - { operation, clientId, dataType, userId, ...details }
+   */
+  recordAudit(event) {
+    if (this.auditLog) {
+      this.auditLog.record(event);
+    }
+  }
+
+  /**
+   * Configure the domain fake email addresses are issued at. Point it at a mail
+   * relay (see EmailRelay) to make fake addresses deliverable.
+   * @param {Object} options - Generator options
+   */
+  initializeRelayDomain(options) {
+    const domain = options.relayDomain === undefined ? 'consentkeys.local' : options.relayDomain;
+    const label = '[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?';
+    if (typeof domain !== 'string' || domain.length > 253 ||
+        !new RegExp(`^${label}(?:\\.${label})+$`, 'i').test(domain)) {
+      throw new Error(`relayDomain must be a domain name, got ${domain}`);
+    }
+    this.relayDomain = domain.toLowerCase();
+  }
+
+  /**
+   * Check whether a user consents to share a dataType with an app.
+   * Without a consent store every dataType is allowed.
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {string} dataType - Data type to share
+   * @returns {boolean} - True if the dataType may be shared
+   */
+  isConsented(userId, clientId, dataType) {
+    if (!this.consentStore) {
+      return true;
+    }
+    return this.consentStore.isAllowed(userId, clientId, dataType);
+  }
+
+  /**
+   * Throw if a user has not consented to share a dataType with an app
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {string} dataType - Data type to share
+   */
+  assertConsented(userId, clientId, dataType) {
+    if (!this.isConsented(userId, clientId, dataType)) {
+      throw new Error(`User has not consented to share ${dataType} with ${clientId}`);
+    }
+  }
+
+  /**
+   * Add a new key to the keyring and make it the active key.
+   * Pseudonyms issued under earlier versions keep verifying until retired.
+   * @param {number} version - New key version, higher than any existing version
+   * @param {string|Buffer|KeyObject} secretKey - New secret key
+   */
+  rotateKey(version, secretKey) {
+    if (this.clientScope !== null) {
+      throw new Error('Client-scoped generators cannot rotate keys; derive a new client key instead');
+    }
+    version = this.parseKeyVersion(version);
+    const key = importSecretKey(secretKey);
+    if (version <= Math.max(...this.keys.keys())) {
+      throw new Error(`Key version ${version} must be higher than existing key versions`);
+    }
+    
+    // Pseudonyms issued before the first rotation carry no version marker
+    if (!this.versionedOutput) {
+      this.legacyKeyVersion = this.activeKeyVersion;
+      this.versionedOutput = true;
+    }
+    
+    this.keys.set(version, key);
+    this.activeKeyVersion = version;
+    this.secretKey = key;
+  }
+
+  /**
+   * Remove a key from the keyring so its pseudonyms no longer resolve
+   * @param {number} version - Key version to retire
+   */
+  retireKey(version) {
+    version = this.parseKeyVersion(version);
+    if (version === this.activeKeyVersion) {
+      throw new Error('Cannot retire the active key version');
+    }
+    this.keys.delete(version);
+    this.preparedKeys.delete(version);
+    this.clientKeys.delete(version);
+    if (this.legacyKeyVersion === version) {
+      this.legacyKeyVersion = null;
+    }
+  }
+
+  /**
+   * Initialize deterministic fake data pools
+   * These pools are used to generate consistent fake data based on pseudonyms
+   * @param {string} locale - Default locale pack for fake data
+   */
+  initializeFakeDataPools(locale = 'en-US') {
+    const pack = getLocalePack(locale);
+    this.locale = pack.locale;
+    
+    // Pools of the default locale, kept for callers that read them directly. Copies,
+    // so changing one generator's pools leaves the shared locale pack alone. Custom
+    // packs only have to define name pools.
+    const copy = (pool) => (Array.isArray(pool) ? [...pool] : pool);
+    this.firstNames = copy(pack.firstNames);
+    this.lastNames = copy(pack.lastNames);
+    this.streetNames = copy(pack.streetNames);
+    this.cityNames = copy(pack.cityNames);
+    this.stateAbbreviations = copy(pack.regions);
+    
+    // Pools of handle words, shared by every locale
+    this.usernameAdjectives = [
+      'quiet', 'brave', 'lucky', 'sunny', 'swift', 'clever', 'gentle', 'bold',
+      'calm', 'eager', 'fuzzy', 'happy', 'jolly', 'mellow', 'noble', 'witty'
+    ];
+    this.usernameNouns = [
+      'falcon', 'otter', 'maple', 'comet', 'river', 'badger', 'pixel', 'harbor',
+      'lynx', 'meadow', 'orbit', 'panda', 'quartz', 'robin', 'summit', 'willow'
+    ];
+  }
+
+  /**
+   * Resolve the locale pack for a call, falling back to the generator default
+   * @param {Object} options - Call options
+   * @param {string} options.locale - Optional locale override
+   * @returns {Object} - Locale pack
+   */
+  resolveLocalePack(options = {}) {
+    return getLocalePack(options.locale || this.locale);
+  }
+
+  /**
+   * Generate a secure, consistent pseudonym
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier  
+   * @param {string} dataType - Optional data type for different pseudonym contexts
+   * @param {Object} options - Optional generation settings
+   * @param {string} options.mode - Override the generator mode ('hmac' or 'reversible')
+   * @returns {string} - Secure pseudonym with ck_ prefix
+   */
+  generatePseudonym(userId, clientId, dataType = 'default', options = {}) {
+    return this.audited({ operation: 'generatePseudonym', userId, clientId, dataType }, () =>
+      this.generatePseudonymWithKey(userId, clientId, dataType, this.activeKeyVersion, options.mode));
+  }
+
+  /**
+   * Generate a pseudonym that can later be re-identified with the re-identification key
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {string} dataType - Optional data type for different pseudonym contexts
+   * @returns {string} - Reversible pseudonym with ck_ prefix
+   */
+  generateReversiblePseudonym(userId, clientId, dataType = 'default') {
+    return this.generatePseudonym(userId, clientId, dataType, { mode: 'reversible' });
+  }
+
+  /**
+   * Generate a pseudonym under a specific key version in the keyring
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {string} dataType - Data type for different pseudonym contexts
+   * @param {number} version - Key version to generate with
+   * @param {string} mode - 'hmac' or 'reversible', defaults to the generator mode
+   * @returns {string} - Secure pseudonym in the dataType's output format
+   */
+  generatePseudonymWithKey(userId, clientId, dataType, version, mode = this.mode) {
+    const { format, marker, body, client } = this.pseudonymParts(userId, clientId, dataType, version, mode);
+    // Append a check tag so the pseudonym can be verified without knowing the userId
+    return renderPseudonym(format, marker, body, this.computeCheckTag(version, marker + body, format, client));
+  }
+
+  /**
+   * Untagged form of a one-way pseudonym (prefix, version marker and body). Fake data
+   * is derived from it, so fake identities did not change when check tags were added.
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {string} dataType - Data type of the fake field
+   * @param {number} version - Key version (defaults to the active one)
+   * @returns {string} - Pseudonym without its check tag
+   */
+  untaggedPseudonym(userId, clientId, dataType, version = this.activeKeyVersion) {
+    const { format, marker, body } = this.pseudonymParts(userId, clientId, dataType, version, 'hmac');
+    return format.prefix + marker + body;
+  }
+
+  /**
+   * Compute the parts of a pseudonym before its check tag is added
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {string} dataType - Data type for different pseudonym contexts
+   * @param {number} version - Key version to generate with
+   * @param {string} mode - 'hmac' or 'reversible'
+   * @returns {Object} - Output format, version marker, body and the trimmed clientId
+   */
+  pseudonymParts(userId, clientId, dataType, version, mode) {
+    // Input validation with clear error messages
+    if (!userId || typeof userId !== 'string') {
+      throw new Error('userId is required and must be a non-empty string');
+    }
+    if (!clientId || typeof clientId !== 'string') {
+      throw new Error('clientId is required and must be a non-empty string');
+    }
+    if (!dataType || typeof dataType !== 'string') {
+      throw new Error('dataType must be a non-empty string');
+    }
+    if (!this.keys.has(version)) {
+      throw new Error(`Key version ${version} is not in the keyring`);
+    }
+    if (mode !== 'hmac' && mode !== 'reversible') {
+      throw new Error(`Unknown pseudonym mode: ${mode}`);
+    }
+
+    // Trim whitespace to prevent accidental padding issues
+    userId = userId.trim();
+    clientId = clientId.trim();
+    dataType = dataType.trim();
+
+    // Additional validation after trimming
+    if (userId.length === 0) {
+      throw new Error('userId cannot be empty or whitespace only');
+    }
+    if (clientId.length === 0) {
+      throw new Error('clientId cannot be empty or whitespace only');
+    }
+    if (dataType.length === 0) {
+      throw new Error('dataType cannot be empty or whitespace only');
+    }
+    
+    // Each consent revocation starts a new epoch, so the app cannot reconnect the user.
+    // Consent is kept under the identifier as given, so look it up before normalizing,
+    // the same way isConsented() does.
+    const epoch = this.consentStore ? this.consentStore.getEpoch(userId, clientId) : 0;
+
+    // Spellings of the same identifier share one pseudonym when a normalizer is configured
+    userId = this.normalizeUserId(userId, dataType);
+
+    // Create deterministic input with proper separation to prevent collision attacks
+    // Using different separators to ensure no input combination can create the same hash
+    const separator1 = '\x00'; // Null byte separator
+    const separator2 = '\x01'; // SOH separator
+    const separator3 = '\x02'; // STX separator
+    
+    // Construct input with multiple separators for security
+    let input = `${userId}${separator1}${clientId}${separator2}${dataType}${separator3}`;
+    if (epoch > 0) {
+      input += `epoch${epoch}\x03`;
+    }
+
+    const format = this.outputFormatFor(dataType);
+    const marker = format.markers ? this.keyVersionMarker(version) : '';
+    if (mode === 'reversible') {
+      if (format.encoding !== 'base64url') {
+        throw new Error(`Reversible pseudonyms need base64url output, but ${dataType} uses ${format.encoding}`);
+      }
+      // Encrypt a JSON triple so identifiers containing separator bytes round-trip exactly
+      const identity = JSON.stringify(epoch > 0 ? [userId, clientId, dataType, epoch] : [userId, clientId, dataType]);
+      const body = 'r_' + toUrlSafeBase64(this.encryptIdentity(identity));
+      return { format, marker, body, client: clientId };
+    }
+
+    // Generate HMAC-SHA256 for cryptographic security
+    const hmac = crypto.createHmac('sha256', this.pseudonymKeyFor(version, clientId));
+    hmac.update(input);
+    const hash = hmac.digest();
+
+    // Encode and truncate to the configured length (16 base64url characters by default)
+    const body = encodeOutput(format, hash, format.length);
+    return { format, marker, body, client: clientId };
+  }
+
+  /**
+   * Compute the check tag that proves a pseudonym body was issued under a key
+   * @param {number} version - Key version the pseudonym was issued under
+   * @param {string} taggedContent - Version marker and pseudonym body
+   * @param {Object} format - Output format the tag is encoded in
+   * @param {string} clientId - App the pseudonym was issued to; only used with keyDerivation
+   *   'client', where every app has its own check-tag key
+   * @returns {string} - Check tag in the format's encoding
+   */
+  computeCheckTag(version, taggedContent, format = this.outputFormat, clientId = null) {
+    const checkKey = this.keyDerivation === 'client'
+      ? this.clientPreparedKey(version, clientId).checkKey
+      : this.preparedKey(version).checkKey;
+    const tag = crypto.createHmac('sha256', checkKey).update(taggedContent).digest();
+    return encodeOutput(format, tag, format.tagLength);
+  }
+
+  /**
+   * Get the HMAC keys of a key version, with the check-tag subkey derived once and cached
+   * @param {number} version - Key version
+   * @returns {Object} - pseudonymKey and checkKey as KeyObjects
+   */
+  preparedKey(version) {
+    let prepared = this.preparedKeys.get(version);
+    if (!prepared) {
+      const secretKey = this.keys.get(version);
+      // Tags use a subkey so they never reveal anything about pseudonym hashes;
+      // restricted generators receive their app's subkey of it with their client key
+      const checkKey = this.checkKeys
+        ? this.checkKeys.get(version)
+        : crypto.createHmac('sha256', secretKey).update('consentkeys-check-tag').digest();
+      prepared = {
+        pseudonymKey: secretKey,
+        checkKey: crypto.createSecretKey(checkKey)
+      };
+      this.preparedKeys.set(version, prepared);
+    }
+    return prepared;
+  }
+
+  /**
+   * Derive the encryption and authentication subkeys from the re-identification key
+   * @returns {Object} - AES, HMAC and FF1 subkeys
+   */
+  deriveReidentificationKeys() {
+    if (!this.reidentificationKey) {
+      throw new Error('Re-identification key is not loaded');
+    }
+    const derive = (label) => crypto.createHmac('sha256', this.reidentificationKey).update(label).digest();
+    return {
+      encryptionKey: derive('consentkeys-reid-encryption'),
+      macKey: derive('consentkeys-reid-authentication'),
+      formatPreservingKey: derive('consentkeys-reid-ff1')
+    };
+  }
+
+  /**
+   * Deterministically encrypt a pseudonym identity (SIV construction: HMAC-SHA256 synthetic IV + AES-256-CTR)
+   * @param {string} identity - Serialized userId/clientId/dataType
+   * @returns {Buffer} - Synthetic IV followed by ciphertext
+   */
+  encryptIdentity(identity) {
+    const { encryptionKey, macKey } = this.deriveReidentificationKeys();
+    const plaintext = Buffer.from(identity, 'utf8');
+    
+    // The IV is a MAC of the plaintext, so equal inputs encrypt identically and
+    // any tampering with the ciphertext is detected on decryption
+    const syntheticIv = crypto.createHmac('sha256', macKey).update(plaintext).digest().subarray(0, 16);
+    const cipher = crypto.createCipheriv('aes-256-ctr', encryptionKey, syntheticIv);
+    return Buffer.concat([syntheticIv, cipher.update(plaintext), cipher.final()]);
+  }
+
+  /**
+   * Decrypt and authenticate a reversible pseudonym payload
+   * @param {Buffer} payload - Synthetic IV followed by ciphertext
+   * @returns {string} - Serialized userId/clientId/dataType
+   */
+  decryptIdentity(payload) {
+    const { encryptionKey, macKey } = this.deriveReidentificationKeys();
+    const syntheticIv = payload.subarray(0, 16);
+    const decipher = crypto.createDecipheriv('aes-256-ctr', encryptionKey, syntheticIv);
+    const plaintext = Buffer.concat([decipher.update(payload.subarray(16)), decipher.final()]);
+    
+    const expectedIv = crypto.createHmac('sha256', macKey).update(plaintext).digest().subarray(0, 16);
+    if (!crypto.timingSafeEqual(expectedIv, syntheticIv)) {
+      throw new Error('Reversible pseudonym failed authentication');
+    }
+    return plaintext.toString('utf8');
+  }
+
+  /**
+   * Get the key version marker embedded in pseudonyms
+   * @param {number} version - Key version
+   * @returns {string} - Version marker (e.g. v2_), empty for unversioned output
+   */
+  keyVersionMarker(version) {
+    if (!this.versionedOutput || version === this.legacyKeyVersion) {
+      return '';
+    }
+    return `v${version}_`;
+  }
+
+  /**
+   * Split a pseudonym into its key version, body and check tag
+   * @param {string} pseudonym - Pseudonym to parse
+   * @param {string} clientId - App the pseudonym was issued to; with keyDerivation 'client'
+   *   it is needed to attribute pseudonyms of formats without version markers
+   * @returns {Object|null} - Parsed parts and output format, or null if malformed or
+   *   from an unknown key version
+   */
+  parsePseudonym(pseudonym, clientId = null) {
+    if (!pseudonym || typeof pseudonym !== 'string') {
+      return null;
     }
-    if (secretKey.length < 32) {
-      throw new Error('Secret key must be at least 32 characters long for security');
+    clientId = this.verificationClientId(clientId);
+    // A restricted generator only holds the check-tag keys of its own app
+    if (this.clientScope !== null && clientId !== this.clientScope) {
+      return null;
     }
     
-    this.secretKey = secretKey;
-    this.prefix = 'ck_'; // ConsentKeys prefix for brand recognition
+    for (const format of this.pseudonymFormats()) {
+      const match = matchOutputFormat(format, pseudonym);
+      if (!match) {
+        continue;
+      }
+      const version = this.resolveParsedKeyVersion(format, match, clientId);
+      if (version === null) {
+        continue;
+      }
+      return {
+        version,
+        marker: match.marker,
+        body: match.body,
+        tag: match.tag,
+        reversible: match.reversible,
+        format,
+        canonical: match.canonical
+      };
+    }
+    return this.parseLegacyPseudonym(pseudonym);
+  }
+
+  /**
+   * Parse a pseudonym issued before check tags were added. Without a tag it can only
+   * be checked by recomputing it for a user (verifyPseudonymFor), so its canonical
+   * form is the tagged pseudonym the legacy key issues today for the same body.
+   * @param {string} pseudonym - Pseudonym to parse
+   * @returns {Object|null} - Parsed parts with legacy: true, or null if not a legacy pseudonym
+   */
+  parseLegacyPseudonym(pseudonym) {
+    const match = LEGACY_PSEUDONYM_PATTERN.exec(pseudonym);
+    // Legacy pseudonyms were keyed with the unversioned key, never with client subkeys
+    if (!match || this.keyDerivation === 'client' ||
+        this.legacyKeyVersion === null || !this.keys.has(this.legacyKeyVersion)) {
+      return null;
+    }
+    const format = this.pseudonymFormats().find((candidate) =>
+      candidate.prefix === 'ck_' && candidate.encoding === 'base64url' && candidate.length === 16);
+    if (!format) {
+      return null;
+    }
     
-    // Initialize fake data pools for consistent generation
-    this.initializeFakeDataPools();
+    const body = match[1];
+    return {
+      version: this.legacyKeyVersion,
+      marker: '',
+      body,
+      tag: null,
+      reversible: false,
+      format,
+      canonical: renderPseudonym(format, '', body, this.computeCheckTag(this.legacyKeyVersion, body, format)),
+      legacy: true
+    };
   }
 
   /**
-   * Initialize deterministic fake data pools
-   * These pools are used to generate consistent fake data based on pseudonyms
+   * Get the output formats pseudonyms are parsed with: the default format first,
+   * then each distinct per-dataType format
+   * @returns {Array<Object>} - Output formats
    */
-  initializeFakeDataPools() {
-    // Pool of realistic first names
-    this.firstNames = [
-      'Alex', 'Taylor', 'Jordan', 'Casey', 'Morgan', 'Riley', 'Avery', 'Quinn',
-      'Blake', 'Cameron', 'Drew', 'Emery', 'Finley', 'Harley', 'Jamie', 'Kai',
-      'Logan', 'Marley', 'Nico', 'Parker', 'Reese', 'Sage', 'Skyler', 'Tatum'
-    ];
+  pseudonymFormats() {
+    const formats = new Map();
+    for (const format of [this.outputFormat, ...this.dataTypeOutputFormats.values()]) {
+      formats.set(`${format.prefix}|${format.encoding}|${format.length}`, format);
+    }
+    return [...formats.values()];
+  }
+
+  /**
+   * Match a pseudonym against the output formats without attributing it to a key
+   * @param {string} pseudonym - Pseudonym to match
+   * @returns {Object|null} - { format, match } for the first matching format, or null
+   */
+  matchPseudonym(pseudonym) {
+    if (!pseudonym || typeof pseudonym !== 'string') {
+      return null;
+    }
+    for (const format of this.pseudonymFormats()) {
+      const match = matchOutputFormat(format, pseudonym);
+      if (match) {
+        return { format, match };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve the app whose check-tag key applies to a pseudonym
+   * @param {string} clientId - App named by the caller, if any
+   * @returns {string|null} - Trimmed clientId, else the restricted generator's app, else null
+   */
+  verificationClientId(clientId) {
+    if (typeof clientId === 'string' && clientId.trim().length > 0) {
+      return clientId.trim();
+    }
+    return this.clientScope;
+  }
+
+  /**
+   * Work out which accepted key version a parsed pseudonym belongs to
+   * @param {Object} format - Output format the pseudonym matched
+   * @param {Object} match - Parts returned by matchOutputFormat
+   * @param {string|null} clientId - App whose check-tag key applies (keyDerivation 'client')
+   * @returns {number|null} - Key version, or null if no accepted key applies
+   */
+  resolveParsedKeyVersion(format, match, clientId = null) {
+    if (format.markers) {
+      // Unversioned pseudonyms belong to the legacy key, if one is still loaded
+      const version = match.markerVersion === null ? this.legacyKeyVersion : match.markerVersion;
+      if (version === null || !this.keys.has(version)) {
+        return null;
+      }
+      // Legacy-key pseudonyms are only ever issued without a marker
+      if (match.markerVersion !== null && version === this.legacyKeyVersion) {
+        return null;
+      }
+      return version;
+    }
     
-    // Pool of realistic last names
-    this.lastNames = [
-      'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez',
-      'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson', 'Thomas',
-      'Taylor', 'Moore', 'Jackson', 'Martin', 'Lee', 'Perez', 'Thompson', 'White', 'Harris'
-    ];
+    // Formats without markers are attributed to the key whose check tag matches,
+    // which with per-app check tags needs the app
+    if (this.keyDerivation === 'client' && clientId === null) {
+      return null;
+    }
+    const versions = [this.activeKeyVersion, ...[...this.keys.keys()].filter((v) => v !== this.activeKeyVersion)];
+    for (const version of versions) {
+      if (safeEqual(this.computeCheckTag(version, match.body, format, clientId), match.tag)) {
+        return version;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Determine which key version issued a pseudonym
+   * @param {string} pseudonym - Pseudonym to inspect
+   * @param {string} clientId - App the pseudonym was issued to (see parsePseudonym)
+   * @returns {number|null} - Accepted key version, or null if not resolvable
+   */
+  getPseudonymKeyVersion(pseudonym, clientId = null) {
+    const parsed = this.parsePseudonym(pseudonym, clientId);
+    return parsed ? parsed.version : null;
+  }
+
+  /**
+   * Map a pseudonym issued under an older key to the active-key pseudonym
+   * @param {string} pseudonym - Pseudonym issued under any accepted key version, or an
+   *   untagged legacy pseudonym (ck_ + 16 characters)
+   * @param {string} userId - User identifier the pseudonym was issued for
+   * @param {string} clientId - Client/app identifier the pseudonym was issued for
+   * @param {string} dataType - Data type the pseudonym was issued for
+   * @returns {string} - Pseudonym under the active key version
+   */
+  migratePseudonym(pseudonym, userId, clientId, dataType = 'default') {
+    return this.audited({ operation: 'migratePseudonym', userId, clientId, dataType }, () => {
+      const version = this.getPseudonymKeyVersion(pseudonym, clientId);
+      if (version === null) {
+        throw new Error('Pseudonym was not issued by an accepted key version');
+      }
     
-    // Pool of street names
-    this.streetNames = [
-      'Main St', 'Oak Ave', 'Pine Rd', 'Elm Dr', 'Maple Ln', 'Cedar Blvd', 'Park Ave',
-      'First St', 'Second Ave', 'Third Dr', 'Fourth Ln', 'Fifth St', 'Sixth Ave',
-      'Washington St', 'Lincoln Ave', 'Jefferson Dr', 'Madison Ln', 'Monroe St'
-    ];
+      // Recompute under the issuing key to make sure the pseudonym belongs to this user/client
+      if (!this.verifyPseudonymFor(pseudonym, userId, clientId, dataType)) {
+        throw new Error('Pseudonym does not belong to the given userId, clientId and dataType');
+      }
     
-    // Pool of city names
-    this.cityNames = [
-      'Franklin', 'Georgetown', 'Springfield', 'Riverside', 'Madison', 'Greenville',
-      'Bristol', 'Fairview', 'Arlington', 'Salem', 'Richmond', 'Troy', 'Auburn',
-      'Clayton', 'Hudson', 'Newport', 'Lexington', 'Ashland', 'Beverly', 'Camden'
-    ];
+      return this.generatePseudonym(userId, clientId, dataType);
+    });
+  }
+
+  /**
+   * Verify if a pseudonym was generated by this generator
+   * @param {string} pseudonym - Pseudonym to verify
+   * @param {string} clientId - App the pseudonym was issued to; required with keyDerivation
+   *   'client' (restricted generators default to their own app), ignored otherwise
+   * @returns {boolean} - True if the check tag matches an accepted key, false otherwise
+   */
+  verifyPseudonym(pseudonym, clientId = null) {
+    return this.audited((valid) => ({ operation: 'verifyPseudonym', clientId, valid }), () => {
+      clientId = this.verificationClientId(clientId);
+      if (this.keyDerivation === 'client' && clientId === null) {
+        throw new Error("Generators with keyDerivation 'client' tag pseudonyms per app; pass the clientId to verify");
+      }
     
-    // Pool of state abbreviations
-    this.stateAbbreviations = [
-      'NY', 'CA', 'TX', 'FL', 'PA', 'IL', 'OH', 'GA', 'NC', 'MI', 'NJ', 'VA',
-      'WA', 'AZ', 'MA', 'TN', 'IN', 'MO', 'MD', 'WI', 'CO', 'MN', 'SC', 'AL'
-    ];
+      // Check format: a configured prefix and encoding (ck_ + optional key version marker
+      // + 16 URL-safe base64 characters by default) + check tag, issued under a key
+      // version this generator still accepts
+      const parsed = this.parsePseudonym(pseudonym, clientId);
+      // Untagged legacy pseudonyms can only be verified for a given user
+      if (!parsed || parsed.legacy) {
+        return false;
+      }
+    
+      // Forged or corrupted pseudonyms fail the check tag
+      const expectedTag = this.computeCheckTag(parsed.version, parsed.marker + parsed.body, parsed.format, clientId);
+      return safeEqual(expectedTag, parsed.tag);
+    });
   }
 
   /**
-   * Generate a secure, consistent pseudonym
+   * Verify that a pseudonym was issued for a specific user, app and data type
+   * @param {string} pseudonym - Pseudonym to verify
    * @param {string} userId - User identifier
-   * @param {string} clientId - Client/app identifier  
-   * @param {string} dataType - Optional data type for different pseudonym contexts
-   * @returns {string} - Secure pseudonym with ck_ prefix
+   * @param {string} clientId - Client/app identifier
+   * @param {string} dataType - Data type the pseudonym was issued for
+   * @returns {boolean} - True if the pseudonym belongs to this user and app
    */
-  generatePseudonym(userId, clientId, dataType = 'default') {
-    // Input validation with clear error messages
-    if (!userId || typeof userId !== 'string') {
-      throw new Error('userId is required and must be a non-empty string');
-    }
-    if (!clientId || typeof clientId !== 'string') {
-      throw new Error('clientId is required and must be a non-empty string');
+  verifyPseudonymFor(pseudonym, userId, clientId, dataType = 'default') {
+    return this.audited((valid) => ({ operation: 'verifyPseudonymFor', userId, clientId, dataType, valid }), () => {
+      const parsed = this.parsePseudonym(pseudonym, clientId);
+      if (!parsed) {
+        return false;
+      }
+      // Reversible pseudonyms can only be recomputed with the re-identification key
+      if (parsed.reversible && !this.reidentificationKey) {
+        return false;
+      }
+    
+      const mode = parsed.reversible ? 'reversible' : 'hmac';
+      const expected = this.generatePseudonymWithKey(userId, clientId, dataType, parsed.version, mode);
+      return safeEqual(expected, parsed.canonical);
+    });
+  }
+
+  /**
+   * Decrypt a reversible pseudonym for internal use (e.g. consented translation).
+   * The result must never be handed to an app; use reidentify() for human access.
+   * Like reidentify(), every request needs a reason and actor and is audited.
+   * @param {string} pseudonym - Reversible pseudonym issued by this generator
+   * @param {Object} authorization - Decode request details
+   * @param {string} authorization.reason - Why the identity is needed (e.g. consented translation)
+   * @param {string} authorization.actor - Who is requesting it (e.g. the calling app)
+   * @returns {Object} - userId, clientId, dataType, keyVersion and the consent epoch it was issued in
+   */
+  decodeReversiblePseudonym(pseudonym, authorization = {}) {
+    return this.audited(({ userId, clientId, dataType }) => ({
+      operation: 'decodeReversiblePseudonym',
+      userId,
+      clientId,
+      dataType,
+      actor: authorization.actor.trim(),
+      reason: authorization.reason.trim()
+    }), () => {
+      this.validateReidentificationRequest(authorization);
+      return decodeReversibleIdentity(this, pseudonym);
+    }, () => authorizationClaims('decodeReversiblePseudonym', authorization));
+  }
+
+  /**
+   * Read the clientId out of a reversible pseudonym before its check tag is verified
+   * @param {string} pseudonym - Candidate reversible pseudonym
+   * @returns {string|null} - clientId, or null if the pseudonym is not a decryptable reversible one
+   */
+  reversibleClientId(pseudonym) {
+    const matched = this.matchPseudonym(pseudonym);
+    if (!matched || !matched.match.reversible) {
+      return null;
     }
-    if (!dataType || typeof dataType !== 'string') {
-      throw new Error('dataType must be a non-empty string');
+    try {
+      const [, clientId] = JSON.parse(this.decryptIdentity(Buffer.from(matched.match.body.substring(2), 'base64')));
+      return typeof clientId === 'string' ? clientId : null;
+    } catch (error) {
+      if (error.message === 'Re-identification key is not loaded') {
+        throw error;
+      }
+      return null;
     }
+  }
 
-    // Trim whitespace to prevent accidental padding issues
-    userId = userId.trim();
-    clientId = clientId.trim();
-    dataType = dataType.trim();
+  /**
+   * Recover the user behind a reversible pseudonym. Requires the re-identification
+   * key and a documented reason and actor for every request.
+   * @param {string} pseudonym - Reversible pseudonym
+   * @param {Object} authorization - Re-identification request details
+   * @param {string} authorization.reason - Why re-identification is needed (e.g. DSAR ticket)
+   * @param {string} authorization.actor - Who is requesting re-identification
+   * @returns {Object} - userId, clientId and dataType the pseudonym was issued for
+   */
+  reidentify(pseudonym, authorization = {}) {
+    return this.audited(({ userId, clientId, dataType, actor, reason }) => ({
+      operation: 'reidentify',
+      userId,
+      clientId,
+      dataType,
+      actor,
+      reason
+    }), () => {
+      const { reason, actor } = this.validateReidentificationRequest(authorization);
+      const { userId, clientId, dataType, keyVersion } = decodeReversibleIdentity(this, pseudonym);
+    
+      return {
+        userId,
+        clientId,
+        dataType,
+        keyVersion,
+        reason,
+        actor,
+        reidentifiedAt: new Date().toISOString()
+      };
+    }, () => authorizationClaims('reidentify', authorization));
+  }
 
-    // Additional validation after trimming
-    if (userId.length === 0) {
-      throw new Error('userId cannot be empty or whitespace only');
+  /**
+   * Check that a re-identification request is documented and the key is loaded
+   * @param {Object} authorization - Re-identification request details
+   * @param {string} authorization.reason - Why re-identification is needed
+   * @param {string} authorization.actor - Who is requesting re-identification
+   * @returns {Object} - Trimmed reason and actor
+   */
+  validateReidentificationRequest({ reason, actor } = {}) {
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+      throw new Error('reason is required for re-identification');
     }
-    if (clientId.length === 0) {
-      throw new Error('clientId cannot be empty or whitespace only');
+    if (!actor || typeof actor !== 'string' || actor.trim().length === 0) {
+      throw new Error('actor is required for re-identification');
     }
-    if (dataType.length === 0) {
-      throw new Error('dataType cannot be empty or whitespace only');
+    if (!this.reidentificationKey) {
+      throw new Error('Re-identification key is not loaded');
     }
+    return { reason: reason.trim(), actor: actor.trim() };
+  }
 
-    // Create deterministic input with proper separation to prevent collision attacks
-    // Using different separators to ensure no input combination can create the same hash
-    const separator1 = '\x00'; // Null byte separator
-    const separator2 = '\x01'; // SOH separator
-    const separator3 = '\x02'; // STX separator
+  /**
+   * Generate a same-shaped pseudonym for a structured identifier (SSN, phone, account, card).
+   * One-way by default; reversible tokens use FF1 under the re-identification key.
+   * @param {string} value - Identifier to pseudonymize
+   * @param {string} clientId - Client/app identifier
+   * @param {string|Object} format - Preset ('ssn', 'phone', 'card', 'account'), mask
+   *   (e.g. 'DDD-DD-DDDD') or { alphabet, length }
+   * @param {Object} options - Optional settings
+   * @param {string} options.dataType - Data type for different token contexts
+   * @param {boolean} options.reversible - Encrypt with FF1 so the token can be reversed
+   * @returns {string} - Token with the same shape as the format
+   */
+  generateFormatPreservingPseudonym(value, clientId, format, options = {}) {
+    return this.audited({
+      operation: 'generateFormatPreservingPseudonym',
+      userId: value,
+      clientId,
+      dataType: options.dataType || 'default'
+    }, () => {
+      const { tweak, parsed } = this.prepareFormatPreserving(value, clientId, format, options);
     
-    // Construct input with multiple separators for security
-    const input = `${userId}${separator1}${clientId}${separator2}${dataType}${separator3}`;
-
-    // Generate HMAC-SHA256 for cryptographic security
-    const hmac = crypto.createHmac('sha256', this.secretKey);
-    hmac.update(input);
-    const hash = hmac.digest();
-
-    // Convert to URL-safe base64 and truncate to 16 characters for readability
-    const base64Hash = hash.toString('base64')
-      .replace(/\+/g, '-')    // Replace + with -
-      .replace(/\//g, '_')    // Replace / with _
-      .replace(/=/g, '')      // Remove padding
-      .substring(0, 16);      // Truncate to 16 chars
+      if (options.reversible) {
+        if (!parsed.alphabet) {
+          throw new Error('Reversible format-preserving pseudonyms need one alphabet for every placeholder');
+        }
+        const { formatPreservingKey } = this.deriveReidentificationKeys();
+        const numerals = ff1Encrypt(formatPreservingKey, tweak, parsed.alphabet.length, toNumerals(value, parsed));
+        return fromNumerals(numerals, parsed);
+      }
+    
+      // One-way tokens: keyed hash of the value, rendered into the format
+      const hashKey = this.valueHashKey(clientId.trim(), 'consentkeys-fpe-hash');
+      const input = Buffer.concat([tweak, Buffer.from([0]), Buffer.from(value, 'utf8')]);
+      return fromNumerals(hashToNumerals(hashKey, input, parsed), parsed);
+    });
+  }
 
-    return this.prefix + base64Hash;
+  /**
+   * Recover the identifier behind a reversible format-preserving pseudonym
+   * @param {string} token - Reversible format-preserving pseudonym
+   * @param {string} clientId - Client/app identifier the token was issued for
+   * @param {string|Object} format - Format the token was issued with
+   * @param {Object} options - Re-identification request details
+   * @param {string} options.reason - Why re-identification is needed
+   * @param {string} options.actor - Who is requesting re-identification
+   * @param {string} options.dataType - Data type the token was issued for
+   * @returns {string} - Original identifier
+   */
+  reverseFormatPreservingPseudonym(token, clientId, format, options = {}) {
+    return this.audited((value) => ({
+      operation: 'reverseFormatPreservingPseudonym',
+      userId: value,
+      clientId,
+      dataType: options.dataType || 'default',
+      actor: options.actor.trim(),
+      reason: options.reason.trim()
+    }), () => {
+      this.validateReidentificationRequest(options);
+    
+      const { tweak, parsed } = this.prepareFormatPreserving(token, clientId, format, options);
+      if (!parsed.alphabet) {
+        throw new Error('Reversible format-preserving pseudonyms need one alphabet for every placeholder');
+      }
+    
+      const { formatPreservingKey } = this.deriveReidentificationKeys();
+      const numerals = ff1Decrypt(formatPreservingKey, tweak, parsed.alphabet.length, toNumerals(token, parsed));
+      return fromNumerals(numerals, parsed);
+    }, () => ({
+      ...authorizationClaims('reverseFormatPreservingPseudonym', options),
+      clientId,
+      dataType: (options && options.dataType) || 'default'
+    }));
   }
 
   /**
-   * Verify if a pseudonym was generated by this generator
-   * @param {string} pseudonym - Pseudonym to verify
-   * @returns {boolean} - True if valid format, false otherwise
+   * Validate format-preserving inputs and build the per-client tweak
+   * @param {string} value - Identifier or token
+   * @param {string} clientId - Client/app identifier
+   * @param {string|Object} format - Format description
+   * @param {Object} options - Options with optional dataType
+   * @returns {Object} - Tweak bytes and parsed format
    */
-  verifyPseudonym(pseudonym) {
-    if (!pseudonym || typeof pseudonym !== 'string') {
-      return false;
+  prepareFormatPreserving(value, clientId, format, options) {
+    if (!value || typeof value !== 'string') {
+      throw new Error('value is required and must be a non-empty string');
+    }
+    if (!clientId || typeof clientId !== 'string' || clientId.trim().length === 0) {
+      throw new Error('clientId is required and must be a non-empty string');
+    }
+    const dataType = options.dataType || 'default';
+    if (typeof dataType !== 'string' || dataType.trim().length === 0) {
+      throw new Error('dataType must be a non-empty string');
     }
     
-    // Check format: ck_ prefix + 16 URL-safe base64 characters
-    const pattern = /^ck_[A-Za-z0-9_-]{16}$/;
-    return pattern.test(pseudonym);
+    // Tokens are isolated per app and data type through the tweak
+    return {
+      tweak: Buffer.from(JSON.stringify([clientId.trim(), dataType.trim()]), 'utf8'),
+      parsed: parseFormat(format)
+    };
   }
 
   /**
@@ -149,79 +1462,361 @@ class ConsentKeysPseudonymGenerator {
    * @returns {string} - Fake email address
    */
   generateFakeEmail(userId, clientId) {
-    // Generate pseudonym for email context
-    const pseudonym = this.generatePseudonym(userId, clientId, 'email');
+    return this.audited({ operation: 'generateFakeEmail', userId, clientId, dataType: 'email' }, () => {
+      this.assertConsented(userId, clientId, 'email');
+    
+      // Untagged one-way pseudonym for email context, so the address stays short
+      const pseudonym = this.untaggedPseudonym(userId, clientId, 'email');
     
-    // Remove prefix and use as local part
-    const localPart = pseudonym.replace(this.prefix, '');
+      // Remove prefix and use as local part
+      const localPart = pseudonym.substring(this.outputFormatFor('email').prefix.length);
     
-    // Use consentkeys.local domain for fake emails
-    return `${localPart}@consentkeys.local`;
+      // Issue at the relay domain (consentkeys.local unless configured)
+      return `${localPart}@${this.relayDomain}`;
+    });
+  }
+
+  /**
+   * Check that a fake email address was issued for a user and app under any accepted
+   * key version, so addresses keep working after a key rotation until the old key is
+   * retired. A consent revocation starts a new epoch, which retires the old address.
+   * @param {string} address - Fake email address, with a canonical local part
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @returns {boolean} - True if the address is this user's current one for the app
+   */
+  verifyFakeEmailFor(address, userId, clientId) {
+    if (!address || typeof address !== 'string') {
+      return false;
+    }
+    const prefixLength = this.outputFormatFor('email').prefix.length;
+    return [...this.keys.keys()].some((version) => {
+      const localPart = this.untaggedPseudonym(userId, clientId, 'email', version).substring(prefixLength);
+      return safeEqual(`${localPart}@${this.relayDomain}`, address);
+    });
   }
 
   /**
    * Generate a consistent fake display name
    * @param {string} userId - User identifier
    * @param {string} clientId - Client/app identifier
+   * @param {Object} options - Optional settings
+   * @param {string} options.locale - Locale pack to render the name with
    * @returns {string} - Fake display name
    */
-  generateFakeDisplayName(userId, clientId) {
-    // Generate pseudonym for name context
-    const pseudonym = this.generatePseudonym(userId, clientId, 'name');
+  generateFakeDisplayName(userId, clientId, options = {}) {
+    return this.audited({ operation: 'generateFakeDisplayName', userId, clientId, dataType: 'name' }, () => {
+      const pack = this.resolveLocalePack(options);
+      this.assertConsented(userId, clientId, 'name');
     
-    // Use pseudonym to deterministically select from name pools
-    const hash = crypto.createHash('sha256').update(pseudonym).digest();
+      // Generate pseudonym for name context
+      const pseudonym = this.untaggedPseudonym(userId, clientId, 'name');
     
-    // Use different parts of hash for first and last name selection
-    const firstNameIndex = hash[0] % this.firstNames.length;
-    const lastNameIndex = hash[1] % this.lastNames.length;
+      // Use pseudonym to deterministically select from name pools
+      const hash = crypto.createHash('sha256').update(pseudonym).digest();
     
-    return `${this.firstNames[firstNameIndex]} ${this.lastNames[lastNameIndex]}`;
+      // Use different parts of hash for first and last name selection
+      const firstName = pack.firstNames[hash[0] % pack.firstNames.length];
+      const lastName = pack.lastNames[hash[1] % pack.lastNames.length];
+    
+      return pack.nameOrder === 'family-given' ? `${lastName} ${firstName}` : `${firstName} ${lastName}`;
+    });
   }
 
   /**
    * Generate a consistent fake address
    * @param {string} userId - User identifier
    * @param {string} clientId - Client/app identifier
-   * @returns {Object} - Fake address object
+   * @param {Object} options - Optional settings
+   * @param {string} options.locale - Locale pack that lays out the address
+   * @returns {Object} - Fake address object in the locale's layout
+   */
+  generateFakeAddress(userId, clientId, options = {}) {
+    return this.audited({ operation: 'generateFakeAddress', userId, clientId, dataType: 'address' }, () => {
+      const pack = this.resolveLocalePack(options);
+      this.assertConsented(userId, clientId, 'address');
+    
+      // Generate pseudonym for address context
+      const pseudonym = this.untaggedPseudonym(userId, clientId, 'address');
+    
+      // Use pseudonym to deterministically select address components
+      const hash = crypto.createHash('sha256').update(pseudonym).digest();
+    
+      // The locale pack uses different bytes of hash for different address components
+      return pack.address(hash);
+    });
+  }
+
+  /**
+   * Derive the hash bytes fake data of one dataType is rendered from
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {string} dataType - Data type of the fake field
+   * @returns {Buffer} - SHA-256 of the dataType's untagged one-way pseudonym
+   */
+  fakeDataHash(userId, clientId, dataType) {
+    const pseudonym = this.untaggedPseudonym(userId, clientId, dataType);
+    return crypto.createHash('sha256').update(pseudonym).digest();
+  }
+
+  /**
+   * Generate a consistent fake phone number from a fictional range
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {Object} options - Optional settings
+   * @param {string} options.locale - Locale pack that formats the number
+   * @returns {string} - Fake phone number in international format
+   */
+  generateFakePhoneNumber(userId, clientId, options = {}) {
+    return this.audited({ operation: 'generateFakePhoneNumber', userId, clientId, dataType: 'phone' }, () => {
+      this.assertConsented(userId, clientId, 'phone');
+    
+      const pack = this.resolveLocalePack(options);
+      if (typeof pack.phone !== 'function') {
+        throw new Error(`Locale pack ${pack.locale} does not define phone numbers`);
+      }
+      return pack.phone(this.fakeDataHash(userId, clientId, 'phone'));
+    });
+  }
+
+  /**
+   * Generate a consistent fake date of birth
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {Object} options - Optional settings
+   * @param {string|Date} options.realBirthdate - Real birthdate whose decade the fake date keeps
+   * @returns {string} - Fake birthdate as YYYY-MM-DD
    */
-  generateFakeAddress(userId, clientId) {
-    // Generate pseudonym for address context
-    const pseudonym = this.generatePseudonym(userId, clientId, 'address');
+  generateFakeBirthdate(userId, clientId, options = {}) {
+    return this.audited({ operation: 'generateFakeBirthdate', userId, clientId, dataType: 'birthdate' }, () => {
+      this.assertConsented(userId, clientId, 'birthdate');
     
-    // Use pseudonym to deterministically select address components
-    const hash = crypto.createHash('sha256').update(pseudonym).digest();
+      const hash = this.fakeDataHash(userId, clientId, 'birthdate');
     
-    // Use different bytes of hash for different address components
-    const streetNumber = (hash[0] % 9999) + 1; // 1-9999
-    const streetIndex = hash[1] % this.streetNames.length;
-    const cityIndex = hash[2] % this.cityNames.length;
-    const stateIndex = hash[3] % this.stateAbbreviations.length;
+      let year;
+      if (options.realBirthdate !== undefined) {
+        const realBirthdate = new Date(options.realBirthdate);
+        if (Number.isNaN(realBirthdate.getTime())) {
+          throw new Error('realBirthdate must be a valid date');
+        }
+      
+        // Pick uniformly within the real decade, so the fake year says nothing more about
+        // the real one; only years after the current one are left out
+        const realYear = realBirthdate.getUTCFullYear();
+        const decade = realYear - (realYear % 10);
+        const lastYear = Math.min(decade + 9, Math.max(new Date().getUTCFullYear(), realYear));
+        year = decade + hash.readUInt16BE(0) % (lastYear - decade + 1);
+      } else {
+        year = 1940 + hash.readUInt16BE(0) % 66; // 1940-2005
+      }
     
-    // Generate ZIP code using hash bytes
-    const zipCode = String((hash[4] << 8 | hash[5]) % 90000 + 10000).padStart(5, '0');
+      const month = hash[2] % 12 + 1;
+      const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      const day = hash.readUInt16BE(3) % daysInMonth + 1;
     
-    return {
-      street: `${streetNumber} ${this.streetNames[streetIndex]}`,
-      city: this.cityNames[cityIndex],
-      state: this.stateAbbreviations[stateIndex],
-      zip: zipCode
-    };
+      return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    });
   }
 
   /**
-   * Generate a comprehensive fake user profile
+   * Generate a consistent fake username/handle
    * @param {string} userId - User identifier
    * @param {string} clientId - Client/app identifier
-   * @returns {Object} - Complete fake user profile
+   * @returns {string} - Fake username (e.g. quiet_falcon42)
    */
-  generateFakeProfile(userId, clientId) {
-    return {
-      id: this.generatePseudonym(userId, clientId, 'id'),
-      email: this.generateFakeEmail(userId, clientId),
-      displayName: this.generateFakeDisplayName(userId, clientId),
-      address: this.generateFakeAddress(userId, clientId)
-    };
+  generateFakeUsername(userId, clientId) {
+    return this.audited({ operation: 'generateFakeUsername', userId, clientId, dataType: 'username' }, () => {
+      this.assertConsented(userId, clientId, 'username');
+    
+      const hash = this.fakeDataHash(userId, clientId, 'username');
+      const adjective = this.usernameAdjectives[hash[0] % this.usernameAdjectives.length];
+      const noun = this.usernameNouns[hash[1] % this.usernameNouns.length];
+    
+      return `${adjective}_${noun}${hash.readUInt16BE(2) % 1000}`;
+    });
+  }
+
+  /**
+   * Generate a consistent fake IP address from non-routable ranges
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {Object} options - Optional settings
+   * @param {number} options.version - 4 (default, 10.0.0.0/8) or 6 (2001:db8::/32)
+   * @returns {string} - Fake IP address
+   */
+  generateFakeIpAddress(userId, clientId, options = {}) {
+    return this.audited({ operation: 'generateFakeIpAddress', userId, clientId, dataType: 'ip' }, () => {
+      this.assertConsented(userId, clientId, 'ip');
+    
+      const version = options.version || 4;
+      if (version !== 4 && version !== 6) {
+        throw new Error('IP version must be 4 or 6');
+      }
+    
+      const hash = this.fakeDataHash(userId, clientId, 'ip');
+      if (version === 4) {
+        // Private range, avoiding network (.0) and broadcast (.255) host addresses
+        return `10.${hash[0]}.${hash[1]}.${hash[2] % 254 + 1}`;
+      }
+    
+      // Documentation prefix followed by six hash-derived groups
+      const groups = [];
+      for (let i = 0; i < 6; i++) {
+        groups.push(hash.readUInt16BE(4 + i * 2).toString(16));
+      }
+      return `2001:db8:${groups.join(':')}`;
+    });
+  }
+
+  /**
+   * Generate a consistent Luhn-valid payment test card number
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {Object} options - Optional settings
+   * @param {string} options.brand - 'visa' (default), 'mastercard' or 'amex'
+   * @returns {string} - Test card number from the brand's sandbox range
+   */
+  generateFakeTestCard(userId, clientId, options = {}) {
+    return this.audited({ operation: 'generateFakeTestCard', userId, clientId, dataType: 'card' }, () => {
+      this.assertConsented(userId, clientId, 'card');
+    
+      const brand = TEST_CARD_BRANDS[options.brand || 'visa'];
+      if (!brand) {
+        throw new Error(`Unknown test card brand: ${options.brand}`);
+      }
+    
+      // Fill the account digits from the hash, leaving room for the check digit
+      const hash = this.fakeDataHash(userId, clientId, 'card');
+      const accountLength = brand.length - brand.prefix.length - 1;
+      const account = String(hash.readBigUInt64BE(0) % 10n ** BigInt(accountLength)).padStart(accountLength, '0');
+      const payload = brand.prefix + account;
+    
+      return payload + luhnCheckDigit(payload);
+    });
+  }
+
+  /**
+   * Generate a consistent fake avatar image
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {Object} options - Optional settings
+   * @param {string} options.style - 'identicon' (default), 'pattern' or 'initials' (of the
+   *   fake display name, which needs consent for 'name' as well)
+   * @param {number} options.size - Width and height in pixels (default 64)
+   * @param {string} options.locale - Locale pack of the display name behind 'initials'
+   * @returns {string} - SVG document
+   */
+  generateFakeAvatar(userId, clientId, options = {}) {
+    return this.audited({ operation: 'generateFakeAvatar', userId, clientId, dataType: 'avatar' }, () => {
+      this.assertConsented(userId, clientId, 'avatar');
+    
+      const name = options.style === 'initials'
+        ? this.generateFakeDisplayName(userId, clientId, { locale: options.locale })
+        : undefined;
+      return renderAvatar(this.fakeDataHash(userId, clientId, 'avatar'), {
+        style: options.style,
+        size: options.size,
+        name
+      });
+    });
+  }
+
+  /**
+   * Generate a comprehensive fake user profile.
+   * With a consent store, unconsented fields are omitted (or refused in 'refuse' mode).
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {Object} options - Optional settings
+   * @param {Array<string>} options.fields - Profile fields to include (default id, email, displayName, address)
+   * @param {string} options.locale - Locale pack for names, addresses and phone numbers
+   * @param {string|Date} options.realBirthdate - Real birthdate whose decade birthDate keeps
+   * @param {string} options.cardBrand - Brand of the testCard field
+   * @param {string} options.avatarStyle - Style of the avatar field
+   * @returns {Object} - Fake user profile with every selected, consented field
+   */
+  generateFakeProfile(userId, clientId, options = {}) {
+    return this.audited((profile) => ({
+      operation: 'generateFakeProfile',
+      userId,
+      clientId,
+      dataType: 'profile',
+      fields: Object.keys(profile)
+    }), () => {
+      const generators = {
+        id: () => this.generatePseudonym(userId, clientId, 'id'),
+        email: () => this.generateFakeEmail(userId, clientId),
+        displayName: () => this.generateFakeDisplayName(userId, clientId, options),
+        address: () => this.generateFakeAddress(userId, clientId, options),
+        phone: () => this.generateFakePhoneNumber(userId, clientId, options),
+        birthDate: () => this.generateFakeBirthdate(userId, clientId, { realBirthdate: options.realBirthdate }),
+        username: () => this.generateFakeUsername(userId, clientId),
+        ipv4: () => this.generateFakeIpAddress(userId, clientId, { version: 4 }),
+        ipv6: () => this.generateFakeIpAddress(userId, clientId, { version: 6 }),
+        testCard: () => this.generateFakeTestCard(userId, clientId, { brand: options.cardBrand }),
+        avatar: () => this.generateFakeAvatar(userId, clientId, { style: options.avatarStyle, locale: options.locale })
+      };
+    
+      const fields = options.fields || DEFAULT_PROFILE_FIELDS;
+      if (!Array.isArray(fields)) {
+        throw new Error('fields must be an array of profile field names');
+      }
+    
+      const profile = {};
+      for (const field of fields) {
+        if (!Object.prototype.hasOwnProperty.call(PROFILE_FIELD_DATA_TYPES, field)) {
+          throw new Error(`Unknown profile field: ${field}`);
+        }
+      
+        // Initials avatars also draw on the display name
+        const dataTypes = field === 'avatar' && options.avatarStyle === 'initials'
+          ? ['avatar', 'name']
+          : [PROFILE_FIELD_DATA_TYPES[field]];
+        const unconsented = dataTypes.find((dataType) => !this.isConsented(userId, clientId, dataType));
+        if (unconsented !== undefined) {
+          if (this.consentMode === 'refuse') {
+            this.assertConsented(userId, clientId, unconsented);
+          }
+          continue;
+        }
+        profile[field] = generators[field]();
+      }
+      return profile;
+    });
+  }
+
+  /**
+   * Keyed, per-client hash of a value for fields that must stay joinable but unreadable
+   * @param {string} value - Value to hash
+   * @param {string} clientId - Client/app identifier
+   * @returns {string} - Hex-encoded HMAC-SHA256
+   */
+  hashValue(value, clientId) {
+    if (typeof value !== 'string') {
+      throw new Error('value must be a string');
+    }
+    if (!clientId || typeof clientId !== 'string' || clientId.trim().length === 0) {
+      throw new Error('clientId is required and must be a non-empty string');
+    }
+    
+    const hashKey = this.valueHashKey(clientId.trim(), 'consentkeys-value-hash');
+    return crypto.createHmac('sha256', hashKey)
+      .update(JSON.stringify([clientId.trim(), value]))
+      .digest('hex');
+  }
+
+  /**
+   * Pseudonymize a JSON record according to a schema of path -> action
+   * @param {Object} record - Record to transform (not modified)
+   * @param {Object} schema - Map of JSON path to action (pseudonymize, fakeEmail, fakeName,
+   *   fakeAddress, drop, keep, hash, generalize)
+   * @param {string} clientId - Client/app identifier
+   * @param {Object} options - Record options
+   * @param {Function} options.onIssued - Called with { value, userId, dataType } for each pseudonym
+   *   or fake email issued, e.g. to record it in a registry
+   * @returns {Object} - { record, report } with the transformed record and what was touched
+   */
+  pseudonymizeRecord(record, schema, clientId, options = {}) {
+    return records.pseudonymizeRecord(this, record, schema, clientId, options);
   }
 
   /**
@@ -232,22 +1827,83 @@ class ConsentKeysPseudonymGenerator {
    * @returns {Object} - Map of userId to pseudonym
    */
   generateBulkPseudonyms(userIds, clientId, dataType = 'default') {
-    if (!Array.isArray(userIds)) {
-      throw new Error('userIds must be an array');
-    }
+    return this.audited((results) => ({
+      operation: 'generateBulkPseudonyms',
+      clientId,
+      dataType,
+      count: Object.values(results).filter((pseudonym) => typeof pseudonym === 'string').length
+    }), () => {
+      if (!Array.isArray(userIds)) {
+        throw new Error('userIds must be an array');
+      }
     
-    const results = {};
+      const results = {};
     
-    for (const userId of userIds) {
-      try {
-        results[userId] = this.generatePseudonym(userId, clientId, dataType);
-      } catch (error) {
-        // Continue processing other users, but track failures
-        results[userId] = { error: error.message };
+      for (const userId of userIds) {
+        try {
+          results[userId] = this.generatePseudonym(userId, clientId, dataType);
+        } catch (error) {
+          // Continue processing other users, but track failures
+          results[userId] = { error: error.message };
+        }
       }
-    }
     
-    return results;
+      return results;
+    });
+  }
+
+  /**
+   * Generate pseudonyms for large ID sets in batches, optionally across worker threads
+   * @param {Iterable|AsyncIterable} userIds - User IDs (array, generator, stream, ...)
+   * @param {string} clientId - Client/app identifier
+   * @param {Object} options - Bulk options
+   * @param {string} options.dataType - Data type for every pseudonym (default 'default')
+   * @param {number|boolean} options.workers - Worker threads to use; true for one per CPU (default none)
+   * @param {number} options.batchSize - User IDs per batch (default 1,000)
+   * @param {Function} options.onProgress - Called with { processed, succeeded, failed, duplicates } after each batch
+   * @returns {Promise<Object>} - { results: Map(userId -> pseudonym), failures: [{ index, userId, reason }], stats }
+   */
+  async generateBulkPseudonymsAsync(userIds, clientId, options = {}) {
+    const outcome = await generateBulk(this, userIds, clientId, options);
+    this.recordAudit({
+      operation: 'generateBulkPseudonymsAsync',
+      clientId,
+      dataType: options.dataType || 'default',
+      count: outcome.stats.succeeded,
+      outcome: 'success'
+    });
+    return outcome;
+  }
+
+  /**
+   * Estimate the chance that two identities share a pseudonym (birthday bound).
+   * Reversible pseudonyms encrypt the identity and never collide.
+   * @param {number} population - Expected number of distinct users per clientId
+   * @param {Object} options - Estimate options
+   * @param {string} options.dataType - Data type whose output format to assess
+   * @returns {Object} - Format, body bits, collision probability and expected collisions
+   */
+  estimateCollisionProbability(population, options = {}) {
+    const dataType = options.dataType || 'default';
+    const format = this.outputFormatFor(dataType);
+    return {
+      population,
+      dataType,
+      encoding: format.encoding,
+      length: format.length,
+      bits: format.bits,
+      ...collisionProbability(population, format.bits)
+    };
+  }
+
+  /**
+   * Check a set of issued pseudonyms for collisions
+   * @param {Array<string|Object>} issued - Pseudonyms, or registry records with pseudonym,
+   *   userId, clientId and dataType (plain strings are assumed to be distinct identities)
+   * @returns {Object} - { checked, unique, collisions: [{ pseudonym, count, identities }] }
+   */
+  findCollisions(issued) {
+    return findCollisions(issued);
   }
 
   /**
@@ -257,14 +1913,65 @@ class ConsentKeysPseudonymGenerator {
   getInfo() {
     return {
       prefix: this.prefix,
-      keyLength: this.secretKey.length,
+      keyLength: this.secretKey.symmetricKeySize,
+      activeKeyVersion: this.activeKeyVersion,
+      acceptedKeyVersions: [...this.keys.keys()].sort((a, b) => a - b),
       algorithm: 'HMAC-SHA256',
-      outputLength: 16,
-      version: '1.0.0'
+      mode: this.mode,
+      reidentificationEnabled: this.reidentificationKey !== null,
+      keyDerivation: this.keyDerivation,
+      clientScope: this.clientScope,
+      consentEnforced: this.consentStore !== null,
+      formatPreservingAlgorithm: 'FF1-AES256',
+      formatPresets: Object.keys(FORMAT_PRESETS),
+      locale: this.locale,
+      availableLocales: listLocales(),
+      relayDomain: this.relayDomain,
+      outputEncoding: this.outputFormat.encoding,
+      outputLength: this.outputFormat.length,
+      checkTagLength: this.outputFormat.tagLength,
+      outputEncodings: Object.keys(OUTPUT_ENCODINGS),
+      dataTypeOutputFormats: Object.fromEntries([...this.dataTypeOutputFormats].map(([dataType, format]) => [
+        dataType,
+        { prefix: format.prefix, encoding: format.encoding, length: format.length, checkTagLength: format.tagLength }
+      ])),
+      normalizers: Object.fromEntries([...this.normalizers].map(([dataType, normalizer]) => [
+        dataType,
+        normalizer.custom ? { name: normalizer.name, custom: true } : { name: normalizer.name, ...normalizer.options }
+      ])),
+      version: PACKAGE_VERSION
     };
   }
 }
 
 module.exports = {
-  ConsentKeysPseudonymGenerator
+  ConsentKeysPseudonymGenerator,
+  PseudonymRegistry,
+  MemoryRegistryAdapter,
+  FileRegistryAdapter,
+  ConsentStore,
+  PseudonymTranslator,
+  registerLocalePack,
+  getLocalePack,
+  listLocales,
+  compileSchema: records.compileSchema,
+  GENERALIZERS,
+  suppressValue,
+  checkKAnonymity,
+  suppressSmallClasses,
+  PseudonymizeStream,
+  createPseudonymizeStream,
+  PseudonymService,
+  createPseudonymService,
+  createPseudonymMiddleware,
+  createPseudonymResolverMiddleware,
+  EmailRelay,
+  AuditLog,
+  MemoryAuditSink,
+  FileAuditSink,
+  verifyAuditChain,
+  estimateKeyEntropy,
+  loadKeyFromEnv,
+  loadKeyFromFile,
+  deriveKeyFromPassphrase
 };
\ No newline at end of file
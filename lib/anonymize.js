@@ -0,0 +1,318 @@
+const { parsePath, visit } = require('./paths');
+
+/**
+ * Anonymization of Quasi-Identifiers
+ *
+ * Pseudonymizing IDs does not stop a dataset from being re-identified through the
+ * combination of ZIP code, birthdate, gender and city. This module coarsens those
+ * quasi-identifiers and checks the result:
+ *
+ * - GENERALIZERS: (value, spec) => coarser value, also available in record schemas
+ *   as { action: 'generalize', method: 'zip' | 'age' | 'date' | 'region' | 'truncate' | 'range' }
+ * - suppressValue(): mask a value entirely ({ action: 'suppress' } in record schemas)
+ * - checkKAnonymity(): group records by their quasi-identifiers and report the
+ *   equivalence classes smaller than k, or with fewer than l distinct sensitive values
+ * - suppressSmallClasses(): drop the records in those classes
+ *
+ * Quasi-identifiers are record paths, the same as in pseudonymizeRecord schemas.
+ */
+
+const SUPPRESSED = '*';
+
+// Three-digit ZIP prefixes covering 20,000 people or fewer (HHS Safe Harbor
+// guidance, 2000 Census); they must be reported as 000
+const RESTRICTED_ZIP3 = new Set([
+  '036', '059', '063', '102', '203', '556', '692', '790', '821',
+  '823', '830', '831', '878', '879', '884', '890', '893'
+]);
+
+// regions object -> Map(lowercase city -> region), built once per regions object
+const regionLookups = new WeakMap();
+
+/**
+ * Whole years between a birthdate and a reference date
+ * @param {Date} birthdate - Date of birth
+ * @param {Date} asOf - Reference date
+ * @returns {number} - Age in years
+ */
+function ageOn(birthdate, asOf) {
+  const age = asOf.getUTCFullYear() - birthdate.getUTCFullYear();
+  const birthdayPassed = asOf.getUTCMonth() > birthdate.getUTCMonth() ||
+    (asOf.getUTCMonth() === birthdate.getUTCMonth() && asOf.getUTCDate() >= birthdate.getUTCDate());
+  return birthdayPassed ? age : age - 1;
+}
+
+/**
+ * Read an integer option of a generalization spec
+ * @param {string} method - Generalization method, for error messages
+ * @param {Object} spec - Generalization spec
+ * @param {string} name - Option name
+ * @param {number} defaultValue - Value when the option is not set (undefined: optional)
+ * @param {number} min - Smallest accepted value
+ * @returns {number|undefined} - Option value
+ */
+function integerOption(method, spec, name, defaultValue, min) {
+  const value = spec[name] === undefined ? defaultValue : spec[name];
+  if (value !== undefined && (!Number.isInteger(value) || value < min)) {
+    throw new Error(`${method} generalization needs an integer ${name} of at least ${min}`);
+  }
+  return value;
+}
+
+/**
+ * Get the city -> region lookup of a regions map
+ * @param {Object} regions - Map of region name to list of cities
+ * @returns {Map} - Lowercase city -> region
+ */
+function regionLookup(regions) {
+  if (!regions || typeof regions !== 'object' || Array.isArray(regions)) {
+    throw new Error('region generalization needs a regions map of region name to cities');
+  }
+  let lookup = regionLookups.get(regions);
+  if (!lookup) {
+    lookup = new Map();
+    for (const [region, cities] of Object.entries(regions)) {
+      if (!Array.isArray(cities)) {
+        throw new Error(`Cities of region ${region} must be an array`);
+      }
+      for (const city of cities) {
+        lookup.set(String(city).trim().toLowerCase(), region);
+      }
+    }
+    regionLookups.set(regions, lookup);
+  }
+  return lookup;
+}
+
+// Generalization methods: (value, spec) => coarser value
+const GENERALIZERS = {
+  // Keep the first `keep` characters and mask the rest: '94107' -> '941**'
+  truncate(value, spec) {
+    const text = String(value);
+    const keep = integerOption('truncate', spec, 'keep', 3, 0);
+    return text.substring(0, keep) + (spec.mask === undefined ? '*' : spec.mask).repeat(Math.max(0, text.length - keep));
+  },
+
+  // Bucket numbers into ranges of `size`: 37 -> '30-39'
+  range(value, spec) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new Error('range generalization needs a numeric value');
+    }
+    const size = integerOption('range', spec, 'size', 10, 1);
+    const lower = Math.floor(number / size) * size;
+    return `${lower}-${lower + size - 1}`;
+  },
+
+  // Coarsen dates to year, quarter or month: '1987-06-15' -> '1987', '1987-Q2', '1987-06'
+  date(value, spec) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error('date generalization needs a valid date');
+    }
+    const year = String(date.getUTCFullYear());
+    if (spec.to === 'month') {
+      return `${year}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+    }
+    if (spec.to === 'quarter') {
+      return `${year}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+    }
+    return year;
+  },
+
+  // Truncate US ZIP codes (ZIP+4 included) to `keep` digits: '94107-1234' -> '941**'.
+  // With safeHarbor, sparsely populated three-digit areas become '000**'.
+  zip(value, spec) {
+    const match = /^(\d{5})(?:-?\d{4})?$/.exec(String(value).trim());
+    if (!match) {
+      throw new Error('zip generalization needs a 5-digit or ZIP+4 code');
+    }
+    const keep = spec.keep === undefined ? 3 : spec.keep;
+    if (!Number.isInteger(keep) || keep < 0 || keep > 5) {
+      throw new Error('zip generalization keeps 0 to 5 digits');
+    }
+    let prefix = match[1].substring(0, keep);
+    if (spec.safeHarbor && RESTRICTED_ZIP3.has(match[1].substring(0, 3))) {
+      prefix = '0'.repeat(keep);
+    }
+    return prefix + (spec.mask === undefined ? '*' : spec.mask).repeat(5 - keep);
+  },
+
+  // Band ages, or birthdates as of spec.asOf (default today), into `size`-year bands
+  // with an optional open top band: 37 -> '30-39', 93 with max 90 -> '90+'
+  age(value, spec) {
+    const size = integerOption('age', spec, 'size', 10, 1);
+    const max = integerOption('age', spec, 'max', undefined, 0);
+    let age = typeof value === 'number' || /^\s*\d+\s*$/.test(String(value)) ? Number(value) : null;
+    if (age === null) {
+      const birthdate = new Date(value);
+      const asOf = spec.asOf === undefined ? new Date() : new Date(spec.asOf);
+      if (Number.isNaN(birthdate.getTime()) || Number.isNaN(asOf.getTime())) {
+        throw new Error('age generalization needs an age or a valid birthdate');
+      }
+      age = ageOn(birthdate, asOf);
+    }
+    if (!Number.isFinite(age) || age < 0) {
+      throw new Error('age generalization needs a non-negative age');
+    }
+
+    if (max !== undefined && age >= max) {
+      return `${max}+`;
+    }
+    const lower = Math.floor(age / size) * size;
+    return `${lower}-${lower + size - 1}`;
+  },
+
+  // Replace a city with its region from spec.regions ({ region: [cities] }); cities
+  // outside every region are suppressed unless spec.otherwise is set
+  region(value, spec) {
+    const region = regionLookup(spec.regions).get(String(value).trim().toLowerCase());
+    if (region !== undefined) {
+      return region;
+    }
+    return spec.otherwise === undefined ? SUPPRESSED : spec.otherwise;
+  }
+};
+
+/**
+ * Suppress a value entirely
+ * @param {*} value - Value to suppress
+ * @param {Object} spec - Optional { with } replacement (default '*')
+ * @returns {*} - Replacement value
+ */
+function suppressValue(value, spec = {}) {
+  return spec.with === undefined ? SUPPRESSED : spec.with;
+}
+
+/**
+ * Read the single value a quasi-identifier path resolves to in a record
+ * @param {Object} record - JSON record
+ * @param {Object} column - { path, segments }
+ * @returns {*} - Value, or null when the path is missing
+ */
+function columnValue(record, column) {
+  const values = [];
+  visit(record, column.segments, '', (parent, key) => values.push(parent[key]));
+  if (values.length > 1) {
+    throw new Error(`${column.path} must resolve to one value per record, found ${values.length}`);
+  }
+  const value = values.length === 0 ? null : values[0];
+  if (value !== null && value !== undefined && typeof value === 'object') {
+    throw new Error(`${column.path} must resolve to a scalar value`);
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Validate the dataset and parse column paths
+ * @param {Array<Object>} records - Dataset
+ * @param {Array<string>} quasiIdentifiers - Quasi-identifier paths
+ * @returns {Array<Object>} - Columns as { path, segments }
+ */
+function compileColumns(records, quasiIdentifiers) {
+  if (!Array.isArray(records)) {
+    throw new Error('records must be an array');
+  }
+  if (!Array.isArray(quasiIdentifiers) || quasiIdentifiers.length === 0) {
+    throw new Error('quasiIdentifiers must be a non-empty array of record paths');
+  }
+  return quasiIdentifiers.map((path) => ({ path, segments: parsePath(path) }));
+}
+
+/**
+ * Group records into equivalence classes of identical quasi-identifier values
+ * @param {Array<Object>} records - Dataset
+ * @param {Array<Object>} columns - Compiled quasi-identifier columns
+ * @returns {Array<Object>} - Classes as { values, indexes }, in order of first appearance
+ */
+function equivalenceClasses(records, columns) {
+  const classes = new Map();
+  records.forEach((record, index) => {
+    const values = columns.map((column) => columnValue(record, column));
+    const key = JSON.stringify(values);
+    if (!classes.has(key)) {
+      classes.set(key, {
+        values: Object.fromEntries(columns.map((column, i) => [column.path, values[i]])),
+        indexes: []
+      });
+    }
+    classes.get(key).indexes.push(index);
+  });
+  return [...classes.values()];
+}
+
+/**
+ * Check a dataset for k-anonymity and, optionally, distinct l-diversity
+ * @param {Array<Object>} records - Dataset, e.g. the output of pseudonymizeRecord
+ * @param {Array<string>} quasiIdentifiers - Paths of the quasi-identifier columns
+ * @param {Object} options - Check options
+ * @param {number} options.k - Minimum equivalence class size (default 5)
+ * @param {string} options.sensitive - Path of the sensitive column for l-diversity
+ * @param {number} options.l - Minimum distinct sensitive values per class (default 2 with sensitive)
+ * @returns {Object} - { k, records, classes, smallestClass, kAnonymous, belowK } plus
+ *   { l, lDiverse, belowL } with a sensitive column; each reported class lists its
+ *   quasi-identifier values, size and record indexes
+ */
+function checkKAnonymity(records, quasiIdentifiers, options = {}) {
+  const columns = compileColumns(records, quasiIdentifiers);
+  const k = options.k === undefined ? 5 : options.k;
+  if (!Number.isInteger(k) || k < 1) {
+    throw new Error('k must be a positive integer');
+  }
+
+  const classes = equivalenceClasses(records, columns);
+  const belowK = classes
+    .filter((group) => group.indexes.length < k)
+    .map((group) => ({ values: group.values, size: group.indexes.length, indexes: group.indexes }));
+  const report = {
+    k,
+    records: records.length,
+    classes: classes.length,
+    smallestClass: classes.length === 0 ? 0 : Math.min(...classes.map((group) => group.indexes.length)),
+    kAnonymous: belowK.length === 0,
+    belowK
+  };
+
+  if (options.sensitive !== undefined) {
+    const l = options.l === undefined ? 2 : options.l;
+    if (!Number.isInteger(l) || l < 1) {
+      throw new Error('l must be a positive integer');
+    }
+    const sensitive = { path: options.sensitive, segments: parsePath(options.sensitive) };
+
+    report.l = l;
+    report.belowL = [];
+    for (const group of classes) {
+      const distinct = new Set(group.indexes.map((index) => JSON.stringify(columnValue(records[index], sensitive)))).size;
+      if (distinct < l) {
+        report.belowL.push({ values: group.values, size: group.indexes.length, distinct, indexes: group.indexes });
+      }
+    }
+    report.lDiverse = report.belowL.length === 0;
+  }
+  return report;
+}
+
+/**
+ * Remove the records whose equivalence class is smaller than k
+ * @param {Array<Object>} records - Dataset
+ * @param {Array<string>} quasiIdentifiers - Paths of the quasi-identifier columns
+ * @param {Object} options - Options with k (default 5)
+ * @returns {Object} - { records, suppressed } with the kept records in order and the
+ *   number removed
+ */
+function suppressSmallClasses(records, quasiIdentifiers, options = {}) {
+  const { belowK } = checkKAnonymity(records, quasiIdentifiers, { k: options.k });
+  const removed = new Set(belowK.flatMap((group) => group.indexes));
+  return {
+    records: records.filter((record, index) => !removed.has(index)),
+    suppressed: removed.size
+  };
+}
+
+module.exports = {
+  GENERALIZERS,
+  suppressValue,
+  checkKAnonymity,
+  suppressSmallClasses
+};
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Audit Log
+ *
+ * Tamper-evident record of which app received which kinds of pseudonymized data,
+ * and of every re-identification. Pass an AuditLog to the generator as
+ * options.auditLog and each pseudonym, fake field, bulk run, verification and
+ * re-identification appends one entry:
+ *
+ *   { seq, timestamp, operation, clientId, dataType, userRef, ..., outcome, prevHash, hash }
+ *
+ * outcome is 'success', or 'failure' (with the error) for refused re-identification
+ * attempts.
+ *
+ * userRef is a keyed hash of the userId, so the log never holds raw identifiers but
+ * a data subject's entries can still be found (query({ userId })). Each entry's hash
+ * is an HMAC over its contents and the previous entry's hash, so editing, removing
+ * or reordering entries breaks the chain; verifyAuditChain() finds the first break.
+ * Truncating the end of the log is only detectable against a recorded head hash.
+ *
+ * Sinks store entries and implement append(entry) and last() synchronously and
+ * readAll() asynchronously.
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Derive the user-reference and chain subkeys from the audit key
+ * @param {string} key - Audit key
+ * @returns {Object} - userKey and chainKey as KeyObjects
+ */
+function deriveAuditKeys(key) {
+  if (!key || typeof key !== 'string' || key.length < 32) {
+    throw new Error('Audit key must be a string of at least 32 characters');
+  }
+  const derive = (label) => crypto.createSecretKey(crypto.createHmac('sha256', key).update(label).digest());
+  return {
+    userKey: derive('consentkeys-audit-user'),
+    chainKey: derive('consentkeys-audit-chain')
+  };
+}
+
+/**
+ * Compute the chained hash of an entry
+ * @param {KeyObject} chainKey - Chain subkey
+ * @param {Object} entry - Entry with prevHash (its own hash is ignored)
+ * @returns {string} - Hex-encoded HMAC-SHA256
+ */
+function chainHash(chainKey, entry) {
+  // Sorted [key, value] pairs, so the hash does not depend on property order
+  const fields = Object.keys(entry).filter((key) => key !== 'hash').sort().map((key) => [key, entry[key]]);
+  return crypto.createHmac('sha256', chainKey).update(JSON.stringify(fields)).digest('hex');
+}
+
+/**
+ * Check that entries form one unbroken chain from the start of the log
+ * @param {Array<Object>} entries - Entries in log order
+ * @param {string} key - Audit key the log was written with
+ * @returns {Object} - { valid: true, count, head } or { valid: false, count, index, reason },
+ *   where head is the { seq, hash } of the last entry (null for an empty log)
+ */
+function verifyAuditChain(entries, key) {
+  return verifyChain(entries, deriveAuditKeys(key).chainKey);
+}
+
+/**
+ * Check an entry chain with the chain subkey
+ * @param {Array<Object>} entries - Entries in log order
+ * @param {KeyObject} chainKey - Chain subkey
+ * @returns {Object} - Result as described for verifyAuditChain()
+ */
+function verifyChain(entries, chainKey) {
+  let prevHash = GENESIS_HASH;
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    const fail = (reason) => ({ valid: false, count: entries.length, index, reason });
+    if (!entry || typeof entry !== 'object') {
+      return fail('Entry is malformed');
+    }
+    if (entry.seq !== index) {
+      return fail(`Expected sequence number ${index}, found ${entry.seq}`);
+    }
+    if (entry.prevHash !== prevHash) {
+      return fail('Entry does not follow the previous entry');
+    }
+    const expected = chainHash(chainKey, entry);
+    if (typeof entry.hash !== 'string' || entry.hash.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(entry.hash), Buffer.from(expected))) {
+      return fail('Entry hash does not match its contents');
+    }
+    prevHash = entry.hash;
+  }
+
+  const last = entries[entries.length - 1];
+  return { valid: true, count: entries.length, head: last ? { seq: last.seq, hash: last.hash } : null };
+}
+
+class AuditLog {
+  /**
+   * @param {Object} options - Audit options
+   * @param {string} options.key - Secret for user references and the hash chain (at least 32 characters)
+   * @param {Object} options.sink - Entry storage, defaults to in-memory storage
+   */
+  constructor(options = {}) {
+    // Only the derived subkeys are kept, never the audit key itself
+    const { userKey, chainKey } = deriveAuditKeys(options.key);
+    Object.defineProperties(this, {
+      userKey: { value: userKey },
+      chainKey: { value: chainKey }
+    });
+    this.sink = options.sink || new MemoryAuditSink();
+
+    for (const method of ['append', 'last', 'readAll']) {
+      if (typeof this.sink[method] !== 'function') {
+        throw new Error(`Audit sink must implement ${method}()`);
+      }
+    }
+
+    // Continue the chain of an existing log
+    this.head = this.sink.last();
+  }
+
+  /**
+   * Hash a userId into the reference stored in entries
+   * @param {string} userId - User identifier
+   * @returns {string} - Hex-encoded keyed hash
+   */
+  userReference(userId) {
+    return crypto.createHmac('sha256', this.userKey).update(String(userId).trim()).digest('hex').substring(0, 32);
+  }
+
+  /**
+   * Append an entry to the log
+   * @param {Object} event - { operation, clientId, dataType, userId, ...details }
+   * @returns {Object} - Appended entry
+   */
+  record({ operation, clientId = null, dataType = null, userId = null, ...details }) {
+    if (!operation || typeof operation !== 'string') {
+      throw new Error('Audit events need an operation');
+    }
+
+    const entry = {
+      seq: this.head ? this.head.seq + 1 : 0,
+      timestamp: new Date().toISOString(),
+      operation,
+      clientId: typeof clientId === 'string' ? clientId.trim() : null,
+      dataType: typeof dataType === 'string' ? dataType.trim() : null,
+      userRef: userId === null ? null : this.userReference(userId),
+      ...details,
+      prevHash: this.head ? this.head.hash : GENESIS_HASH
+    };
+    entry.hash = chainHash(this.chainKey, entry);
+
+    // Only advance once the sink has stored the entry
+    this.sink.append(entry);
+    this.head = entry;
+    return entry;
+  }
+
+  /**
+   * Find entries, e.g. everything disclosed about one user
+   * @param {Object} filter - Optional userId, clientId, dataType and operation to match
+   * @returns {Promise<Array<Object>>} - Matching entries in log order
+   */
+  async query(filter = {}) {
+    const userRef = filter.userId === undefined ? undefined : this.userReference(filter.userId);
+    return (await this.sink.readAll()).filter((entry) =>
+      (userRef === undefined || entry.userRef === userRef) &&
+      (filter.clientId === undefined || entry.clientId === filter.clientId) &&
+      (filter.dataType === undefined || entry.dataType === filter.dataType) &&
+      (filter.operation === undefined || entry.operation === filter.operation));
+  }
+
+  /**
+   * Verify the whole log stored in the sink
+   * @returns {Promise<Object>} - Result of verifyAuditChain()
+   */
+  async verify() {
+    return verifyChain(await this.sink.readAll(), this.chainKey);
+  }
+}
+
+/**
+ * In-memory audit storage
+ */
+class MemoryAuditSink {
+  constructor() {
+    this.entries = [];
+  }
+
+  append(entry) {
+    this.entries.push({ ...entry });
+  }
+
+  last() {
+    const entry = this.entries[this.entries.length - 1];
+    return entry ? { ...entry } : null;
+  }
+
+  async readAll() {
+    return this.entries.map((entry) => ({ ...entry }));
+  }
+}
+
+/**
+ * Append-only local file storage, one JSON entry per line. The file is only ever
+ * opened for appending, and every entry is written synchronously so an operation
+ * does not return before its entry is on disk.
+ */
+class FileAuditSink {
+  /**
+   * @param {string} filePath - Path of the audit log file
+   */
+  constructor(filePath) {
+    if (!filePath || typeof filePath !== 'string') {
+      throw new Error('filePath is required and must be a non-empty string');
+    }
+
+    this.filePath = path.resolve(filePath);
+    this.fd = null;
+  }
+
+  append(entry) {
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.filePath, 'a', 0o600);
+    }
+    fs.writeSync(this.fd, `${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Read the last entry, scanning backwards from the end of the file
+   * @returns {Object|null} - Last entry, or null for a missing or empty file
+   */
+  last() {
+    let fd;
+    try {
+      fd = fs.openSync(this.filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      const size = fs.fstatSync(fd).size;
+      let chunkSize = 4096;
+      for (;;) {
+        const start = Math.max(0, size - chunkSize);
+        const buffer = Buffer.alloc(size - start);
+        fs.readSync(fd, buffer, 0, buffer.length, start);
+        const lines = buffer.toString('utf8').split('\n');
+        if (lines[lines.length - 1] !== '') {
+          throw new Error(`Audit log ${this.filePath} ends with a partial entry`);
+        }
+        const complete = lines.slice(start === 0 ? 0 : 1, -1).filter((line) => line.length > 0);
+        if (complete.length > 0) {
+          return JSON.parse(complete[complete.length - 1]);
+        }
+        if (start === 0) {
+          return null;
+        }
+        chunkSize *= 2;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  async readAll() {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return contents.split('\n').filter((line) => line.length > 0).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Audit log line ${index + 1} is not valid JSON`);
+      }
+    });
+  }
+
+  /**
+   * Close the file; later appends reopen it
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = {
+  AuditLog,
+  MemoryAuditSink,
+  FileAuditSink,
+  verifyAuditChain
+};
@@ -0,0 +1,134 @@
+/**
+ * Fake Avatars
+ *
+ * Renders the hash bytes of an 'avatar' pseudonym as a small, self-contained SVG,
+ * so every user gets a stable picture per app that cannot be matched across apps:
+ *
+ * - identicon: a symmetric 5x5 block pattern
+ * - pattern: a 4x4 grid of circles, squares, diamonds and triangles in two colors
+ * - initials: the initials of the fake display name on a colored background
+ *
+ * Like locale packs, styles only decide how hash bytes are drawn; the SVGs contain
+ * no scripts, links or external references.
+ */
+
+const AVATAR_STYLES = ['identicon', 'pattern', 'initials'];
+const DEFAULT_AVATAR_SIZE = 64;
+
+/**
+ * Escape text for use in SVG markup
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Derive an HSL color from hash bytes
+ * @param {number} hue - Hue in degrees
+ * @param {number} byte - Hash byte that shifts saturation and lightness
+ * @returns {string} - CSS color
+ */
+function color(hue, byte) {
+  return `hsl(${hue % 360},${50 + byte % 25}%,${40 + (byte >> 3) % 20}%)`;
+}
+
+/**
+ * Wrap shapes in an SVG document
+ * @param {number} size - Width and height in pixels
+ * @param {number} viewBox - Side of the square coordinate system
+ * @param {string} background - Background color
+ * @param {Array<string>} shapes - SVG elements
+ * @returns {string} - SVG document
+ */
+function svg(size, viewBox, background, shapes) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${viewBox} ${viewBox}" role="img">` +
+    `<rect width="${viewBox}" height="${viewBox}" fill="${background}"/>${shapes.join('')}</svg>`;
+}
+
+// Avatar styles: (hash, options) => SVG
+const AVATAR_RENDERERS = {
+  // Mirror 15 hash bits into a 5x5 grid with a one-cell margin
+  identicon(hash, options) {
+    let bits = hash.readUInt16BE(4) & 0x7fff;
+    if (bits === 0) {
+      bits = 0x7fff;
+    }
+    const fill = color(hash.readUInt16BE(0), hash[2]);
+    const shapes = [];
+    for (let row = 0; row < 5; row++) {
+      for (let column = 0; column < 3; column++) {
+        if (bits & (1 << (row * 3 + column))) {
+          for (const x of new Set([column, 4 - column])) {
+            shapes.push(`<rect x="${x + 1}" y="${row + 1}" width="1" height="1" fill="${fill}"/>`);
+          }
+        }
+      }
+    }
+    return svg(options.size, 7, '#f0f0f0', shapes);
+  },
+
+  // One byte per cell: shape, color and quarter turn
+  pattern(hash, options) {
+    const hue = hash.readUInt16BE(0);
+    const colors = [color(hue, hash[2]), color(hue + 150 + hash[3] % 60, hash[3])];
+    const shapes = [];
+    for (let cell = 0; cell < 16; cell++) {
+      const byte = hash[4 + cell];
+      const x = (cell % 4) * 10;
+      const y = Math.floor(cell / 4) * 10;
+      const fill = colors[(byte >> 2) & 1];
+      switch (byte & 3) {
+        case 0:
+          shapes.push(`<circle cx="${x + 5}" cy="${y + 5}" r="4" fill="${fill}"/>`);
+          break;
+        case 1:
+          shapes.push(`<rect x="${x + 1}" y="${y + 1}" width="8" height="8" fill="${fill}"/>`);
+          break;
+        case 2:
+          shapes.push(`<polygon points="${x + 5},${y} ${x + 10},${y + 5} ${x + 5},${y + 10} ${x},${y + 5}" fill="${fill}"/>`);
+          break;
+        default:
+          shapes.push(`<polygon points="${x},${y} ${x + 10},${y} ${x},${y + 10}" fill="${fill}" ` +
+            `transform="rotate(${((byte >> 3) & 3) * 90} ${x + 5} ${y + 5})"/>`);
+      }
+    }
+    return svg(options.size, 40, '#fafafa', shapes);
+  },
+
+  // Up to two initials in white on a hash-colored background
+  initials(hash, options) {
+    const words = String(options.name || '').trim().split(/\s+/).filter((word) => word.length > 0);
+    const initials = words.slice(0, 2).map((word) => Array.from(word)[0].toUpperCase()).join('');
+    const text = `<text x="50" y="50" dy=".35em" text-anchor="middle" font-family="sans-serif" font-size="40" fill="#ffffff">` +
+      `${escapeXml(initials)}</text>`;
+    return svg(options.size, 100, color(hash.readUInt16BE(0), hash[2]), [text]);
+  }
+};
+
+/**
+ * Render avatar hash bytes as an SVG
+ * @param {Buffer} hash - At least 20 hash bytes
+ * @param {Object} options - Render options
+ * @param {string} options.style - 'identicon' (default), 'pattern' or 'initials'
+ * @param {number} options.size - Width and height in pixels (default 64)
+ * @param {string} options.name - Display name whose initials the 'initials' style draws
+ * @returns {string} - SVG document
+ */
+function renderAvatar(hash, options = {}) {
+  const style = options.style || 'identicon';
+  if (!Object.prototype.hasOwnProperty.call(AVATAR_RENDERERS, style)) {
+    throw new Error(`Unknown avatar style: ${style}. Expected one of ${AVATAR_STYLES.join(', ')}`);
+  }
+  const size = options.size === undefined ? DEFAULT_AVATAR_SIZE : options.size;
+  if (!Number.isInteger(size) || size < 16 || size > 1024) {
+    throw new Error('Avatar size must be an integer from 16 to 1024 pixels');
+  }
+  return AVATAR_RENDERERS[style](hash, { ...options, size });
+}
+
+module.exports = {
+  AVATAR_STYLES,
+  renderAvatar
+};
@@ -0,0 +1,13 @@
+const { parentPort, workerData } = require('worker_threads');
+const { ConsentKeysPseudonymGenerator } = require('../index.js');
+const { processBatch } = require('./bulk');
+
+/**
+ * Worker thread for bulk generation: rebuilds the parent's generator once and
+ * answers batch messages with their results and failures.
+ */
+const generator = new ConsentKeysPseudonymGenerator(workerData.secretKey, workerData.options);
+
+parentPort.on('message', ({ id, batch, clientId, dataType }) => {
+  parentPort.postMessage({ id, ...processBatch(generator, batch, clientId, dataType) });
+});
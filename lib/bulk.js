@@ -0,0 +1,259 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { decodeClientKey } = require('./client-keys');
+
+/**
+ * High-Throughput Bulk Generation
+ *
+ * Generates pseudonyms for large ID sets (arrays, streams or any async iterable)
+ * in batches, either on the calling thread (yielding between batches so the event
+ * loop stays responsive) or fanned out across worker threads. Successes and
+ * failures are returned separately, and failures carry the reason per item.
+ */
+
+const DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * Group a (possibly async) iterable into batches of [index, userId] pairs
+ * @param {Iterable|AsyncIterable} source - User IDs
+ * @param {number} batchSize - Items per batch
+ * @returns {AsyncGenerator<Array>} - Batches
+ */
+async function* toBatches(source, batchSize) {
+  let batch = [];
+  let index = 0;
+  for await (const userId of source) {
+    batch.push([index++, userId]);
+    if (batch.length >= batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+/**
+ * Generate pseudonyms for one batch
+ * @param {ConsentKeysPseudonymGenerator} generator - Generator to use
+ * @param {Array} batch - [index, userId] pairs
+ * @param {string} clientId - Client/app identifier
+ * @param {string} dataType - Data type
+ * @returns {Object} - { results: [[index, userId, pseudonym]], failures: [{ index, userId, reason }] }
+ */
+function processBatch(generator, batch, clientId, dataType) {
+  const results = [];
+  const failures = [];
+  for (const [index, userId] of batch) {
+    try {
+      // Issued under the active key like generatePseudonym, but recorded in the
+      // audit log once per bulk run rather than once per user
+      results.push([index, userId, generator.generatePseudonymWithKey(userId, clientId, dataType, generator.activeKeyVersion)]);
+    } catch (error) {
+      failures.push({ index, userId, reason: error.message });
+    }
+  }
+  return { results, failures };
+}
+
+/**
+ * Describe a generator so worker threads can rebuild an identical one
+ * @param {ConsentKeysPseudonymGenerator} generator - Generator to copy
+ * @returns {Object} - { secretKey, options } constructor arguments
+ */
+function workerConfig(generator) {
+  if (generator.consentStore) {
+    throw new Error('Worker threads cannot read the consent store; run bulk generation without workers');
+  }
+  if ([...generator.normalizers.values()].some((normalizer) => normalizer.custom)) {
+    throw new Error('Worker threads cannot run custom normalizers; run bulk generation without workers');
+  }
+
+  let secretKey;
+  if (generator.clientScope !== null) {
+    secretKey = decodeClientKey(generator.deriveClientKey(generator.clientScope));
+  } else if (generator.versionedOutput) {
+    secretKey = {
+      keys: Object.fromEntries(generator.keys),
+      activeVersion: generator.activeKeyVersion,
+      legacyVersion: generator.legacyKeyVersion
+    };
+  } else {
+    secretKey = generator.keys.get(generator.activeKeyVersion);
+  }
+
+  return {
+    secretKey,
+    options: {
+      mode: generator.mode,
+      reidentificationKey: generator.reidentificationKey || undefined,
+      keyDerivation: generator.keyDerivation,
+      // Workers only issue pseudonyms, which never depend on the locale; locale packs
+      // registered at runtime do not exist in worker threads
+      relayDomain: generator.relayDomain,
+      ...generator.outputFormatOptions(),
+      ...generator.normalizerOptions()
+    }
+  };
+}
+
+/**
+ * Fixed-size pool of bulk workers, each handling one batch at a time
+ */
+class WorkerPool {
+  /**
+   * @param {number} size - Number of worker threads
+   * @param {Object} config - Generator constructor arguments from workerConfig()
+   */
+  constructor(size, config) {
+    this.idle = [];
+    this.waiting = [];
+    this.pending = new Map();
+    this.nextId = 0;
+    this.workers = [];
+
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(path.join(__dirname, 'bulk-worker.js'), { workerData: config });
+      worker.on('message', ({ id, ...result }) => {
+        const task = this.pending.get(id);
+        this.pending.delete(id);
+        this.release(worker);
+        task.resolve(result);
+      });
+      worker.on('error', (error) => {
+        for (const [id, task] of this.pending) {
+          if (task.worker === worker) {
+            this.pending.delete(id);
+            task.reject(error);
+          }
+        }
+      });
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  }
+
+  /**
+   * Hand a worker to the next waiting batch, or mark it idle
+   * @param {Worker} worker - Worker that finished a batch
+   */
+  release(worker) {
+    const next = this.waiting.shift();
+    if (next) {
+      next(worker);
+    } else {
+      this.idle.push(worker);
+    }
+  }
+
+  /**
+   * Run a batch on the next free worker
+   * @param {Object} message - { batch, clientId, dataType }
+   * @returns {Promise<Object>} - Batch result
+   */
+  async run(message) {
+    const worker = this.idle.pop() || await new Promise((resolve) => this.waiting.push(resolve));
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { worker, resolve, reject });
+      worker.postMessage({ id, ...message });
+    });
+  }
+
+  /**
+   * Stop every worker
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all(this.workers.map((worker) => worker.terminate()));
+  }
+}
+
+/**
+ * Generate pseudonyms for many users
+ * @param {ConsentKeysPseudonymGenerator} generator - Generator to use
+ * @param {Iterable|AsyncIterable} userIds - User IDs (array, generator, stream, ...)
+ * @param {string} clientId - Client/app identifier
+ * @param {Object} options - Bulk options
+ * @param {string} options.dataType - Data type for every pseudonym (default 'default')
+ * @param {number|boolean} options.workers - Worker threads to use; true for one per CPU (default none)
+ * @param {number} options.batchSize - User IDs per batch (default 1,000)
+ * @param {Function} options.onProgress - Called with the running stats after each batch
+ * @returns {Promise<Object>} - { results: Map(userId -> pseudonym), failures: [{ index, userId, reason }], stats }
+ */
+async function generateBulk(generator, userIds, clientId, options = {}) {
+  if (!userIds || (typeof userIds[Symbol.iterator] !== 'function' && typeof userIds[Symbol.asyncIterator] !== 'function')) {
+    throw new Error('userIds must be an array or (async) iterable');
+  }
+  if (!clientId || typeof clientId !== 'string' || clientId.trim().length === 0) {
+    throw new Error('clientId is required and must be a non-empty string');
+  }
+  const dataType = options.dataType || 'default';
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error('batchSize must be a positive integer');
+  }
+  let workers = options.workers === true ? os.availableParallelism() : (options.workers || 0);
+  if (!Number.isInteger(workers) || workers < 0) {
+    throw new Error('workers must be a non-negative integer or true');
+  }
+
+  const startedAt = Date.now();
+  const results = new Map();
+  const failures = [];
+  const stats = { processed: 0, succeeded: 0, failed: 0, duplicates: 0, workers, durationMs: 0 };
+
+  const merge = (batchResult) => {
+    for (const [, userId, pseudonym] of batchResult.results) {
+      if (results.has(userId)) {
+        stats.duplicates++;
+      } else {
+        results.set(userId, pseudonym);
+      }
+    }
+    failures.push(...batchResult.failures);
+    stats.succeeded += batchResult.results.length;
+    stats.failed += batchResult.failures.length;
+    stats.processed = stats.succeeded + stats.failed;
+    if (options.onProgress) {
+      options.onProgress({ ...stats, durationMs: Date.now() - startedAt });
+    }
+  };
+
+  if (workers === 0) {
+    for await (const batch of toBatches(userIds, batchSize)) {
+      merge(processBatch(generator, batch, clientId, dataType));
+      // Let I/O and timers run between batches
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  } else {
+    const pool = new WorkerPool(workers, workerConfig(generator));
+    try {
+      // Keep every worker busy with one batch queued behind it, without reading the whole source
+      const inFlight = new Set();
+      for await (const batch of toBatches(userIds, batchSize)) {
+        const task = pool.run({ batch, clientId, dataType }).then(merge);
+        inFlight.add(task);
+        task.then(() => inFlight.delete(task), () => {});
+        if (inFlight.size >= workers * 2) {
+          await Promise.race(inFlight);
+        }
+      }
+      await Promise.all(inFlight);
+    } finally {
+      await pool.close();
+    }
+  }
+
+  // Failures arrive per batch; keep them in input order
+  failures.sort((a, b) => a.index - b.index);
+  stats.durationMs = Date.now() - startedAt;
+  return { results, failures, stats };
+}
+
+module.exports = {
+  generateBulk,
+  processBatch
+};
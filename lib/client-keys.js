@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+
+/**
+ * Client-Scoped Keys
+ *
+ * With keyDerivation 'client', a generator keys each app's pseudonyms with an
+ * HKDF-SHA256 subkey of the master key instead of the master key itself:
+ *
+ *   clientKey = HKDF(sha256, masterKey, salt 'consentkeys-client-key', info clientId)
+ *
+ * Check tags are keyed per app in the same way, with an HKDF subkey of the master
+ * check-tag key, so pseudonyms are verified against the app they were issued to.
+ *
+ * An app team can then be handed its own client key (deriveClientKey) and build a
+ * restricted generator from it (fromClientKey). The restricted generator produces
+ * the same pseudonyms and fake data as the master generator, but only for that
+ * clientId, and holding the client key reveals nothing about other apps' keys and
+ * cannot produce check tags the master accepts for other apps.
+ */
+
+const CLIENT_KEY_PREFIX = 'ckclient2_';
+// Version 1 client keys carried the shared master check-tag key
+const RETIRED_CLIENT_KEY_PREFIXES = ['ckclient1_'];
+const CLIENT_KEY_SALT = 'consentkeys-client-key';
+const CLIENT_CHECK_KEY_SALT = 'consentkeys-client-check-tag';
+const CLIENT_KEY_LENGTH = 32;
+// HKDF-SHA256 accepts at most 1024 bytes of info
+const MAX_CLIENT_ID_BYTES = 1024;
+
+/**
+ * Derive a per-client subkey with HKDF-SHA256
+ * @param {KeyObject|Buffer} masterKey - Master key of one key version
+ * @param {string} salt - Purpose of the subkey
+ * @param {string} clientId - Trimmed client/app identifier
+ * @returns {Buffer} - 32-byte client subkey
+ */
+function deriveClientSubkey(masterKey, salt, clientId) {
+  const info = Buffer.from(clientId, 'utf8');
+  if (info.length > MAX_CLIENT_ID_BYTES) {
+    throw new Error(`clientId must be at most ${MAX_CLIENT_ID_BYTES} bytes to derive a client key`);
+  }
+  return Buffer.from(crypto.hkdfSync('sha256', masterKey, salt, info, CLIENT_KEY_LENGTH));
+}
+
+/**
+ * Derive a client's pseudonym key from a master key
+ * @param {KeyObject|Buffer} masterKey - Master secret key of one key version
+ * @param {string} clientId - Trimmed client/app identifier
+ * @returns {Buffer} - 32-byte client key
+ */
+function deriveClientSecret(masterKey, clientId) {
+  return deriveClientSubkey(masterKey, CLIENT_KEY_SALT, clientId);
+}
+
+/**
+ * Derive a client's check-tag key from the master check-tag key
+ * @param {KeyObject|Buffer} checkKey - Master check-tag key of one key version
+ * @param {string} clientId - Trimmed client/app identifier
+ * @returns {Buffer} - 32-byte client check-tag key
+ */
+function deriveClientCheckSecret(checkKey, clientId) {
+  return deriveClientSubkey(checkKey, CLIENT_CHECK_KEY_SALT, clientId);
+}
+
+/**
+ * Serialize a client key bundle into a single secret string
+ * @param {Object} bundle - { clientId, keys, checkKeys, activeVersion, legacyVersion, versionedOutput, options }
+ * @returns {string} - Client key (ckclient2_...)
+ */
+function encodeClientKey(bundle) {
+  return CLIENT_KEY_PREFIX + Buffer.from(JSON.stringify(bundle), 'utf8').toString('base64url');
+}
+
+/**
+ * Parse and validate a client key produced by encodeClientKey()
+ * @param {string|Object} clientKey - Client key string, or an already decoded bundle
+ * @returns {Object} - Client key bundle
+ */
+function decodeClientKey(clientKey) {
+  let bundle = clientKey;
+  if (typeof clientKey === 'string') {
+    if (RETIRED_CLIENT_KEY_PREFIXES.some((prefix) => clientKey.startsWith(prefix))) {
+      throw new Error('Client key uses a retired format; derive a new one from the master generator');
+    }
+    if (!clientKey.startsWith(CLIENT_KEY_PREFIX)) {
+      throw new Error('Client key is malformed');
+    }
+    try {
+      bundle = JSON.parse(Buffer.from(clientKey.substring(CLIENT_KEY_PREFIX.length), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('Client key is malformed');
+    }
+  }
+
+  if (!bundle || typeof bundle !== 'object' || typeof bundle.clientId !== 'string' || bundle.clientId.trim().length === 0) {
+    throw new Error('Client key must name a clientId');
+  }
+  const versions = Object.keys(bundle.keys || {});
+  if (versions.length === 0) {
+    throw new Error('Client key must contain at least one key');
+  }
+  for (const version of versions) {
+    const key = Buffer.from(String(bundle.keys[version]), 'base64url');
+    const checkKey = Buffer.from(String((bundle.checkKeys || {})[version] || ''), 'base64url');
+    if (key.length !== CLIENT_KEY_LENGTH || checkKey.length !== CLIENT_KEY_LENGTH) {
+      throw new Error(`Client key version ${version} is malformed`);
+    }
+  }
+  return bundle;
+}
+
+module.exports = {
+  CLIENT_KEY_PREFIX,
+  deriveClientSecret,
+  deriveClientCheckSecret,
+  encodeClientKey,
+  decodeClientKey
+};
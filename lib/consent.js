@@ -0,0 +1,234 @@
+/**
+ * Consent Store
+ *
+ * In-memory record of what each user has agreed to share:
+ * - Grants: which dataTypes (id, email, name, address, ...) an app may receive
+ * - Links: explicit consent to connect a user's pseudonyms between two apps
+ *
+ * Every grant keeps its grant and revoke timestamps so the history stays reviewable.
+ * Each revocation starts a new pseudonym epoch for that user and app.
+ */
+class ConsentStore {
+  constructor() {
+    // userId -> Map(clientId -> { dataTypes: Map(dataType -> { grantedAt, revokedAt }), epoch })
+    this.grants = new Map();
+    // userId -> Map(pair key -> { clientIds, grantedAt, revokedAt })
+    this.links = new Map();
+  }
+
+  /**
+   * Get (or create) the consent record for a user and app
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @returns {Object} - Mutable consent record
+   */
+  getRecord(userId, clientId) {
+    if (!this.grants.has(userId)) {
+      this.grants.set(userId, new Map());
+    }
+    const userGrants = this.grants.get(userId);
+    if (!userGrants.has(clientId)) {
+      userGrants.set(clientId, { dataTypes: new Map(), epoch: 0 });
+    }
+    return userGrants.get(clientId);
+  }
+
+  /**
+   * Validate and trim a list of dataTypes
+   * @param {Array<string>} dataTypes - Data types to validate
+   * @returns {Array<string>} - Trimmed data types
+   */
+  normalizeDataTypes(dataTypes) {
+    if (!Array.isArray(dataTypes) || dataTypes.length === 0) {
+      throw new Error('dataTypes must be a non-empty array');
+    }
+    return dataTypes.map((dataType) => this.normalizeIds({ dataType }).dataType);
+  }
+
+  /**
+   * Record a user's consent to share dataTypes with an app
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {Array<string>} dataTypes - Data types the app may receive
+   * @returns {Object} - Current consent for this user and app
+   */
+  grant(userId, clientId, dataTypes) {
+    ({ userId, clientId } = this.normalizeIds({ userId, clientId }));
+    const record = this.getRecord(userId, clientId);
+    const grantedAt = new Date().toISOString();
+    
+    for (const dataType of this.normalizeDataTypes(dataTypes)) {
+      const existing = record.dataTypes.get(dataType);
+      if (!existing || existing.revokedAt) {
+        record.dataTypes.set(dataType, { grantedAt, revokedAt: null });
+      }
+    }
+    return this.getConsent(userId, clientId);
+  }
+
+  /**
+   * Revoke a user's consent for some or all dataTypes of an app.
+   * Any revocation moves the user and app to a new pseudonym epoch.
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {Array<string>} dataTypes - Data types to revoke, all granted types if omitted
+   * @returns {Object} - Current consent for this user and app
+   */
+  revoke(userId, clientId, dataTypes) {
+    ({ userId, clientId } = this.normalizeIds({ userId, clientId }));
+    const record = this.getRecord(userId, clientId);
+    const revokedAt = new Date().toISOString();
+    const targets = dataTypes === undefined ? [...record.dataTypes.keys()] : this.normalizeDataTypes(dataTypes);
+    
+    let revoked = false;
+    for (const dataType of targets) {
+      const grant = record.dataTypes.get(dataType);
+      if (grant && !grant.revokedAt) {
+        grant.revokedAt = revokedAt;
+        revoked = true;
+      }
+    }
+    if (revoked) {
+      record.epoch++;
+    }
+    return this.getConsent(userId, clientId);
+  }
+
+  /**
+   * Check whether a user currently consents to share a dataType with an app
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {string} dataType - Data type to share
+   * @returns {boolean} - True if an active grant exists
+   */
+  isAllowed(userId, clientId, dataType) {
+    ({ userId, clientId, dataType } = this.normalizeIds({ userId, clientId, dataType }));
+    const userGrants = this.grants.get(userId);
+    const record = userGrants && userGrants.get(clientId);
+    const grant = record && record.dataTypes.get(dataType);
+    return Boolean(grant && !grant.revokedAt);
+  }
+
+  /**
+   * Get the current pseudonym epoch for a user and app
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @returns {number} - Number of revocations so far
+   */
+  getEpoch(userId, clientId) {
+    ({ userId, clientId } = this.normalizeIds({ userId, clientId }));
+    const userGrants = this.grants.get(userId);
+    const record = userGrants && userGrants.get(clientId);
+    return record ? record.epoch : 0;
+  }
+
+  /**
+   * Get a snapshot of a user's consent for an app
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @returns {Object} - Allowed dataTypes, full grant history and current epoch
+   */
+  getConsent(userId, clientId) {
+    ({ userId, clientId } = this.normalizeIds({ userId, clientId }));
+    const userGrants = this.grants.get(userId);
+    const record = userGrants && userGrants.get(clientId);
+    if (!record) {
+      return { userId, clientId, allowed: [], grants: {}, epoch: 0 };
+    }
+    
+    const grants = {};
+    const allowed = [];
+    for (const [dataType, grant] of record.dataTypes) {
+      grants[dataType] = { ...grant };
+      if (!grant.revokedAt) {
+        allowed.push(dataType);
+      }
+    }
+    return { userId, clientId, allowed, grants, epoch: record.epoch };
+  }
+
+  /**
+   * Build an order-independent key for a pair of apps
+   * @param {string} clientA - First client/app identifier
+   * @param {string} clientB - Second client/app identifier
+   * @returns {string} - Pair key
+   */
+  linkKey(clientA, clientB) {
+    return JSON.stringify([clientA, clientB].sort());
+  }
+
+  /**
+   * Validate and trim consent identifiers
+   * @param {Object} identifiers - Named identifiers to validate
+   * @returns {Object} - Trimmed identifiers
+   */
+  normalizeIds(identifiers) {
+    const normalized = {};
+    for (const [name, value] of Object.entries(identifiers)) {
+      if (!value || typeof value !== 'string' || value.trim().length === 0) {
+        throw new Error(`${name} is required and must be a non-empty string`);
+      }
+      normalized[name] = value.trim();
+    }
+    return normalized;
+  }
+
+  /**
+   * Record a user's consent to link their pseudonyms between two apps
+   * @param {string} userId - User identifier
+   * @param {string} clientA - First client/app identifier
+   * @param {string} clientB - Second client/app identifier
+   * @returns {Object} - Link grant record
+   */
+  grantLink(userId, clientA, clientB) {
+    ({ userId, clientA, clientB } = this.normalizeIds({ userId, clientA, clientB }));
+    if (clientA === clientB) {
+      throw new Error('A link grant requires two different clients');
+    }
+    
+    if (!this.links.has(userId)) {
+      this.links.set(userId, new Map());
+    }
+    const grant = {
+      clientIds: [clientA, clientB].sort(),
+      grantedAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    this.links.get(userId).set(this.linkKey(clientA, clientB), grant);
+    return { ...grant };
+  }
+
+  /**
+   * Revoke a user's consent to link two apps
+   * @param {string} userId - User identifier
+   * @param {string} clientA - First client/app identifier
+   * @param {string} clientB - Second client/app identifier
+   * @returns {boolean} - True if an active grant was revoked
+   */
+  revokeLink(userId, clientA, clientB) {
+    ({ userId, clientA, clientB } = this.normalizeIds({ userId, clientA, clientB }));
+    const grant = this.links.has(userId) && this.links.get(userId).get(this.linkKey(clientA, clientB));
+    if (!grant || grant.revokedAt) {
+      return false;
+    }
+    grant.revokedAt = new Date().toISOString();
+    return true;
+  }
+
+  /**
+   * Check whether a user currently consents to linking two apps
+   * @param {string} userId - User identifier
+   * @param {string} clientA - First client/app identifier
+   * @param {string} clientB - Second client/app identifier
+   * @returns {boolean} - True if an active link grant exists
+   */
+  hasLink(userId, clientA, clientB) {
+    const userLinks = this.links.get(userId);
+    const grant = userLinks && userLinks.get(this.linkKey(clientA, clientB));
+    return Boolean(grant && !grant.revokedAt);
+  }
+}
+
+module.exports = {
+  ConsentStore
+};
@@ -0,0 +1,357 @@
+/**
+ * Pseudonym Output Formats
+ *
+ * A pseudonym is rendered as prefix + body + check tag in one of several encodings,
+ * so it fits the column it is stored in:
+ *   base64url - default, compact (ck_ + 16 + 8 characters)
+ *   base32    - Crockford alphabet, for case-insensitive systems
+ *   hex       - lowercase hexadecimal
+ *   numeric   - digits only
+ *   uuid      - UUID-shaped (version 8, RFC 9562 custom layout) for UUID columns
+ *
+ * Only base64url pseudonyms carry a key version marker (ck_v2_...); the other
+ * encodings must stay within a fixed alphabet, so their key version is recovered
+ * from the check tag instead.
+ */
+
+const CROCKFORD_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Smallest body accepted for any encoding, in bits
+const MIN_BODY_BITS = 32;
+
+/**
+ * Encode bytes as Crockford base32
+ * @param {Buffer} bytes - Bytes to encode
+ * @param {number} length - Number of characters to produce
+ * @returns {string} - Base32 characters
+ */
+function toCrockfordBase32(bytes, length) {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5 && output.length < length) {
+      output += CROCKFORD_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    buffer &= (1 << bits) - 1;
+  }
+  return output;
+}
+
+/**
+ * Encode bytes as a fixed number of decimal digits
+ * @param {Buffer} bytes - Bytes to encode (must carry well over length * 3.33 bits)
+ * @param {number} length - Number of digits to produce
+ * @returns {string} - Zero-padded digits
+ */
+function toDigits(bytes, length) {
+  const value = BigInt(`0x${bytes.toString('hex')}`) % (10n ** BigInt(length));
+  return value.toString().padStart(length, '0');
+}
+
+/**
+ * Supported encodings. length and tagLength are in characters of the encoding;
+ * maxLength keeps the body within the 256 bits of an HMAC-SHA256 digest.
+ */
+const OUTPUT_ENCODINGS = {
+  base64url: {
+    characters: 'A-Za-z0-9_-',
+    bitsPerCharacter: 6,
+    defaultLength: 16,
+    // Reversible bodies are at least 41 characters, so HMAC bodies stay shorter
+    maxLength: 40,
+    tagLength: 8,
+    markers: true,
+    encode: (bytes, length) => bytes.toString('base64url').substring(0, length),
+    canonical: (value) => value
+  },
+  base32: {
+    characters: '0-9A-Za-z',
+    bitsPerCharacter: 5,
+    defaultLength: 20,
+    maxLength: 51,
+    tagLength: 8,
+    encode: toCrockfordBase32,
+    // Crockford decoding: case-insensitive, I and L read as 1, O as 0
+    canonical: (value) => value.toUpperCase().replace(/[IL]/g, '1').replace(/O/g, '0'),
+    valid: (value) => /^[0-9A-HJKMNP-TV-Z]*$/.test(value)
+  },
+  hex: {
+    characters: '0-9A-Fa-f',
+    bitsPerCharacter: 4,
+    defaultLength: 24,
+    maxLength: 64,
+    tagLength: 10,
+    encode: (bytes, length) => bytes.toString('hex').substring(0, length),
+    canonical: (value) => value.toLowerCase()
+  },
+  numeric: {
+    characters: '0-9',
+    bitsPerCharacter: Math.log2(10),
+    defaultLength: 20,
+    maxLength: 60,
+    tagLength: 12,
+    defaultPrefix: '',
+    encode: toDigits,
+    canonical: (value) => value
+  },
+  uuid: {
+    characters: '0-9A-Fa-f',
+    bitsPerCharacter: 4,
+    defaultLength: 20,
+    maxLength: 20,
+    tagLength: 10,
+    defaultPrefix: '',
+    fixedLength: true,
+    encode: (bytes, length) => bytes.toString('hex').substring(0, length),
+    canonical: (value) => value.toLowerCase()
+  }
+};
+
+/**
+ * Resolve a format spec into a complete output format
+ * @param {Object} spec - { prefix, encoding, length }, any of which may be omitted
+ * @param {Object} base - Format to inherit the prefix and encoding from
+ * @returns {Object} - { prefix, encoding, length, tagLength, bits, markers }
+ */
+function resolveOutputFormat(spec = {}, base = null) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('Output format must be an object with prefix, encoding and/or length');
+  }
+
+  const encodingName = spec.encoding || (base ? base.encoding : 'base64url');
+  const encoding = OUTPUT_ENCODINGS[encodingName];
+  if (!encoding) {
+    throw new Error(`Unknown output encoding: ${encodingName}. Expected one of ${Object.keys(OUTPUT_ENCODINGS).join(', ')}`);
+  }
+
+  let prefix = spec.prefix;
+  if (prefix === undefined) {
+    if (encoding.defaultPrefix !== undefined) {
+      prefix = encoding.defaultPrefix;
+    } else {
+      prefix = base ? base.prefix : 'ck_';
+    }
+  }
+  if (typeof prefix !== 'string' || !/^[A-Za-z0-9_.:-]{0,32}$/.test(prefix)) {
+    throw new Error('Prefix must be at most 32 letters, digits, _, ., : or -');
+  }
+  if (encodingName === 'uuid' && prefix !== '') {
+    throw new Error('UUID-shaped pseudonyms cannot have a prefix');
+  }
+
+  // Lengths are in characters of the encoding, so only inherit them within the same encoding
+  let length = spec.length;
+  if (length === undefined) {
+    length = base && base.encoding === encodingName ? base.length : encoding.defaultLength;
+  }
+  const minLength = Math.ceil(MIN_BODY_BITS / encoding.bitsPerCharacter);
+  if (encoding.fixedLength && length !== encoding.defaultLength) {
+    throw new Error(`${encodingName} pseudonyms have a fixed length of ${encoding.defaultLength}`);
+  }
+  if (!Number.isInteger(length) || length < minLength || length > encoding.maxLength) {
+    throw new Error(`${encodingName} output length must be an integer from ${minLength} to ${encoding.maxLength}`);
+  }
+
+  return {
+    prefix,
+    encoding: encodingName,
+    length,
+    tagLength: encoding.tagLength,
+    bits: length * encoding.bitsPerCharacter,
+    markers: encoding.markers === true
+  };
+}
+
+/**
+ * Encode digest bytes as a body or check tag
+ * @param {Object} format - Resolved output format
+ * @param {Buffer} bytes - Digest bytes
+ * @param {number} length - Number of characters to produce
+ * @returns {string} - Encoded characters
+ */
+function encodeOutput(format, bytes, length) {
+  return OUTPUT_ENCODINGS[format.encoding].encode(bytes, length);
+}
+
+/**
+ * Render a pseudonym from its parts
+ * @param {Object} format - Resolved output format
+ * @param {string} marker - Key version marker (base64url only)
+ * @param {string} body - Encoded body
+ * @param {string} tag - Encoded check tag
+ * @returns {string} - Pseudonym
+ */
+function renderPseudonym(format, marker, body, tag) {
+  if (format.encoding === 'uuid') {
+    // 8-4-4-4-12 with version nibble 8 and RFC 4122 variant nibble 8
+    const hex = body + tag;
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-8${hex.slice(12, 15)}-8${hex.slice(15, 18)}-${hex.slice(18, 30)}`;
+  }
+  return format.prefix + marker + body + tag;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Canonicalize an untagged pseudonym body (with its version marker), as used in
+ * fake email local parts
+ * @param {Object} format - Resolved output format
+ * @param {string} value - Candidate version marker and body, without prefix or tag
+ * @returns {string|null} - Canonical marker and body, or null if it does not fit the format
+ */
+function matchUntaggedBody(format, value) {
+  const encoding = OUTPUT_ENCODINGS[format.encoding];
+  const chars = `[${encoding.characters}]`;
+  if (format.encoding === 'base64url') {
+    return new RegExp(`^(?:v\\d+_)?${chars}{${format.length}}$`).test(value) ? value : null;
+  }
+
+  const flags = format.encoding === 'numeric' ? '' : 'i';
+  if (!new RegExp(`^${chars}{${format.length}}$`, flags).test(value)) {
+    return null;
+  }
+  const body = encoding.canonical(value);
+  return encoding.valid && !encoding.valid(body) ? null : body;
+}
+
+/**
+ * Split a pseudonym into its parts if it has the shape of an output format
+ * @param {Object} format - Resolved output format
+ * @param {string} pseudonym - Candidate pseudonym
+ * @returns {Object|null} - { markerVersion, marker, body, tag, reversible, canonical }, or null
+ */
+function matchOutputFormat(format, pseudonym) {
+  const encoding = OUTPUT_ENCODINGS[format.encoding];
+  const prefix = escapeRegExp(format.prefix);
+
+  if (format.encoding === 'base64url') {
+    const chars = `[${encoding.characters}]`;
+    const match = new RegExp(`^${prefix}(v(\\d+)_)?(r_${chars}{39,}|${chars}{${format.length}})(${chars}{${format.tagLength}})$`)
+      .exec(pseudonym);
+    if (!match) {
+      return null;
+    }
+    return {
+      markerVersion: match[2] === undefined ? null : Number(match[2]),
+      marker: match[1] || '',
+      body: match[3],
+      tag: match[4],
+      reversible: match[3].startsWith('r_') && match[3].length > format.length,
+      canonical: pseudonym
+    };
+  }
+
+  let raw;
+  if (format.encoding === 'uuid') {
+    const match = /^([0-9a-f]{8})-([0-9a-f]{4})-8([0-9a-f]{3})-8([0-9a-f]{3})-([0-9a-f]{12})$/i.exec(pseudonym);
+    raw = match ? match.slice(1).join('') : null;
+  } else {
+    // Prefixes compare case-insensitively where the body does too
+    const flags = format.encoding === 'numeric' ? '' : 'i';
+    const match = new RegExp(`^${prefix}([${encoding.characters}]{${format.length + format.tagLength}})$`, flags)
+      .exec(pseudonym);
+    raw = match ? match[1] : null;
+  }
+  if (raw === null) {
+    return null;
+  }
+
+  raw = encoding.canonical(raw);
+  if (encoding.valid && !encoding.valid(raw)) {
+    return null;
+  }
+  const body = raw.substring(0, format.length);
+  const tag = raw.substring(format.length);
+  return {
+    markerVersion: null,
+    marker: '',
+    body,
+    tag,
+    reversible: false,
+    canonical: renderPseudonym(format, '', body, tag)
+  };
+}
+
+/**
+ * Estimate the chance of any collision among a population of pseudonyms (birthday bound)
+ * @param {number} population - Number of distinct identities
+ * @param {number} bits - Bits in each pseudonym body
+ * @returns {Object} - { probability, expectedCollisions }
+ */
+function collisionProbability(population, bits) {
+  if (!Number.isInteger(population) || population < 0) {
+    throw new Error('population must be a non-negative integer');
+  }
+  const pairs = (population * (population - 1)) / 2;
+  const expectedCollisions = pairs / Math.pow(2, bits);
+  return {
+    probability: -Math.expm1(-expectedCollisions),
+    expectedCollisions
+  };
+}
+
+/**
+ * Find pseudonyms that were issued for more than one identity
+ * @param {Array<string|Object>} issued - Pseudonyms, or records with pseudonym, userId,
+ *   clientId and dataType (as stored by a PseudonymRegistry)
+ * @returns {Object} - { checked, unique, collisions: [{ pseudonym, count, identities }] }
+ */
+function findCollisions(issued) {
+  if (!Array.isArray(issued)) {
+    throw new Error('issued must be an array of pseudonyms or pseudonym records');
+  }
+
+  const groups = new Map();
+  for (const entry of issued) {
+    const pseudonym = typeof entry === 'string' ? entry : entry && entry.pseudonym;
+    if (!pseudonym || typeof pseudonym !== 'string') {
+      throw new Error('Each issued entry must be a pseudonym or a record with a pseudonym');
+    }
+
+    // Plain strings are assumed to come from distinct identities; records are compared
+    const identity = typeof entry === 'string'
+      ? null
+      : JSON.stringify([entry.userId, entry.clientId, entry.dataType]);
+    if (!groups.has(pseudonym)) {
+      groups.set(pseudonym, { count: 0, identities: new Set(), anonymous: 0 });
+    }
+    const group = groups.get(pseudonym);
+    group.count++;
+    if (identity === null) {
+      group.anonymous++;
+    } else {
+      group.identities.add(identity);
+    }
+  }
+
+  const collisions = [];
+  for (const [pseudonym, group] of groups) {
+    const identities = group.identities.size + group.anonymous;
+    if (identities > 1) {
+      collisions.push({ pseudonym, count: group.count, identities });
+    }
+  }
+  return { checked: issued.length, unique: groups.size, collisions };
+}
+
+module.exports = {
+  OUTPUT_ENCODINGS,
+  resolveOutputFormat,
+  encodeOutput,
+  renderPseudonym,
+  matchOutputFormat,
+  matchUntaggedBody,
+  collisionProbability,
+  findCollisions
+};
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+
+/**
+ * Format-Preserving Pseudonymization
+ *
+ * - Format descriptions: an alphabet plus length, a mask like 'DDD-DD-DDDD', or a preset name
+ * - FF1 format-preserving encryption (NIST SP 800-38G) for reversible tokens
+ *
+ * Mask placeholders:
+ *   D - digit (0-9)
+ *   A - uppercase letter (A-Z)
+ *   a - lowercase letter (a-z)
+ *   X - digit or uppercase letter (0-9, A-Z)
+ * Any other character is kept as a literal; prefix a placeholder with \ to make it literal.
+ */
+
+const MASK_ALPHABETS = {
+  D: '0123456789',
+  A: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  a: 'abcdefghijklmnopqrstuvwxyz',
+  X: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+};
+
+// Common structured identifiers
+const FORMAT_PRESETS = {
+  ssn: 'DDD-DD-DDDD',
+  phone: 'DDDDDDDDDD',
+  card: 'DDDDDDDDDDDDDDDD',
+  account: 'DDDDDDDDDDDD'
+};
+
+// FF1 requires radix^length >= 1,000,000 to resist domain enumeration
+const MIN_FF1_DOMAIN = 1000000n;
+
+/**
+ * Parse a format description into literal and placeholder slots
+ * @param {string|Object} format - Preset name, mask string, or { alphabet, length }
+ * @returns {Object} - { slots, placeholderCount, alphabet } where alphabet is set
+ *   when every placeholder shares one alphabet
+ */
+function parseFormat(format) {
+  const slots = [];
+  
+  if (typeof format === 'string') {
+    const mask = FORMAT_PRESETS[format] || format;
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i] === '\\' && i + 1 < mask.length) {
+        slots.push({ literal: mask[++i] });
+      } else if (Object.prototype.hasOwnProperty.call(MASK_ALPHABETS, mask[i])) {
+        slots.push({ alphabet: MASK_ALPHABETS[mask[i]] });
+      } else {
+        slots.push({ literal: mask[i] });
+      }
+    }
+  } else if (format && typeof format === 'object') {
+    const { alphabet, length } = format;
+    if (typeof alphabet !== 'string' || alphabet.length < 2) {
+      throw new Error('Format alphabet must be a string of at least 2 characters');
+    }
+    if (new Set(alphabet).size !== alphabet.length) {
+      throw new Error('Format alphabet must not repeat characters');
+    }
+    if (!Number.isInteger(length) || length < 1) {
+      throw new Error('Format length must be a positive integer');
+    }
+    for (let i = 0; i < length; i++) {
+      slots.push({ alphabet });
+    }
+  } else {
+    throw new Error('Format must be a preset name, a mask string or an { alphabet, length } object');
+  }
+  
+  const alphabets = new Set(slots.filter((slot) => slot.alphabet).map((slot) => slot.alphabet));
+  if (alphabets.size === 0) {
+    throw new Error('Format must contain at least one placeholder');
+  }
+  
+  return {
+    slots,
+    placeholderCount: slots.filter((slot) => slot.alphabet).length,
+    alphabet: alphabets.size === 1 ? [...alphabets][0] : null
+  };
+}
+
+/**
+ * Split a value into numerals according to a parsed format
+ * @param {string} value - Value shaped like the format
+ * @param {Object} parsed - Parsed format
+ * @returns {Array<number>} - Numerals of the placeholder characters, in order
+ */
+function toNumerals(value, parsed) {
+  const characters = [...value];
+  if (characters.length !== parsed.slots.length) {
+    throw new Error(`Value must be ${parsed.slots.length} characters long to match the format`);
+  }
+  
+  const numerals = [];
+  parsed.slots.forEach((slot, i) => {
+    if (slot.literal !== undefined) {
+      if (characters[i] !== slot.literal) {
+        throw new Error(`Value does not match the format at position ${i + 1}`);
+      }
+      return;
+    }
+    const numeral = slot.alphabet.indexOf(characters[i]);
+    if (numeral === -1) {
+      throw new Error(`Value does not match the format at position ${i + 1}`);
+    }
+    numerals.push(numeral);
+  });
+  return numerals;
+}
+
+/**
+ * Render numerals back into a value shaped like the format
+ * @param {Array<number>} numerals - Numerals of the placeholder characters
+ * @param {Object} parsed - Parsed format
+ * @returns {string} - Formatted value
+ */
+function fromNumerals(numerals, parsed) {
+  let next = 0;
+  return parsed.slots
+    .map((slot) => (slot.literal !== undefined ? slot.literal : slot.alphabet[numerals[next++]]))
+    .join('');
+}
+
+/**
+ * Interpret a numeral string as a number (NUM_radix)
+ * @param {Array<number>} numerals - Most significant numeral first
+ * @param {bigint} radix - Radix
+ * @returns {bigint} - Numeric value
+ */
+function numeralsToNumber(numerals, radix) {
+  return numerals.reduce((total, numeral) => total * radix + BigInt(numeral), 0n);
+}
+
+/**
+ * Render a number as a fixed-length numeral string (STR^m_radix)
+ * @param {bigint} value - Numeric value
+ * @param {bigint} radix - Radix
+ * @param {number} length - Number of numerals
+ * @returns {Array<number>} - Most significant numeral first
+ */
+function numberToNumerals(value, radix, length) {
+  const numerals = new Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    numerals[i] = Number(value % radix);
+    value /= radix;
+  }
+  return numerals;
+}
+
+/**
+ * Encode a number as big-endian bytes
+ * @param {bigint} value - Non-negative value
+ * @param {number} length - Number of bytes
+ * @returns {Buffer} - Big-endian bytes
+ */
+function numberToBytes(value, length) {
+  const bytes = Buffer.alloc(length);
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+/**
+ * Create the FF1 round function for a key, tweak and domain
+ * @param {Buffer} key - AES key (16, 24 or 32 bytes)
+ * @param {Buffer} tweak - Tweak bytes
+ * @param {number} radix - Radix of the numerals
+ * @param {number} n - Number of numerals
+ * @returns {Object} - { u, v, round(i, numerals, m) } where round returns y for that round
+ */
+function createFF1(key, tweak, radix, n) {
+  if (![16, 24, 32].includes(key.length)) {
+    throw new Error('FF1 key must be 16, 24 or 32 bytes');
+  }
+  if (radix < 2 || radix > 65536) {
+    throw new Error('FF1 radix must be between 2 and 65536');
+  }
+  const bigRadix = BigInt(radix);
+  if (n < 2 || bigRadix ** BigInt(n) < MIN_FF1_DOMAIN) {
+    throw new Error('Format domain is too small for format-preserving encryption (needs at least 1,000,000 values)');
+  }
+  
+  const algorithm = `aes-${key.length * 8}`;
+  const u = Math.floor(n / 2);
+  const v = n - u;
+  
+  // b: bytes needed for NUM_radix of the longer half, d: bytes of PRF output used
+  const b = Math.ceil((bigRadix ** BigInt(v) - 1n).toString(2).length / 8);
+  const d = 4 * Math.ceil(b / 4) + 4;
+  
+  const P = Buffer.concat([
+    Buffer.from([1, 2, 1]),
+    numberToBytes(bigRadix, 3),
+    Buffer.from([10, u % 256]),
+    numberToBytes(BigInt(n), 4),
+    numberToBytes(BigInt(tweak.length), 4)
+  ]);
+  const padding = Buffer.alloc((((-tweak.length - b - 1) % 16) + 16) % 16);
+  
+  const ecb = (block) => {
+    const cipher = crypto.createCipheriv(`${algorithm}-ecb`, key, null);
+    cipher.setAutoPadding(false);
+    return cipher.update(block);
+  };
+  
+  return {
+    u,
+    v,
+    round(i, numerals, m) {
+      const Q = Buffer.concat([tweak, padding, Buffer.from([i]), numberToBytes(numeralsToNumber(numerals, bigRadix), b)]);
+      
+      // PRF is CBC-MAC with a zero IV: the last block of a CBC encryption
+      const cbc = crypto.createCipheriv(`${algorithm}-cbc`, key, Buffer.alloc(16));
+      cbc.setAutoPadding(false);
+      const encrypted = cbc.update(Buffer.concat([P, Q]));
+      const R = encrypted.subarray(encrypted.length - 16);
+      
+      // Extend R to d bytes with CIPH(R xor [j]^16)
+      const blocks = [R];
+      for (let j = 1; j < Math.ceil(d / 16); j++) {
+        const block = Buffer.from(R);
+        const counter = numberToBytes(BigInt(j), 16);
+        for (let k = 0; k < 16; k++) {
+          block[k] ^= counter[k];
+        }
+        blocks.push(ecb(block));
+      }
+      const S = Buffer.concat(blocks).subarray(0, d);
+      
+      return BigInt(`0x${S.toString('hex')}`) % bigRadix ** BigInt(m);
+    }
+  };
+}
+
+/**
+ * FF1 encrypt a numeral string
+ * @param {Buffer} key - AES key
+ * @param {Buffer} tweak - Tweak bytes
+ * @param {number} radix - Radix of the numerals
+ * @param {Array<number>} numerals - Plaintext numerals
+ * @returns {Array<number>} - Ciphertext numerals
+ */
+function ff1Encrypt(key, tweak, radix, numerals) {
+  const ff1 = createFF1(key, tweak, radix, numerals.length);
+  const bigRadix = BigInt(radix);
+  let A = numerals.slice(0, ff1.u);
+  let B = numerals.slice(ff1.u);
+  
+  for (let i = 0; i < 10; i++) {
+    const m = i % 2 === 0 ? ff1.u : ff1.v;
+    const modulus = bigRadix ** BigInt(m);
+    const c = (numeralsToNumber(A, bigRadix) + ff1.round(i, B, m)) % modulus;
+    A = B;
+    B = numberToNumerals(c, bigRadix, m);
+  }
+  return A.concat(B);
+}
+
+/**
+ * FF1 decrypt a numeral string
+ * @param {Buffer} key - AES key
+ * @param {Buffer} tweak - Tweak bytes
+ * @param {number} radix - Radix of the numerals
+ * @param {Array<number>} numerals - Ciphertext numerals
+ * @returns {Array<number>} - Plaintext numerals
+ */
+function ff1Decrypt(key, tweak, radix, numerals) {
+  const ff1 = createFF1(key, tweak, radix, numerals.length);
+  const bigRadix = BigInt(radix);
+  let A = numerals.slice(0, ff1.u);
+  let B = numerals.slice(ff1.u);
+  
+  for (let i = 9; i >= 0; i--) {
+    const m = i % 2 === 0 ? ff1.u : ff1.v;
+    const modulus = bigRadix ** BigInt(m);
+    const c = ((numeralsToNumber(B, bigRadix) - ff1.round(i, A, m)) % modulus + modulus) % modulus;
+    B = A;
+    A = numberToNumerals(c, bigRadix, m);
+  }
+  return A.concat(B);
+}
+
+/**
+ * Derive deterministic numerals for every placeholder of a format from a keyed hash
+ * @param {Buffer} key - HMAC key
+ * @param {Buffer} input - Bytes to hash
+ * @param {Object} parsed - Parsed format
+ * @returns {Array<number>} - Numerals, one per placeholder
+ */
+function hashToNumerals(key, input, parsed) {
+  // Expand the hash in 32-byte blocks until there are 64 spare bits to keep modulo bias negligible
+  const domain = parsed.slots
+    .filter((slot) => slot.alphabet)
+    .reduce((total, slot) => total * BigInt(slot.alphabet.length), 1n);
+  const bytesNeeded = Math.ceil(domain.toString(2).length / 8) + 8;
+  
+  const blocks = [];
+  for (let counter = 0; blocks.length * 32 < bytesNeeded; counter++) {
+    blocks.push(crypto.createHmac('sha256', key).update(input).update(Buffer.from([counter])).digest());
+  }
+  let value = BigInt(`0x${Buffer.concat(blocks).toString('hex')}`) % domain;
+  
+  // Peel off one numeral per placeholder, last placeholder first
+  const numerals = [];
+  const alphabets = parsed.slots.filter((slot) => slot.alphabet).map((slot) => slot.alphabet);
+  for (let i = alphabets.length - 1; i >= 0; i--) {
+    const radix = BigInt(alphabets[i].length);
+    numerals[i] = Number(value % radix);
+    value /= radix;
+  }
+  return numerals;
+}
+
+module.exports = {
+  FORMAT_PRESETS,
+  parseFormat,
+  toNumerals,
+  fromNumerals,
+  ff1Encrypt,
+  ff1Decrypt,
+  hashToNumerals
+};
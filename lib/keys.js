@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+/**
+ * Secret Key Management
+ *
+ * Every key handed to the generator goes through importSecretKey(), which rejects
+ * short or low-entropy keys and returns a secret KeyObject, so key material is
+ * never held as a plain string. Keys can be loaded from:
+ * - an environment variable (loadKeyFromEnv)
+ * - a key file readable only by its owner (loadKeyFromFile)
+ * - a passphrase stretched with scrypt (deriveKeyFromPassphrase); the returned
+ *   parameters (salt and cost) must be stored to derive the same key again
+ *
+ * Generate new keys with `node -e "console.log(require('crypto').randomBytes(32).toString('base64url'))"`.
+ */
+
+const MIN_KEY_LENGTH = 32;
+// Random keys of 128 bits or more (32 hex characters, 22+ base64 characters) estimate
+// at 90 bits or above; repeated, sequential or low-variety keys fall well below
+const MIN_KEY_ENTROPY_BITS = 80;
+const MIN_PASSPHRASE_LENGTH = 16;
+const MIN_PASSPHRASE_ENTROPY_BITS = 50;
+
+// Default scrypt cost: 64 MiB and a few hundred milliseconds per derivation
+const SCRYPT_DEFAULTS = { N: 2 ** 16, r: 8, p: 1, keyLength: 32 };
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Estimate the entropy of a key in bits. Each character is worth log2 of the
+ * smaller of its character set (hex, letters, digits, symbols; bytes for Buffers)
+ * and the number of distinct characters used, and characters that continue a run,
+ * an ascending or descending sequence, or an earlier three-character chunk are
+ * worth nothing. The estimate is conservative: it cannot see dictionary words.
+ * @param {string|Buffer} key - Key material
+ * @returns {number} - Estimated entropy in bits, rounded down
+ */
+function estimateKeyEntropy(key) {
+  const text = Buffer.isBuffer(key) ? key.toString('latin1') : String(key);
+  if (text.length === 0) {
+    return 0;
+  }
+
+  let charset;
+  if (Buffer.isBuffer(key)) {
+    charset = 256;
+  } else if (/^[0-9a-f]+$/i.test(text)) {
+    charset = 16;
+  } else {
+    charset = [[/[a-z]/, 26], [/[A-Z]/, 26], [/[0-9]/, 10], [/[^a-zA-Z0-9]/, 33]]
+      .reduce((size, [pattern, classSize]) => size + (pattern.test(text) ? classSize : 0), 0);
+  }
+  const bitsPerCharacter = Math.log2(Math.min(charset, new Set(text).size));
+
+  let bits = 0;
+  const seenChunks = new Set();
+  for (let i = 0; i < text.length; i++) {
+    let predictable = false;
+    if (i >= 2) {
+      const chunk = text.substring(i - 2, i + 1);
+      const step = text.charCodeAt(i) - text.charCodeAt(i - 1);
+      const previousStep = text.charCodeAt(i - 1) - text.charCodeAt(i - 2);
+      predictable = seenChunks.has(chunk) || (step === previousStep && Math.abs(step) <= 1);
+      seenChunks.add(chunk);
+    }
+    if (!predictable) {
+      bits += bitsPerCharacter;
+    }
+  }
+  return Math.floor(bits);
+}
+
+/**
+ * Validate key material and import it as a secret KeyObject
+ * @param {string|Buffer|KeyObject} key - Key material
+ * @param {string} label - Name of the key in error messages (default 'Secret key')
+ * @returns {KeyObject} - Secret key
+ */
+function importSecretKey(key, label = 'Secret key') {
+  let material;
+  if (key instanceof crypto.KeyObject) {
+    if (key.type !== 'secret') {
+      throw new Error(`${label} must be a secret KeyObject`);
+    }
+    material = key.export();
+  } else if (Buffer.isBuffer(key)) {
+    material = key;
+  } else if (typeof key === 'string' && key.length > 0) {
+    material = key;
+  } else {
+    throw new Error(`${label} must be a non-empty string, Buffer or secret KeyObject`);
+  }
+
+  if (material.length < MIN_KEY_LENGTH) {
+    throw new Error(`${label} must be at least ${MIN_KEY_LENGTH} characters long for security`);
+  }
+  const entropy = estimateKeyEntropy(material);
+  if (entropy < MIN_KEY_ENTROPY_BITS) {
+    throw new Error(`${label} is too predictable (estimated ${entropy} bits of entropy, need ${MIN_KEY_ENTROPY_BITS}); generate a random key`);
+  }
+
+  return key instanceof crypto.KeyObject
+    ? key
+    : crypto.createSecretKey(Buffer.isBuffer(key) ? Buffer.from(key) : Buffer.from(key, 'utf8'));
+}
+
+/**
+ * Load a secret key from an environment variable
+ * @param {string} name - Variable name (default PSEUDONYM_SECRET_KEY)
+ * @param {Object} env - Environment to read (default process.env)
+ * @returns {KeyObject} - Secret key
+ */
+function loadKeyFromEnv(name = 'PSEUDONYM_SECRET_KEY', env = process.env) {
+  if (!env[name]) {
+    throw new Error(`Environment variable ${name} is not set`);
+  }
+  return importSecretKey(env[name], `Secret key in ${name}`);
+}
+
+/**
+ * Load a secret key from a file. The file must be a regular file that only its
+ * owner can read or write (e.g. mode 0600); a trailing newline is ignored.
+ * @param {string} filePath - Path of the key file
+ * @param {Object} options - Load options
+ * @param {boolean} options.allowInsecurePermissions - Skip the permission check
+ * @returns {KeyObject} - Secret key
+ */
+function loadKeyFromFile(filePath, options = {}) {
+  if (!filePath || typeof filePath !== 'string') {
+    throw new Error('filePath is required and must be a non-empty string');
+  }
+  filePath = path.resolve(filePath);
+
+  const stats = fs.statSync(filePath);
+  if (!stats.isFile()) {
+    throw new Error(`Key file ${filePath} is not a regular file`);
+  }
+  // Windows has no POSIX permission bits to check
+  if (!options.allowInsecurePermissions && process.platform !== 'win32') {
+    if ((stats.mode & 0o077) !== 0) {
+      throw new Error(`Key file ${filePath} is accessible by other users (mode ${(stats.mode & 0o777).toString(8)}); run chmod 600`);
+    }
+    if (typeof process.getuid === 'function' && stats.uid !== process.getuid()) {
+      throw new Error(`Key file ${filePath} is not owned by the current user`);
+    }
+  }
+
+  const contents = fs.readFileSync(filePath);
+  let end = contents.length;
+  while (end > 0 && (contents[end - 1] === 0x0a || contents[end - 1] === 0x0d)) {
+    end--;
+  }
+  const key = contents.toString('utf8', 0, end);
+  contents.fill(0);
+  return importSecretKey(key, `Secret key in ${filePath}`);
+}
+
+/**
+ * Derive a secret key from a passphrase with scrypt. Without parameters a random
+ * salt and the default cost are used; store the returned params (they are not
+ * secret) and pass them back to derive the same key.
+ * @param {string} passphrase - Passphrase (at least 16 characters)
+ * @param {Object} params - Stored { algorithm: 'scrypt', salt, N, r, p, keyLength }
+ * @returns {Promise<Object>} - { key: KeyObject, params }
+ */
+async function deriveKeyFromPassphrase(passphrase, params = {}) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`);
+  }
+  const entropy = estimateKeyEntropy(passphrase);
+  if (entropy < MIN_PASSPHRASE_ENTROPY_BITS) {
+    throw new Error(`Passphrase is too predictable (estimated ${entropy} bits of entropy, need ${MIN_PASSPHRASE_ENTROPY_BITS})`);
+  }
+  if (params.algorithm !== undefined && params.algorithm !== 'scrypt') {
+    throw new Error(`Unsupported key derivation algorithm: ${params.algorithm}`);
+  }
+
+  const resolved = {
+    algorithm: 'scrypt',
+    salt: params.salt === undefined ? crypto.randomBytes(16).toString('base64url') : params.salt,
+    N: params.N === undefined ? SCRYPT_DEFAULTS.N : params.N,
+    r: params.r === undefined ? SCRYPT_DEFAULTS.r : params.r,
+    p: params.p === undefined ? SCRYPT_DEFAULTS.p : params.p,
+    keyLength: params.keyLength === undefined ? SCRYPT_DEFAULTS.keyLength : params.keyLength
+  };
+  const salt = Buffer.from(String(resolved.salt), 'base64url');
+  if (salt.length < 16) {
+    throw new Error('scrypt salt must be at least 16 bytes');
+  }
+  if (!Number.isInteger(resolved.N) || resolved.N < 2 ** 14 || (resolved.N & (resolved.N - 1)) !== 0) {
+    throw new Error('scrypt N must be a power of two of at least 16384');
+  }
+  if (!Number.isInteger(resolved.keyLength) || resolved.keyLength < MIN_KEY_LENGTH) {
+    throw new Error(`scrypt keyLength must be at least ${MIN_KEY_LENGTH} bytes`);
+  }
+
+  const derived = await scrypt(passphrase, salt, resolved.keyLength, {
+    N: resolved.N,
+    r: resolved.r,
+    p: resolved.p,
+    maxmem: 256 * resolved.N * resolved.r
+  });
+  return { key: crypto.createSecretKey(derived), params: resolved };
+}
+
+module.exports = {
+  MIN_KEY_ENTROPY_BITS,
+  estimateKeyEntropy,
+  importSecretKey,
+  loadKeyFromEnv,
+  loadKeyFromFile,
+  deriveKeyFromPassphrase
+};
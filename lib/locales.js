@@ -0,0 +1,369 @@
+/**
+ * Locale Packs for Fake Data
+ *
+ * Each pack supplies the name pools, name ordering, address layout and postal-code
+ * format for one locale. Packs only decide how hash bytes are rendered, so a user
+ * always gets the same fake data for a given locale and app.
+ *
+ * A pack has the shape:
+ *   {
+ *     locale: 'de-DE',
+ *     firstNames: [...], lastNames: [...],
+ *     nameOrder: 'given-family' | 'family-given',
+ *     address(hash) { return { ...address fields } },
+ *     phone(hash) { return '+49 30 23125 042' }   // optional
+ *   }
+ *
+ * Built-in phone numbers come from ranges regulators reserve for fiction where
+ * one exists, so a fake number does not reach a real subscriber.
+ */
+
+/**
+ * Deterministically pick an item from a pool
+ * @param {Array} pool - Items to pick from
+ * @param {number} byte - Hash byte used as selector
+ * @returns {*} - Selected item
+ */
+function pick(pool, byte) {
+  return pool[byte % pool.length];
+}
+
+/**
+ * Render a fixed-length string of digits from four hash bytes
+ * @param {Buffer} hash - Hash bytes
+ * @param {number} offset - First byte to read
+ * @param {number} length - Number of digits
+ * @returns {string} - Zero-padded digits
+ */
+function digits(hash, offset, length) {
+  const value = hash.readUInt32BE(offset) % 10 ** length;
+  return String(value).padStart(length, '0');
+}
+
+const enUS = {
+  locale: 'en-US',
+  nameOrder: 'given-family',
+  
+  // Pool of realistic first names
+  firstNames: [
+    'Alex', 'Taylor', 'Jordan', 'Casey', 'Morgan', 'Riley', 'Avery', 'Quinn',
+    'Blake', 'Cameron', 'Drew', 'Emery', 'Finley', 'Harley', 'Jamie', 'Kai',
+    'Logan', 'Marley', 'Nico', 'Parker', 'Reese', 'Sage', 'Skyler', 'Tatum'
+  ],
+  
+  // Pool of realistic last names
+  lastNames: [
+    'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez',
+    'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson', 'Thomas',
+    'Taylor', 'Moore', 'Jackson', 'Martin', 'Lee', 'Perez', 'Thompson', 'White', 'Harris'
+  ],
+  
+  // Pool of street names
+  streetNames: [
+    'Main St', 'Oak Ave', 'Pine Rd', 'Elm Dr', 'Maple Ln', 'Cedar Blvd', 'Park Ave',
+    'First St', 'Second Ave', 'Third Dr', 'Fourth Ln', 'Fifth St', 'Sixth Ave',
+    'Washington St', 'Lincoln Ave', 'Jefferson Dr', 'Madison Ln', 'Monroe St'
+  ],
+  
+  // Pool of city names
+  cityNames: [
+    'Franklin', 'Georgetown', 'Springfield', 'Riverside', 'Madison', 'Greenville',
+    'Bristol', 'Fairview', 'Arlington', 'Salem', 'Richmond', 'Troy', 'Auburn',
+    'Clayton', 'Hudson', 'Newport', 'Lexington', 'Ashland', 'Beverly', 'Camden'
+  ],
+  
+  // Pool of state abbreviations
+  regions: [
+    'NY', 'CA', 'TX', 'FL', 'PA', 'IL', 'OH', 'GA', 'NC', 'MI', 'NJ', 'VA',
+    'WA', 'AZ', 'MA', 'TN', 'IN', 'MO', 'MD', 'WI', 'CO', 'MN', 'SC', 'AL'
+  ],
+  
+  address(hash) {
+    const streetNumber = (hash[0] % 9999) + 1; // 1-9999
+    
+    // Generate ZIP code using hash bytes
+    const zipCode = String((hash[4] << 8 | hash[5]) % 90000 + 10000).padStart(5, '0');
+    
+    return {
+      street: `${streetNumber} ${pick(this.streetNames, hash[1])}`,
+      city: pick(this.cityNames, hash[2]),
+      state: pick(this.regions, hash[3]),
+      zip: zipCode
+    };
+  },
+  
+  phone(hash) {
+    // 555-0100 through 555-0199 are reserved for fictional use in every area code
+    const areaCode = (hash[9] % 8 + 2) * 100 + hash[10] % 100;
+    return `+1 (${areaCode}) 555-01${digits(hash, 11, 2)}`;
+  }
+};
+
+const enGB = {
+  locale: 'en-GB',
+  nameOrder: 'given-family',
+  firstNames: [
+    'Oliver', 'Amelia', 'George', 'Isla', 'Harry', 'Ava', 'Jack', 'Mia',
+    'Charlie', 'Grace', 'Thomas', 'Freya', 'Oscar', 'Lily', 'James', 'Evie'
+  ],
+  lastNames: [
+    'Smith', 'Jones', 'Taylor', 'Brown', 'Williams', 'Wilson', 'Evans', 'Thomas',
+    'Roberts', 'Walker', 'Wright', 'Hughes', 'Edwards', 'Green', 'Hall', 'Clarke'
+  ],
+  streetNames: [
+    'High Street', 'Station Road', 'Church Lane', 'Victoria Road', 'Green Lane',
+    'Manor Road', 'Park Road', 'Queens Road', 'Mill Lane', 'Kings Road', 'The Crescent'
+  ],
+  cityNames: [
+    'Bristol', 'Leeds', 'Manchester', 'Norwich', 'Oxford', 'Cambridge', 'York',
+    'Bath', 'Exeter', 'Brighton', 'Sheffield', 'Nottingham', 'Cardiff', 'Glasgow'
+  ],
+  postcodeAreas: ['B', 'BS', 'CB', 'CF', 'EX', 'G', 'LS', 'M', 'NR', 'OX', 'S', 'YO'],
+  
+  address(hash) {
+    // Outward code (area + district) and inward code (sector + unit), e.g. "LS4 2QX"
+    const unitLetters = 'ABDEFGHJLNPQRSTUWXYZ';
+    const postcode = `${pick(this.postcodeAreas, hash[4])}${(hash[5] % 20) + 1} ` +
+      `${hash[6] % 10}${pick(unitLetters, hash[7])}${pick(unitLetters, hash[8])}`;
+    
+    return {
+      street: `${(hash[0] % 199) + 1} ${pick(this.streetNames, hash[1])}`,
+      city: pick(this.cityNames, hash[2]),
+      postcode,
+      country: 'GB'
+    };
+  },
+  
+  phone(hash) {
+    // Ofcom drama range 07700 900000-900999
+    return `+44 7700 900${digits(hash, 9, 3)}`;
+  }
+};
+
+const deDE = {
+  locale: 'de-DE',
+  nameOrder: 'given-family',
+  firstNames: [
+    'Lukas', 'Emma', 'Leon', 'Mia', 'Finn', 'Hannah', 'Jonas', 'Sophie',
+    'Paul', 'Lena', 'Felix', 'Marie', 'Noah', 'Lea', 'Elias', 'Clara'
+  ],
+  lastNames: [
+    'Müller', 'Schmidt', 'Schneider', 'Fischer', 'Weber', 'Meyer', 'Wagner', 'Becker',
+    'Schulz', 'Hoffmann', 'Koch', 'Richter', 'Klein', 'Wolf', 'Schröder', 'Neumann'
+  ],
+  streetNames: [
+    'Hauptstraße', 'Schulstraße', 'Gartenstraße', 'Bahnhofstraße', 'Dorfstraße',
+    'Bergstraße', 'Lindenstraße', 'Kirchstraße', 'Waldweg', 'Am Markt', 'Rosenweg'
+  ],
+  cityNames: [
+    'Berlin', 'Hamburg', 'München', 'Köln', 'Frankfurt am Main', 'Stuttgart',
+    'Düsseldorf', 'Leipzig', 'Dortmund', 'Bremen', 'Dresden', 'Hannover', 'Nürnberg'
+  ],
+  
+  address(hash) {
+    // German postal codes are five digits, 01001-99998
+    const postalCode = String((hash.readUInt32BE(4) % 98998) + 1001).padStart(5, '0');
+    
+    return {
+      street: `${pick(this.streetNames, hash[1])} ${(hash[0] % 150) + 1}`,
+      postalCode,
+      city: pick(this.cityNames, hash[2]),
+      country: 'DE'
+    };
+  },
+  
+  phone(hash) {
+    // Bundesnetzagentur range for film and TV: 030 23125 000-999
+    return `+49 30 23125 ${digits(hash, 9, 3)}`;
+  }
+};
+
+const frFR = {
+  locale: 'fr-FR',
+  nameOrder: 'given-family',
+  firstNames: [
+    'Gabriel', 'Louise', 'Raphaël', 'Jade', 'Léo', 'Ambre', 'Louis', 'Alice',
+    'Arthur', 'Chloé', 'Jules', 'Léa', 'Hugo', 'Manon', 'Adam', 'Inès'
+  ],
+  lastNames: [
+    'Martin', 'Bernard', 'Dubois', 'Thomas', 'Robert', 'Richard', 'Petit', 'Durand',
+    'Leroy', 'Moreau', 'Simon', 'Laurent', 'Lefebvre', 'Michel', 'Garcia', 'David'
+  ],
+  streetNames: [
+    'rue de la Paix', 'rue Victor Hugo', 'avenue Jean Jaurès', 'rue Pasteur',
+    'boulevard Voltaire', 'rue de la République', 'place de la Mairie', 'rue des Lilas'
+  ],
+  cityNames: [
+    'Paris', 'Lyon', 'Marseille', 'Toulouse', 'Nice', 'Nantes', 'Strasbourg',
+    'Montpellier', 'Bordeaux', 'Lille', 'Rennes', 'Reims', 'Dijon', 'Angers'
+  ],
+  
+  address(hash) {
+    // Codes postaux: two-digit département (01-95) followed by three digits
+    const departement = String((hash[4] % 95) + 1).padStart(2, '0');
+    
+    return {
+      street: `${(hash[0] % 150) + 1} ${pick(this.streetNames, hash[1])}`,
+      postalCode: `${departement}${digits(hash, 5, 3)}`,
+      city: pick(this.cityNames, hash[2]),
+      country: 'FR'
+    };
+  },
+  
+  phone(hash) {
+    // ARCEP range reserved for audiovisual works: 06 39 98 xx xx
+    const subscriber = digits(hash, 9, 4);
+    return `+33 6 39 98 ${subscriber.substring(0, 2)} ${subscriber.substring(2)}`;
+  }
+};
+
+const jaJP = {
+  locale: 'ja-JP',
+  nameOrder: 'family-given',
+  firstNames: [
+    '翔', '陽菜', '蓮', '結衣', '大翔', '葵', '悠真', 'さくら',
+    '湊', '凛', '樹', '美咲', '陸', '花', '颯', '結菜'
+  ],
+  lastNames: [
+    '佐藤', '鈴木', '高橋', '田中', '伊藤', '渡辺', '山本', '中村',
+    '小林', '加藤', '吉田', '山田', '佐々木', '山口', '松本', '井上'
+  ],
+  prefectures: [
+    { prefecture: '東京都', cities: ['渋谷区', '新宿区', '世田谷区', '品川区'] },
+    { prefecture: '大阪府', cities: ['大阪市北区', '堺市', '豊中市', '吹田市'] },
+    { prefecture: '神奈川県', cities: ['横浜市中区', '川崎市', '相模原市', '藤沢市'] },
+    { prefecture: '愛知県', cities: ['名古屋市中区', '豊田市', '岡崎市', '一宮市'] },
+    { prefecture: '福岡県', cities: ['福岡市博多区', '北九州市', '久留米市', '飯塚市'] },
+    { prefecture: '北海道', cities: ['札幌市中央区', '旭川市', '函館市', '帯広市'] }
+  ],
+  townNames: ['本町', '中央', '栄町', '緑町', '旭町', '桜台', '若葉', '東町'],
+  
+  address(hash) {
+    const { prefecture, cities } = pick(this.prefectures, hash[2]);
+    
+    // 〒123-4567, street as 町名 + 丁目-番地-号
+    return {
+      postalCode: `${digits(hash, 4, 3)}-${digits(hash, 8, 4)}`,
+      prefecture,
+      city: pick(cities, hash[3]),
+      street: `${pick(this.townNames, hash[1])}${(hash[0] % 5) + 1}-${(hash[12] % 30) + 1}-${(hash[13] % 20) + 1}`,
+      country: 'JP'
+    };
+  },
+  
+  phone(hash) {
+    // No fictional range is reserved; the 0000 exchange keeps numbers visibly fake
+    return `+81 90-0000-${digits(hash, 9, 4)}`;
+  }
+};
+
+const ptBR = {
+  locale: 'pt-BR',
+  nameOrder: 'given-family',
+  firstNames: [
+    'Miguel', 'Helena', 'Arthur', 'Alice', 'Gael', 'Laura', 'Heitor', 'Maria',
+    'Theo', 'Valentina', 'Davi', 'Heloísa', 'Gabriel', 'Júlia', 'Bernardo', 'Cecília'
+  ],
+  lastNames: [
+    'Silva', 'Santos', 'Oliveira', 'Souza', 'Rodrigues', 'Ferreira', 'Alves', 'Pereira',
+    'Lima', 'Gomes', 'Costa', 'Ribeiro', 'Martins', 'Carvalho', 'Almeida', 'Lopes'
+  ],
+  streetNames: [
+    'Rua das Flores', 'Avenida Brasil', 'Rua São João', 'Rua Sete de Setembro',
+    'Avenida Paulista', 'Rua XV de Novembro', 'Rua da Consolação', 'Rua Tiradentes'
+  ],
+  cities: [
+    { city: 'São Paulo', state: 'SP' },
+    { city: 'Rio de Janeiro', state: 'RJ' },
+    { city: 'Belo Horizonte', state: 'MG' },
+    { city: 'Curitiba', state: 'PR' },
+    { city: 'Porto Alegre', state: 'RS' },
+    { city: 'Salvador', state: 'BA' },
+    { city: 'Recife', state: 'PE' },
+    { city: 'Fortaleza', state: 'CE' }
+  ],
+  
+  address(hash) {
+    const { city, state } = pick(this.cities, hash[2]);
+    
+    // CEP: five digits, hyphen, three digits
+    return {
+      street: `${pick(this.streetNames, hash[1])}, ${(hash[0] % 2000) + 1}`,
+      city,
+      state,
+      postalCode: `${digits(hash, 4, 5)}-${digits(hash, 8, 3)}`,
+      country: 'BR'
+    };
+  },
+  
+  phone(hash) {
+    // No fictional range is reserved; the 90000 prefix keeps numbers visibly fake
+    return `+55 11 90000-${digits(hash, 9, 4)}`;
+  }
+};
+
+// Registered packs by locale tag
+const localePacks = new Map();
+
+/**
+ * Register a locale pack so generators can select it by locale tag.
+ * Registering an existing locale replaces its pack.
+ * @param {Object} pack - Locale pack
+ * @returns {Object} - Registered pack
+ */
+function registerLocalePack(pack) {
+  if (!pack || typeof pack !== 'object') {
+    throw new Error('Locale pack must be an object');
+  }
+  if (!pack.locale || typeof pack.locale !== 'string') {
+    throw new Error('Locale pack must have a locale tag');
+  }
+  for (const pool of ['firstNames', 'lastNames']) {
+    if (!Array.isArray(pack[pool]) || pack[pool].length === 0) {
+      throw new Error(`Locale pack ${pack.locale} must have a non-empty ${pool} array`);
+    }
+  }
+  if (pack.nameOrder !== 'given-family' && pack.nameOrder !== 'family-given') {
+    throw new Error(`Locale pack ${pack.locale} nameOrder must be 'given-family' or 'family-given'`);
+  }
+  if (typeof pack.address !== 'function') {
+    throw new Error(`Locale pack ${pack.locale} must implement address(hash)`);
+  }
+  if (pack.phone !== undefined && typeof pack.phone !== 'function') {
+    throw new Error(`Locale pack ${pack.locale} phone must be a function`);
+  }
+  
+  localePacks.set(pack.locale, pack);
+  return pack;
+}
+
+/**
+ * Look up a registered locale pack
+ * @param {string} locale - Locale tag (e.g. 'de-DE')
+ * @returns {Object} - Locale pack
+ */
+function getLocalePack(locale) {
+  const pack = localePacks.get(locale);
+  if (!pack) {
+    throw new Error(`Unknown locale: ${locale}`);
+  }
+  return pack;
+}
+
+/**
+ * List every registered locale tag
+ * @returns {Array<string>} - Locale tags
+ */
+function listLocales() {
+  return [...localePacks.keys()];
+}
+
+for (const pack of [enUS, enGB, deDE, frFR, jaJP, ptBR]) {
+  registerLocalePack(pack);
+}
+
+module.exports = {
+  registerLocalePack,
+  getLocalePack,
+  listLocales
+};
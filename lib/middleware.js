@@ -0,0 +1,322 @@
+const { compileSchema, parsePath, visit } = require('./records');
+
+/**
+ * Express / Connect Middleware
+ *
+ * createPseudonymMiddleware rewrites JSON response bodies on the way out, so
+ * handlers can return real user IDs and emails and each calling app only ever
+ * sees its own pseudonyms and fake data:
+ *
+ *   app.use(createPseudonymMiddleware(generator, {
+ *     resolveClientId: (req) => req.get('X-Client-Id'),
+ *     fields: { 'user.id': 'pseudonymize', 'user.email': { action: 'fakeEmail', from: 'user.id' } },
+ *     registry
+ *   }));
+ *
+ * createPseudonymResolverMiddleware is the request-side counterpart. It turns
+ * pseudonyms in req.params, req.query or req.body back into internal user IDs,
+ * through the registry or reversible pseudonyms, and only when the pseudonym
+ * was issued to the calling app:
+ *
+ *   app.get('/users/:id', createPseudonymResolverMiddleware(generator, {
+ *     resolveClientId, fields: ['params.id'], registry
+ *   }), handler);
+ *
+ * Both fail closed: if the clientId cannot be resolved, a response cannot be
+ * rewritten or a pseudonym cannot be resolved, the real data is never sent and
+ * the request is answered with an error instead.
+ */
+
+const JSON_CONTENT_TYPE = /^application\/(?:[\w.+-]+\+)?json\b/i;
+
+/**
+ * Build an error for Express / Connect error handlers
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a status property
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Validate the shared middleware options
+ * @param {ConsentKeysPseudonymGenerator} generator - Generator used for every request
+ * @param {Object} options - Middleware options
+ */
+function validateOptions(generator, options) {
+  if (!generator || typeof generator.pseudonymizeRecord !== 'function') {
+    throw new Error('A pseudonym generator is required');
+  }
+  if (typeof options.resolveClientId !== 'function') {
+    throw new Error('resolveClientId must be a function returning the calling clientId');
+  }
+  if (options.registry && typeof options.registry.lookup !== 'function') {
+    throw new Error('registry must be a PseudonymRegistry');
+  }
+}
+
+/**
+ * Resolve the calling clientId for a request
+ * @param {Function} resolver - resolveClientId from the middleware options
+ * @param {Object} req - Request
+ * @returns {Promise<string>} - clientId
+ */
+async function callerClientId(resolver, req) {
+  const clientId = await resolver(req);
+  if (!clientId || typeof clientId !== 'string' || clientId.trim().length === 0) {
+    throw httpError(401, 'Unable to resolve the calling clientId');
+  }
+  return clientId.trim();
+}
+
+/**
+ * Create middleware that pseudonymizes JSON response bodies for the calling app
+ * @param {ConsentKeysPseudonymGenerator} generator - Generator used for every response
+ * @param {Object} options - Middleware options
+ * @param {Function} options.resolveClientId - (req) => clientId, may return a promise
+ * @param {Object} options.fields - Record schema mapping response paths to actions
+ * @param {PseudonymRegistry} options.registry - Optional registry that records issued
+ *   pseudonyms and fake emails, so the resolver middleware can reverse them
+ * @param {Function} options.onError - Optional (error, req) callback when a response cannot be rewritten
+ * @returns {Function} - (req, res, next) middleware
+ */
+function createPseudonymMiddleware(generator, options = {}) {
+  validateOptions(generator, options);
+  compileSchema(options.fields);
+  const { fields, registry, onError } = options;
+
+  return async function pseudonymMiddleware(req, res, next) {
+    let clientId;
+    try {
+      clientId = await callerClientId(options.resolveClientId, req);
+    } catch (error) {
+      return next(error);
+    }
+
+    const writeHead = res.writeHead;
+    const write = res.write;
+    const end = res.end;
+    const chunks = [];
+    let buffering = null;
+
+    // Headers are only sent with the rewritten body, so Content-Length can change
+    res.writeHead = function (statusCode, reason, headers) {
+      if (typeof reason !== 'string') {
+        headers = reason;
+        reason = undefined;
+      }
+      res.statusCode = statusCode;
+      if (reason) {
+        res.statusMessage = reason;
+      }
+      if (Array.isArray(headers)) {
+        for (let i = 0; i < headers.length; i += 2) {
+          res.setHeader(headers[i], headers[i + 1]);
+        }
+      } else if (headers) {
+        for (const [name, value] of Object.entries(headers)) {
+          res.setHeader(name, value);
+        }
+      }
+      return res;
+    };
+
+    // Decide on the first write: only JSON bodies are buffered and rewritten
+    const shouldBuffer = () => {
+      if (buffering === null) {
+        buffering = JSON_CONTENT_TYPE.test(String(res.getHeader('Content-Type') || ''));
+        if (!buffering) {
+          res.writeHead = writeHead;
+          res.write = write;
+          res.end = end;
+        }
+      }
+      return buffering;
+    };
+    const toBuffer = (chunk, encoding) => (
+      Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8')
+    );
+
+    res.write = function (chunk, encoding, callback) {
+      if (!shouldBuffer()) {
+        return write.call(res, chunk, encoding, callback);
+      }
+      chunks.push(toBuffer(chunk, encoding));
+      if (typeof encoding === 'function') {
+        encoding();
+      } else if (typeof callback === 'function') {
+        callback();
+      }
+      return true;
+    };
+
+    res.end = function (chunk, encoding, callback) {
+      if (typeof chunk === 'function') {
+        callback = chunk;
+        chunk = undefined;
+      }
+      if (!shouldBuffer()) {
+        return end.call(res, chunk, encoding, callback);
+      }
+      if (chunk !== undefined && chunk !== null) {
+        chunks.push(toBuffer(chunk, encoding));
+      }
+      if (typeof encoding === 'function') {
+        callback = encoding;
+      }
+
+      // Node sends implicit headers through res.writeHead, so restore it first
+      res.writeHead = writeHead;
+      const original = Buffer.concat(chunks);
+      if (original.length === 0) {
+        return end.call(res, callback);
+      }
+      rewrite(original).then((body) => {
+        res.removeHeader('ETag');
+        res.setHeader('Content-Length', Buffer.byteLength(body));
+        end.call(res, body, callback);
+      });
+      return res;
+    };
+
+    const rewrite = async (body) => {
+      try {
+        const parsed = JSON.parse(body.toString('utf8'));
+        if (parsed === null || typeof parsed !== 'object') {
+          return body;
+        }
+        const issued = [];
+        const { record } = generator.pseudonymizeRecord(parsed, fields, clientId, {
+          onIssued: registry ? (entry) => issued.push(entry) : undefined
+        });
+        for (const { value, userId, dataType } of issued) {
+          await registry.record(value, userId, clientId, dataType);
+        }
+        return JSON.stringify(record);
+      } catch (error) {
+        // Never fall back to the original body; it holds the real identifiers
+        if (onError) {
+          onError(error, req);
+        }
+        res.statusCode = 500;
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        return JSON.stringify({ error: 'Response could not be pseudonymized' });
+      }
+    };
+
+    next();
+  };
+}
+
+/**
+ * Normalize request fields to { path, segments, dataType }
+ * @param {Array<string>|Object} fields - Paths, or a map of path to expected dataType
+ * @returns {Array<Object>} - Compiled request fields
+ */
+function compileRequestFields(fields) {
+  const entries = Array.isArray(fields)
+    ? fields.map((path) => [path, null])
+    : Object.entries(fields || {});
+  if (entries.length === 0) {
+    throw new Error('fields must list at least one request path');
+  }
+
+  return entries.map(([path, dataType]) => {
+    const segments = parsePath(path);
+    if (!['params', 'query', 'body'].includes(segments[0]) || segments.length < 2) {
+      throw new Error(`Request field ${path} must start with params, query or body`);
+    }
+    if (dataType !== null && typeof dataType !== 'string') {
+      throw new Error(`Expected dataType for ${path} must be a string`);
+    }
+    return { path, segments, dataType };
+  });
+}
+
+/**
+ * Resolve a pseudonym to the identity it was issued for
+ * @param {ConsentKeysPseudonymGenerator} generator - Generator that issued the pseudonym
+ * @param {PseudonymRegistry} registry - Optional registry
+ * @param {string} pseudonym - Pseudonym or registered fake identifier
+ * @param {string} clientId - Calling app, whose check-tag key verifies the pseudonym
+ * @returns {Promise<Object|null>} - userId, clientId and dataType, or null if unresolvable
+ */
+async function resolvePseudonym(generator, registry, pseudonym, clientId) {
+  let identity = null;
+  if (registry) {
+    identity = await registry.lookup(pseudonym);
+  }
+  if (!identity && generator.reidentificationKey && generator.verifyPseudonym(pseudonym, clientId) &&
+      generator.parsePseudonym(pseudonym, clientId).reversible) {
+    identity = generator.decodeReversiblePseudonym(pseudonym, {
+      reason: 'Resolve pseudonym in incoming request',
+      actor: clientId
+    });
+  }
+
+  // Registry records and encrypted identities outlive consent revocations; only the
+  // user's current pseudonym or fake email for the app (same consent epoch) resolves
+  if (!identity || !(generator.verifyPseudonymFor(pseudonym, identity.userId, identity.clientId, identity.dataType) ||
+      (identity.dataType === 'email' && generator.verifyFakeEmailFor(pseudonym, identity.userId, identity.clientId)))) {
+    return null;
+  }
+  return identity;
+}
+
+/**
+ * Create middleware that turns incoming pseudonyms back into internal user IDs
+ * @param {ConsentKeysPseudonymGenerator} generator - Generator that issued the pseudonyms
+ * @param {Object} options - Middleware options
+ * @param {Function} options.resolveClientId - (req) => clientId, may return a promise
+ * @param {Array<string>|Object} options.fields - Request paths such as 'params.id' or
+ *   'body.items[].userId', or a map of path to the dataType the pseudonym must have
+ * @param {PseudonymRegistry} options.registry - Registry to look pseudonyms up in; without
+ *   one only reversible pseudonyms can be resolved
+ * @returns {Function} - (req, res, next) middleware
+ */
+function createPseudonymResolverMiddleware(generator, options = {}) {
+  validateOptions(generator, options);
+  if (!options.registry && !generator.reidentificationKey) {
+    throw new Error('Resolving pseudonyms needs a registry or a generator with a reidentificationKey');
+  }
+  const fields = compileRequestFields(options.fields);
+  const registry = options.registry || null;
+
+  return async function pseudonymResolverMiddleware(req, res, next) {
+    try {
+      const clientId = await callerClientId(options.resolveClientId, req);
+      const sources = { params: req.params, query: req.query, body: req.body };
+
+      for (const field of fields) {
+        const matches = [];
+        visit(sources, field.segments, '', (parent, key) => matches.push({ parent, key }));
+
+        for (const { parent, key } of matches) {
+          const value = parent[key];
+          if (value === null || value === undefined) {
+            continue;
+          }
+
+          // One answer for every failure, so callers cannot probe which pseudonyms exist
+          const identity = typeof value === 'string' ? await resolvePseudonym(generator, registry, value, clientId) : null;
+          if (!identity || identity.clientId !== clientId ||
+              (field.dataType !== null && identity.dataType !== field.dataType)) {
+            throw httpError(404, 'Unknown pseudonym');
+          }
+          parent[key] = identity.userId;
+        }
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  createPseudonymMiddleware,
+  createPseudonymResolverMiddleware
+};
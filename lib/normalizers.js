@@ -0,0 +1,112 @@
+/**
+ * Identifier Normalizers
+ *
+ * Different spellings of the same identifier (User@Example.com and
+ * user@example.com, +1 (555) 010-0000 and 15550100000, NFC and NFD names) should
+ * map to one pseudonym. Normalizers are opt-in per dataType and rewrite the userId
+ * into its canonical form before it is hashed:
+ *
+ *   new ConsentKeysPseudonymGenerator(key, {
+ *     normalizers: {
+ *       '*': { name: 'email', stripPlusTags: true },  // every dataType without its own entry
+ *       phone: 'e164',
+ *       name: 'unicode',
+ *       account: (value) => value.replace(/^0+/, '')  // custom
+ *     }
+ *   });
+ *
+ * Fake data is derived from the email, name, address, ... dataTypes, so use '*'
+ * when the userIds themselves are emails or phone numbers. A value the normalizer
+ * cannot parse is rejected rather than hashed as-is.
+ */
+
+/**
+ * Fold case the way Unicode full case folding does for common scripts
+ * (ß -> ss, final sigma -> σ), keeping the result in NFC
+ * @param {string} value - Text
+ * @returns {string} - Case-folded text
+ */
+function foldCase(value) {
+  return value.normalize('NFC').toUpperCase().toLowerCase().normalize('NFC');
+}
+
+// Built-in normalizers: options => (value => canonical value)
+const BUILT_IN_NORMALIZERS = {
+  // Case-fold the address and optionally drop +tags: Jane.Doe+News@Example.COM -> jane.doe@example.com
+  email(options) {
+    return (value) => {
+      const match = /^([^\s@]+)@([^\s@]+\.[^\s@]+)$/.exec(value.normalize('NFC'));
+      if (!match) {
+        throw new Error('not an email address');
+      }
+      let local = foldCase(match[1]);
+      if (options.stripPlusTags) {
+        local = local.split('+')[0];
+        if (local.length === 0) {
+          throw new Error('email address has an empty local part');
+        }
+      }
+      return `${local}@${match[2].toLowerCase()}`;
+    };
+  },
+
+  // Parse phone numbers into E.164: +1 (555) 010-0000 -> +15550100000. Numbers without
+  // + or 00 are read as already including the country code, unless defaultCountryCode
+  // is set, in which case they are national numbers (a leading trunk 0 is dropped).
+  e164(options) {
+    const countryCode = options.defaultCountryCode === undefined ? null : String(options.defaultCountryCode).replace(/^\+/, '');
+    if (countryCode !== null && !/^[1-9]\d{0,2}$/.test(countryCode)) {
+      throw new Error('defaultCountryCode must be a 1-3 digit country calling code');
+    }
+    return (value) => {
+      if (!/^\+?[\d\s().-]+$/.test(value)) {
+        throw new Error('not a phone number');
+      }
+      let digits = value.replace(/\D/g, '');
+      if (!value.startsWith('+')) {
+        if (digits.startsWith('00')) {
+          digits = digits.substring(2);
+        } else if (countryCode !== null) {
+          digits = countryCode + digits.replace(/^0/, '');
+        }
+      }
+      if (!/^[1-9]\d{6,14}$/.test(digits)) {
+        throw new Error('not a valid E.164 phone number');
+      }
+      return `+${digits}`;
+    };
+  },
+
+  // NFC, full case folding and single spaces: 'Zoë  MÜLLER' -> 'zoë müller'
+  unicode(options) {
+    return (value) => {
+      const normalized = value.normalize('NFC').replace(/\s+/g, ' ');
+      return options.caseFold === false ? normalized : foldCase(normalized);
+    };
+  }
+};
+
+/**
+ * Resolve a normalizer spec into a named normalize function
+ * @param {string|Function|Object} spec - Built-in name, function, or { name, ...options }
+ *   (custom normalizers: { name, normalize })
+ * @returns {Object} - { name, options, normalize, custom }
+ */
+function resolveNormalizer(spec) {
+  if (typeof spec === 'function') {
+    return { name: spec.name || 'custom', options: {}, normalize: spec, custom: true };
+  }
+  const { name, normalize, ...options } = typeof spec === 'string' ? { name: spec } : (spec || {});
+  if (typeof normalize === 'function') {
+    return { name: name || normalize.name || 'custom', options, normalize, custom: true };
+  }
+  if (!Object.prototype.hasOwnProperty.call(BUILT_IN_NORMALIZERS, name)) {
+    throw new Error(`Unknown normalizer: ${name}. Expected one of ${Object.keys(BUILT_IN_NORMALIZERS).join(', ')} or a function`);
+  }
+  return { name, options, normalize: BUILT_IN_NORMALIZERS[name](options), custom: false };
+}
+
+module.exports = {
+  BUILT_IN_NORMALIZERS,
+  resolveNormalizer
+};
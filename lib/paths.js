@@ -0,0 +1,70 @@
+/**
+ * Record Paths
+ *
+ * Paths address values inside JSON records: dots for object keys, [] for every
+ * array element and * for every object key ('orders[].customer.id', 'meta.*').
+ * Shared by record pseudonymization, the middleware and the anonymization checks.
+ */
+
+/**
+ * Split a schema path into segments
+ * @param {string} path - Path such as 'orders[].customer.id'
+ * @returns {Array<string>} - Segments, with '[]' for array wildcards
+ */
+function parsePath(path) {
+  if (!path || typeof path !== 'string') {
+    throw new Error('Schema paths must be non-empty strings');
+  }
+  
+  const segments = [];
+  for (const part of path.split('.')) {
+    const match = /^([^[\]]*)((?:\[\])*)$/.exec(part);
+    if (!match || (match[1] === '' && match[2] === '')) {
+      throw new Error(`Invalid schema path: ${path}`);
+    }
+    if (match[1] !== '') {
+      segments.push(match[1]);
+    }
+    for (let i = 0; i < match[2].length / 2; i++) {
+      segments.push('[]');
+    }
+  }
+  return segments;
+}
+
+/**
+ * Visit every value a path resolves to
+ * @param {*} node - Current node
+ * @param {Array<string>} segments - Remaining path segments
+ * @param {string} concretePath - Path walked so far, with array indexes
+ * @param {Function} visitor - Called with (parent, key, concretePath) for each match
+ */
+function visit(node, segments, concretePath, visitor) {
+  if (node === null || typeof node !== 'object') {
+    return;
+  }
+  
+  const [segment, ...rest] = segments;
+  let keys;
+  if (segment === '[]') {
+    keys = Array.isArray(node) ? node.map((_, i) => i) : [];
+  } else if (segment === '*') {
+    keys = Array.isArray(node) ? [] : Object.keys(node);
+  } else {
+    keys = !Array.isArray(node) && Object.prototype.hasOwnProperty.call(node, segment) ? [segment] : [];
+  }
+  
+  for (const key of keys) {
+    const path = typeof key === 'number' ? `${concretePath}[${key}]` : (concretePath ? `${concretePath}.${key}` : key);
+    if (rest.length === 0) {
+      visitor(node, key, path);
+    } else {
+      visit(node[key], rest, path, visitor);
+    }
+  }
+}
+
+module.exports = {
+  parsePath,
+  visit
+};
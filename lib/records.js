@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { parsePath, visit } = require('./paths');
+const { GENERALIZERS, suppressValue } = require('./anonymize');
+
+/**
+ * Schema-Driven Record Pseudonymization
+ *
+ * A schema maps JSON paths to actions, giving every team one reviewable policy:
+ *   {
+ *     'user.id': { action: 'pseudonymize', dataType: 'id' },
+ *     'user.email': 'fakeEmail',
+ *     'user.ssn': { action: 'pseudonymize', format: 'ssn' },
+ *     'orders[].notes': 'drop',
+ *     'orders[].total': 'keep',
+ *     'device.serial': 'hash',
+ *     'user.birthDate': { action: 'generalize', method: 'date', to: 'year' },
+ *     'user.zip': { action: 'generalize', method: 'zip', keep: 3 },
+ *     'user.gender': 'suppress'
+ *   }
+ *
+ * Paths use dots for object keys, [] for every array element and * for every object key.
+ * String actions are shorthand for { action: '<name>' }. Fake data actions derive from the
+ * field's own value, or from another field with { from: 'user.id' } so fakes match profiles.
+ */
+
+const ACTIONS = ['pseudonymize', 'fakeEmail', 'fakeName', 'fakeAddress', 'drop', 'keep', 'hash', 'generalize', 'suppress'];
+
+/**
+ * Normalize and validate one schema rule
+ * @param {string} path - Schema path
+ * @param {string|Object} rule - Action name or action spec
+ * @returns {Object} - { path, segments, spec }
+ */
+function compileRule(path, rule) {
+  const spec = typeof rule === 'string' ? { action: rule } : { ...rule };
+  if (!spec || !ACTIONS.includes(spec.action)) {
+    throw new Error(`Unknown action for ${path}: ${spec && spec.action}. Expected one of ${ACTIONS.join(', ')}`);
+  }
+  if (spec.action === 'generalize' && !GENERALIZERS[spec.method]) {
+    throw new Error(`Unknown generalize method for ${path}: ${spec.method}. Expected one of ${Object.keys(GENERALIZERS).join(', ')}`);
+  }
+  return { path, segments: parsePath(path), spec };
+}
+
+/**
+ * Compile a schema into an ordered list of rules
+ * @param {Object} schema - Map of path to action
+ * @returns {Array<Object>} - Compiled rules in schema order
+ */
+function compileSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('Schema must be an object mapping paths to actions');
+  }
+  return Object.entries(schema).map(([path, rule]) => compileRule(path, rule));
+}
+
+/**
+ * Apply one action to a value
+ * @param {ConsentKeysPseudonymGenerator} generator - Generator to derive values with
+ * @param {Object} spec - Action spec
+ * @param {*} value - Current value
+ * @param {string} clientId - Client/app identifier
+ * @param {*} seed - Identity to derive fake data from (the value itself unless spec.from is set)
+ * @returns {*} - Replacement value
+ */
+function applyAction(generator, spec, value, clientId, seed) {
+  const identity = String(seed);
+  switch (spec.action) {
+    case 'pseudonymize':
+      if (spec.format) {
+        return generator.generateFormatPreservingPseudonym(identity, clientId, spec.format, {
+          dataType: spec.dataType,
+          reversible: spec.reversible
+        });
+      }
+      return generator.generatePseudonym(identity, clientId, spec.dataType || 'default');
+    case 'fakeEmail':
+      return generator.generateFakeEmail(identity, clientId);
+    case 'fakeName':
+      return generator.generateFakeDisplayName(identity, clientId, { locale: spec.locale });
+    case 'fakeAddress':
+      return generator.generateFakeAddress(identity, clientId, { locale: spec.locale });
+    case 'hash':
+      return generator.hashValue(identity, clientId);
+    case 'generalize':
+      return GENERALIZERS[spec.method](value, spec);
+    case 'suppress':
+      return suppressValue(value, spec);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Data type an action's output can be looked up under in a registry, or null when
+ * the output is not an identifier (format-preserving tokens have their own reversal)
+ * @param {Object} spec - Action spec
+ * @returns {string|null} - Registry data type
+ */
+function issuedDataType(spec) {
+  if (spec.action === 'pseudonymize' && !spec.format) {
+    return spec.dataType || 'default';
+  }
+  if (spec.action === 'fakeEmail') {
+    return 'email';
+  }
+  return null;
+}
+
+/**
+ * Transform a record according to a schema
+ * @param {ConsentKeysPseudonymGenerator} generator - Generator to derive values with
+ * @param {Object} record - JSON record (left unmodified)
+ * @param {Object} schema - Map of path to action
+ * @param {string} clientId - Client/app identifier
+ * @param {Object} options - Record options
+ * @param {Function} options.onIssued - Called with { value, userId, dataType } for each
+ *   pseudonym or fake email issued
+ * @returns {Object} - { record, report } where report lists touched paths,
+ *   schema paths that matched nothing and a count per action
+ */
+function pseudonymizeRecord(generator, record, schema, clientId, options = {}) {
+  if (!record || typeof record !== 'object') {
+    throw new Error('record must be an object');
+  }
+  if (!clientId || typeof clientId !== 'string') {
+    throw new Error('clientId is required and must be a non-empty string');
+  }
+  
+  const rules = compileSchema(schema);
+  const original = record;
+  const output = structuredClone(record);
+  const report = { touched: [], missing: [], actions: {} };
+  const drops = [];
+  
+  for (const rule of rules) {
+    let matched = false;
+    visit(output, rule.segments, '', (parent, key, path) => {
+      matched = true;
+      const value = parent[key];
+      
+      // Nothing to derive from empty values; they pass through untouched unless dropped
+      if ((value === null || value === undefined) && rule.spec.action !== 'drop') {
+        return;
+      }
+      
+      if (rule.spec.action === 'drop') {
+        drops.push({ parent, key });
+      } else if (rule.spec.action !== 'keep') {
+        let seed = value;
+        if (rule.spec.from) {
+          const sources = [];
+          visit(original, parsePath(rule.spec.from), '', (sourceParent, sourceKey) => sources.push(sourceParent[sourceKey]));
+          if (sources.length !== 1 || sources[0] === null || sources[0] === undefined) {
+            throw new Error(`Cannot ${rule.spec.action} ${path}: 'from' path ${rule.spec.from} must resolve to one value`);
+          }
+          seed = sources[0];
+        }
+        if (typeof seed === 'object') {
+          throw new Error(`Cannot ${rule.spec.action} ${path}: value is not a scalar`);
+        }
+        
+        try {
+          parent[key] = applyAction(generator, rule.spec, value, clientId, seed);
+        } catch (error) {
+          throw new Error(`Cannot ${rule.spec.action} ${path}: ${error.message}`);
+        }
+        
+        const dataType = issuedDataType(rule.spec);
+        if (options.onIssued && dataType) {
+          options.onIssued({ value: parent[key], userId: String(seed), dataType });
+        }
+      }
+      
+      report.touched.push({ path, action: rule.spec.action });
+      report.actions[rule.spec.action] = (report.actions[rule.spec.action] || 0) + 1;
+    });
+    
+    if (!matched) {
+      report.missing.push(rule.path);
+    }
+  }
+  
+  // Drop after all rules ran; remove array elements from the highest index down
+  drops.sort((a, b) => (typeof b.key === 'number' ? b.key : 0) - (typeof a.key === 'number' ? a.key : 0));
+  for (const { parent, key } of drops) {
+    if (Array.isArray(parent)) {
+      parent.splice(key, 1);
+    } else {
+      delete parent[key];
+    }
+  }
+  
+  return { record: output, report };
+}
+
+module.exports = {
+  compileSchema,
+  parsePath,
+  visit,
+  pseudonymizeRecord,
+  GENERALIZERS
+};
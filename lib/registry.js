@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pseudonym Registry
+ *
+ * Records every pseudonym issued through a generator so callers can:
+ * - Look up the user behind a pseudonym (reverse lookup)
+ * - List every pseudonym issued for a user (deletion / access requests)
+ * - Purge a user across all apps
+ *
+ * Storage goes through an adapter with four async methods:
+ *   put(record), getByPseudonym(pseudonym), listByUser(userId), deleteByUser(userId, clientId)
+ */
+class PseudonymRegistry {
+  /**
+   * @param {ConsentKeysPseudonymGenerator} generator - Generator used to issue pseudonyms
+   * @param {Object} options - Registry options
+   * @param {Object} options.adapter - Storage adapter, defaults to in-memory storage
+   */
+  constructor(generator, options = {}) {
+    if (!generator || typeof generator.generatePseudonym !== 'function') {
+      throw new Error('A pseudonym generator is required');
+    }
+    
+    this.generator = generator;
+    this.adapter = options.adapter || new MemoryRegistryAdapter();
+    
+    for (const method of ['put', 'getByPseudonym', 'listByUser', 'deleteByUser']) {
+      if (typeof this.adapter[method] !== 'function') {
+        throw new Error(`Registry adapter must implement ${method}()`);
+      }
+    }
+  }
+
+  /**
+   * Generate a pseudonym and record it in the registry
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {string} dataType - Optional data type for different pseudonym contexts
+   * @returns {Promise<string>} - Issued pseudonym
+   */
+  async issuePseudonym(userId, clientId, dataType = 'default') {
+    const pseudonym = this.generator.generatePseudonym(userId, clientId, dataType);
+    await this.record(pseudonym, userId, clientId, dataType);
+    return pseudonym;
+  }
+
+  /**
+   * Generate a fake profile and record its identifying fields (id and email)
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {Object} options - Profile options passed to generateFakeProfile
+   * @returns {Promise<Object>} - Fake user profile
+   */
+  async issueFakeProfile(userId, clientId, options = {}) {
+    const profile = this.generator.generateFakeProfile(userId, clientId, options);
+    
+    // Fields can be missing when they are not selected or not consented
+    if (profile.id !== undefined) {
+      await this.record(profile.id, userId, clientId, 'id');
+    }
+    if (profile.email !== undefined) {
+      await this.record(profile.email, userId, clientId, 'email');
+    }
+    return profile;
+  }
+
+  /**
+   * Store a pseudonym record unless it has already been recorded
+   * @param {string} pseudonym - Issued pseudonym or fake identifier
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @param {string} dataType - Data type the pseudonym was issued for
+   * @returns {Promise<Object>} - Stored record
+   */
+  async record(pseudonym, userId, clientId, dataType) {
+    const existing = await this.adapter.getByPseudonym(pseudonym);
+    if (existing) {
+      return existing;
+    }
+    
+    const record = {
+      pseudonym,
+      userId: userId.trim(),
+      clientId: clientId.trim(),
+      dataType: dataType.trim(),
+      createdAt: new Date().toISOString()
+    };
+    await this.adapter.put(record);
+    return record;
+  }
+
+  /**
+   * Find the record behind a pseudonym
+   * @param {string} pseudonym - Pseudonym to look up
+   * @returns {Promise<Object|null>} - Record with userId, clientId, dataType and createdAt
+   */
+  async lookup(pseudonym) {
+    if (!pseudonym || typeof pseudonym !== 'string') {
+      return null;
+    }
+    return (await this.adapter.getByPseudonym(pseudonym)) || null;
+  }
+
+  /**
+   * List every pseudonym issued for a user across all apps
+   * @param {string} userId - User identifier
+   * @returns {Promise<Array>} - Records for this user
+   */
+  async listForUser(userId) {
+    if (!userId || typeof userId !== 'string') {
+      throw new Error('userId is required and must be a non-empty string');
+    }
+    return this.adapter.listByUser(userId.trim());
+  }
+
+  /**
+   * Remove a user's pseudonym records, across all apps or for a single app
+   * @param {string} userId - User identifier
+   * @param {Object} options - Purge options
+   * @param {string} options.clientId - Only purge records for this app
+   * @returns {Promise<number>} - Number of records removed
+   */
+  async purgeUser(userId, options = {}) {
+    if (!userId || typeof userId !== 'string') {
+      throw new Error('userId is required and must be a non-empty string');
+    }
+    const clientId = options.clientId ? options.clientId.trim() : undefined;
+    return this.adapter.deleteByUser(userId.trim(), clientId);
+  }
+}
+
+/**
+ * In-memory registry storage, indexed by pseudonym and by user
+ */
+class MemoryRegistryAdapter {
+  constructor() {
+    this.byPseudonym = new Map();
+    this.byUser = new Map();
+  }
+
+  async put(record) {
+    this.byPseudonym.set(record.pseudonym, { ...record });
+    if (!this.byUser.has(record.userId)) {
+      this.byUser.set(record.userId, new Set());
+    }
+    this.byUser.get(record.userId).add(record.pseudonym);
+  }
+
+  async getByPseudonym(pseudonym) {
+    const record = this.byPseudonym.get(pseudonym);
+    return record ? { ...record } : null;
+  }
+
+  async listByUser(userId) {
+    const pseudonyms = this.byUser.get(userId) || new Set();
+    return [...pseudonyms].map((pseudonym) => ({ ...this.byPseudonym.get(pseudonym) }));
+  }
+
+  async deleteByUser(userId, clientId) {
+    const pseudonyms = this.byUser.get(userId);
+    if (!pseudonyms) {
+      return 0;
+    }
+    
+    let removed = 0;
+    for (const pseudonym of [...pseudonyms]) {
+      if (clientId === undefined || this.byPseudonym.get(pseudonym).clientId === clientId) {
+        this.byPseudonym.delete(pseudonym);
+        pseudonyms.delete(pseudonym);
+        removed++;
+      }
+    }
+    if (pseudonyms.size === 0) {
+      this.byUser.delete(userId);
+    }
+    return removed;
+  }
+}
+
+/**
+ * Local file registry storage. Records are kept in memory and persisted as a
+ * JSON file, rewritten atomically (write to temp file, then rename) on every change.
+ */
+class FileRegistryAdapter {
+  /**
+   * @param {string} filePath - Path of the JSON registry file
+   */
+  constructor(filePath) {
+    if (!filePath || typeof filePath !== 'string') {
+      throw new Error('filePath is required and must be a non-empty string');
+    }
+    
+    this.filePath = path.resolve(filePath);
+    this.memory = null;
+    // Serialize writes so concurrent changes never interleave on disk
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Load the registry file on first use
+   * @returns {Promise<MemoryRegistryAdapter>} - In-memory view of the file
+   */
+  async load() {
+    if (this.memory) {
+      return this.memory;
+    }
+    
+    const memory = new MemoryRegistryAdapter();
+    try {
+      const records = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      for (const record of records) {
+        await memory.put(record);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load registry file ${this.filePath}: ${error.message}`);
+      }
+    }
+    
+    this.memory = this.memory || memory;
+    return this.memory;
+  }
+
+  /**
+   * Write the current records to disk
+   * @returns {Promise<void>}
+   */
+  persist() {
+    // A failed write should not block later writes, so start from a settled promise
+    this.pending = this.pending.catch(() => {}).then(async () => {
+      const records = [...this.memory.byPseudonym.values()];
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(records), { mode: 0o600 });
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    return this.pending;
+  }
+
+  async put(record) {
+    await (await this.load()).put(record);
+    await this.persist();
+  }
+
+  async getByPseudonym(pseudonym) {
+    return (await this.load()).getByPseudonym(pseudonym);
+  }
+
+  async listByUser(userId) {
+    return (await this.load()).listByUser(userId);
+  }
+
+  async deleteByUser(userId, clientId) {
+    const removed = await (await this.load()).deleteByUser(userId, clientId);
+    if (removed > 0) {
+      await this.persist();
+    }
+    return removed;
+  }
+}
+
+module.exports = {
+  PseudonymRegistry,
+  MemoryRegistryAdapter,
+  FileRegistryAdapter
+};
@@ -0,0 +1,222 @@
+/**
+ * Fake Email Relay
+ *
+ * Makes fake email addresses deliverable. Point the generator's relayDomain at
+ * the mail server, issue addresses through the relay, and have the mail server
+ * call resolve() for each inbound recipient. The result says whether to forward
+ * the message and to which real address:
+ *
+ *   const relay = new EmailRelay(generator);
+ *   const address = await relay.issueAddress('user123', 'shopping-app');
+ *   relay.registerForwardingTarget('user123', 'jane@example.com');
+ *   await relay.resolve(address); // { deliver: true, to: 'jane@example.com', ... }
+ *
+ * Users can block a single app's mail, and operators can disable an app entirely,
+ * without affecting the user's other apps. Addresses retired by a consent
+ * revocation stop forwarding.
+ */
+const { matchUntaggedBody } = require('./formats');
+
+class EmailRelay {
+  /**
+   * @param {ConsentKeysPseudonymGenerator} generator - Generator that issues the fake addresses
+   * @param {Object} options - Relay options
+   * @param {PseudonymRegistry} options.registry - Optional registry to record and look up addresses
+   */
+  constructor(generator, options = {}) {
+    if (!generator || typeof generator.generateFakeEmail !== 'function') {
+      throw new Error('A pseudonym generator is required');
+    }
+    if (options.registry && typeof options.registry.lookup !== 'function') {
+      throw new Error('registry must be a PseudonymRegistry');
+    }
+
+    this.generator = generator;
+    this.registry = options.registry || null;
+    // relay address -> { userId, clientId }
+    this.addresses = new Map();
+    // userId -> real email address
+    this.forwardingTargets = new Map();
+    // userId -> Set(clientId) the user blocked
+    this.blockedClients = new Map();
+    // clientIds whose relay mail is switched off for everyone
+    this.disabledClients = new Set();
+  }
+
+  /**
+   * Validate and trim an identifier
+   * @param {string} name - Parameter name for error messages
+   * @param {string} value - Identifier
+   * @returns {string} - Trimmed identifier
+   */
+  normalizeId(name, value) {
+    if (!value || typeof value !== 'string' || value.trim().length === 0) {
+      throw new Error(`${name} is required and must be a non-empty string`);
+    }
+    return value.trim();
+  }
+
+  /**
+   * Issue a user's fake email address for an app and remember it for inbound mail
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   * @returns {Promise<string>} - Relay address
+   */
+  async issueAddress(userId, clientId) {
+    userId = this.normalizeId('userId', userId);
+    clientId = this.normalizeId('clientId', clientId);
+
+    const address = this.generator.generateFakeEmail(userId, clientId);
+    this.addresses.set(address, { userId, clientId });
+    if (this.registry) {
+      await this.registry.record(address, userId, clientId, 'email');
+    }
+    return address;
+  }
+
+  /**
+   * Register the real address a user's relay mail is forwarded to
+   * @param {string} userId - User identifier
+   * @param {string} email - Real email address
+   */
+  registerForwardingTarget(userId, email) {
+    userId = this.normalizeId('userId', userId);
+    if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      throw new Error('Forwarding target must be an email address');
+    }
+    email = email.trim();
+
+    // Forwarding into the relay itself would loop
+    if (email.split('@')[1].toLowerCase() === this.generator.relayDomain) {
+      throw new Error('Forwarding target cannot be a relay address');
+    }
+    this.forwardingTargets.set(userId, email);
+  }
+
+  /**
+   * Stop forwarding a user's relay mail
+   * @param {string} userId - User identifier
+   * @returns {boolean} - True if a forwarding target was removed
+   */
+  removeForwardingTarget(userId) {
+    return this.forwardingTargets.delete(this.normalizeId('userId', userId));
+  }
+
+  /**
+   * Block one app's relay mail for a user
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   */
+  blockClient(userId, clientId) {
+    userId = this.normalizeId('userId', userId);
+    clientId = this.normalizeId('clientId', clientId);
+    if (!this.blockedClients.has(userId)) {
+      this.blockedClients.set(userId, new Set());
+    }
+    this.blockedClients.get(userId).add(clientId);
+  }
+
+  /**
+   * Lift a user's block on one app's relay mail
+   * @param {string} userId - User identifier
+   * @param {string} clientId - Client/app identifier
+   */
+  unblockClient(userId, clientId) {
+    userId = this.normalizeId('userId', userId);
+    clientId = this.normalizeId('clientId', clientId);
+    const blocked = this.blockedClients.get(userId);
+    if (blocked) {
+      blocked.delete(clientId);
+    }
+  }
+
+  /**
+   * Switch off relay mail from an app for every user
+   * @param {string} clientId - Client/app identifier
+   */
+  disableClient(clientId) {
+    this.disabledClients.add(this.normalizeId('clientId', clientId));
+  }
+
+  /**
+   * Switch relay mail from an app back on
+   * @param {string} clientId - Client/app identifier
+   */
+  enableClient(clientId) {
+    this.disabledClients.delete(this.normalizeId('clientId', clientId));
+  }
+
+  /**
+   * Find who a relay address was issued to
+   * @param {string} address - Canonical relay address
+   * @returns {Promise<Object|null>} - { userId, clientId }, or null if unknown
+   */
+  async lookupAddress(address) {
+    if (this.addresses.has(address)) {
+      return this.addresses.get(address);
+    }
+    if (this.registry) {
+      const record = await this.registry.lookup(address);
+      if (record && record.dataType === 'email') {
+        return { userId: record.userId, clientId: record.clientId };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Decide where mail to a relay address should go
+   * @param {string} recipient - Inbound recipient address (plus-tags are ignored)
+   * @returns {Promise<Object>} - { deliver: true, to, userId, clientId } or
+   *   { deliver: false, reason } with reason invalid-address, unknown-recipient,
+   *   client-disabled, blocked-by-user, consent-revoked, address-retired or no-forwarding-target
+   */
+  async resolve(recipient) {
+    const refuse = (reason, identity = {}) => ({ deliver: false, reason, ...identity });
+
+    const match = typeof recipient === 'string' ? /^([^\s@+]+)(?:\+[^\s@]*)?@([^\s@]+)$/.exec(recipient.trim()) : null;
+    if (!match || match[2].toLowerCase() !== this.generator.relayDomain) {
+      return refuse('invalid-address');
+    }
+
+    // Only issued addresses are delivered; mail servers may change the case of the
+    // local part, so look up the canonical form
+    const localPart = matchUntaggedBody(this.generator.outputFormatFor('email'), match[1]);
+    if (localPart === null) {
+      return refuse('unknown-recipient');
+    }
+    const address = `${localPart}@${this.generator.relayDomain}`;
+
+    const identity = await this.lookupAddress(address);
+    if (!identity) {
+      return refuse('unknown-recipient');
+    }
+    const { userId, clientId } = identity;
+
+    if (this.disabledClients.has(clientId)) {
+      return refuse('client-disabled', { clientId });
+    }
+    const blocked = this.blockedClients.get(userId);
+    if (blocked && blocked.has(clientId)) {
+      return refuse('blocked-by-user', { clientId });
+    }
+    if (!this.generator.isConsented(userId, clientId, 'email')) {
+      return refuse('consent-revoked', { clientId });
+    }
+    // A revocation starts a new epoch and a new address; the old one stops forwarding.
+    // Addresses issued under an older key version that is still accepted keep working.
+    if (!this.generator.verifyFakeEmailFor(address, userId, clientId)) {
+      return refuse('address-retired', { clientId });
+    }
+
+    const to = this.forwardingTargets.get(userId);
+    if (!to) {
+      return refuse('no-forwarding-target', { clientId });
+    }
+    return { deliver: true, to, userId, clientId };
+  }
+}
+
+module.exports = {
+  EmailRelay
+};
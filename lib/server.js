@@ -0,0 +1,397 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Local HTTP Pseudonymization Service
+ *
+ * Exposes the generator's operations as JSON endpoints for services that cannot
+ * call the generator directly. Every caller authenticates with an API key that is
+ * bound to exactly one clientId; the clientId is taken from the key, never from
+ * the request, so one app cannot ask for another app's pseudonyms.
+ *
+ * Only derived values are ever returned. The info endpoint reports the
+ * generator's public configuration and nothing from the keyring.
+ */
+
+const MIN_API_KEY_LENGTH = 32;
+
+/**
+ * Error carrying the HTTP status to respond with
+ */
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Authenticated endpoints, keyed by "METHOD path". Each handler receives the
+ * generator, the caller's clientId and the parsed JSON body.
+ */
+const ROUTES = {
+  'POST /v1/pseudonym': (generator, clientId, body) => ({
+    pseudonym: generator.generatePseudonym(body.userId, clientId, body.dataType)
+  }),
+  'POST /v1/pseudonyms/bulk': (generator, clientId, body, service) => {
+    if (!Array.isArray(body.userIds)) {
+      throw new RequestError(400, 'userIds must be an array');
+    }
+    if (body.userIds.length > service.maxBulkSize) {
+      throw new RequestError(400, `At most ${service.maxBulkSize} userIds can be sent in one request`);
+    }
+    return { pseudonyms: generator.generateBulkPseudonyms(body.userIds, clientId, body.dataType) };
+  },
+  'POST /v1/fake/email': (generator, clientId, body) => ({
+    email: generator.generateFakeEmail(body.userId, clientId)
+  }),
+  'POST /v1/fake/name': (generator, clientId, body) => ({
+    displayName: generator.generateFakeDisplayName(body.userId, clientId, { locale: body.locale })
+  }),
+  'POST /v1/fake/address': (generator, clientId, body) => ({
+    address: generator.generateFakeAddress(body.userId, clientId, { locale: body.locale })
+  }),
+  'POST /v1/fake/profile': (generator, clientId, body) => ({
+    profile: generator.generateFakeProfile(body.userId, clientId, {
+      fields: body.fields,
+      locale: body.locale,
+      realBirthdate: body.realBirthdate,
+      cardBrand: body.cardBrand,
+      avatarStyle: body.avatarStyle
+    })
+  }),
+  'POST /v1/verify': (generator, clientId, body) => {
+    if (typeof body.pseudonym !== 'string') {
+      throw new RequestError(400, 'pseudonym must be a string');
+    }
+    if (body.userId === undefined) {
+      return { valid: generator.verifyPseudonym(body.pseudonym, clientId) };
+    }
+    return { valid: generator.verifyPseudonymFor(body.pseudonym, body.userId, clientId, body.dataType) };
+  },
+  'GET /v1/info': (generator, clientId) => ({
+    ...generator.getInfo(),
+    clientId
+  })
+};
+
+class PseudonymService {
+  /**
+   * @param {ConsentKeysPseudonymGenerator} generator - Generator used for every request
+   * @param {Object} options - Service options
+   * @param {Array<Object>} options.clients - API keys as { clientId, apiKey } (a client may have several)
+   * @param {number} options.maxBodyBytes - Largest request body accepted (default 65,536)
+   * @param {number} options.maxBulkSize - Most userIds accepted by the bulk endpoint (default 1,000)
+   * @param {Object|false} options.rateLimit - { windowMs, max } per client (default 600 per minute), or false
+   * @param {Object|false} options.authFailureLimit - { windowMs, max } invalid API keys per remote address
+   *   (default 10 per minute), or false
+   */
+  constructor(generator, options = {}) {
+    if (!generator || typeof generator.generatePseudonym !== 'function') {
+      throw new Error('A pseudonym generator is required');
+    }
+
+    this.generator = generator;
+    this.apiKeys = this.buildApiKeys(options.clients);
+    this.maxBodyBytes = options.maxBodyBytes || 64 * 1024;
+    this.maxBulkSize = options.maxBulkSize || 1000;
+    this.rateLimit = options.rateLimit === false
+      ? null
+      : { windowMs: 60 * 1000, max: 600, ...options.rateLimit };
+    this.rateWindows = new Map();
+    this.authFailureLimit = options.authFailureLimit === false
+      ? null
+      : { windowMs: 60 * 1000, max: 10, ...options.authFailureLimit };
+    this.authFailureWindows = new Map();
+    this.ready = false;
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res);
+    });
+  }
+
+  /**
+   * Index API keys by their SHA-256 digest so raw keys are not kept in memory
+   * @param {Array<Object>} clients - API key bindings
+   * @returns {Map<string, string>} - Key digest to clientId
+   */
+  buildApiKeys(clients) {
+    if (!Array.isArray(clients) || clients.length === 0) {
+      throw new Error('At least one client API key is required');
+    }
+
+    const apiKeys = new Map();
+    for (const { clientId, apiKey } of clients) {
+      if (!clientId || typeof clientId !== 'string') {
+        throw new Error('Each API key must be bound to a non-empty clientId');
+      }
+      if (typeof apiKey !== 'string' || apiKey.length < MIN_API_KEY_LENGTH) {
+        throw new Error(`API key for ${clientId} must be at least ${MIN_API_KEY_LENGTH} characters`);
+      }
+      const digest = digestApiKey(apiKey);
+      if (apiKeys.has(digest)) {
+        throw new Error(`API key for ${clientId} is already in use`);
+      }
+      apiKeys.set(digest, clientId);
+    }
+    return apiKeys;
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port to listen on (0 picks a free port)
+   * @param {string} host - Interface to bind (default 127.0.0.1)
+   * @returns {Promise<Object>} - Bound address
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        this.ready = true;
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  /**
+   * Stop accepting requests and close the server once in-flight requests finish
+   * @returns {Promise<void>}
+   */
+  close() {
+    this.ready = false;
+    return new Promise((resolve, reject) => {
+      this.server.close((error) => (error ? reject(error) : resolve()));
+      this.server.closeIdleConnections();
+    });
+  }
+
+  /**
+   * Handle one HTTP request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+
+      if (pathname === '/healthz') {
+        return sendJson(res, 200, { status: 'ok' });
+      }
+      if (pathname === '/readyz') {
+        return sendJson(res, this.ready ? 200 : 503, { status: this.ready ? 'ready' : 'not ready' });
+      }
+
+      const handler = ROUTES[`${req.method} ${pathname}`];
+      if (!handler) {
+        const allowed = Object.keys(ROUTES)
+          .filter((route) => route.endsWith(` ${pathname}`))
+          .map((route) => route.split(' ')[0]);
+        if (allowed.length > 0) {
+          res.setHeader('Allow', allowed.join(', '));
+          throw new RequestError(405, `Method ${req.method} not allowed`);
+        }
+        throw new RequestError(404, 'Not found');
+      }
+
+      const address = req.socket.remoteAddress;
+      this.checkAuthFailures(address, res);
+      let clientId;
+      try {
+        clientId = this.authenticate(req);
+      } catch (error) {
+        this.recordAuthFailure(address);
+        throw error;
+      }
+      this.checkRateLimit(clientId, res);
+      const body = req.method === 'POST' ? await this.readBody(req) : {};
+
+      let result;
+      try {
+        result = handler(this.generator, clientId, body, this);
+      } catch (error) {
+        if (error instanceof RequestError) {
+          throw error;
+        }
+        // Generator errors are input validation and consent failures
+        throw new RequestError(400, error.message);
+      }
+      sendJson(res, 200, result);
+    } catch (error) {
+      if (error instanceof RequestError) {
+        if (error.status === 413) {
+          res.setHeader('Connection', 'close');
+        }
+        sendJson(res, error.status, { error: error.message });
+      } else {
+        sendJson(res, 500, { error: 'Internal server error' });
+      }
+    }
+  }
+
+  /**
+   * Resolve the caller's clientId from its API key
+   * @param {http.IncomingMessage} req - Request
+   * @returns {string} - Bound clientId
+   */
+  authenticate(req) {
+    const authorization = req.headers.authorization || '';
+    const match = authorization.match(/^Bearer\s+(\S+)$/i);
+    const apiKey = match ? match[1] : req.headers['x-api-key'];
+    const clientId = typeof apiKey === 'string' ? this.apiKeys.get(digestApiKey(apiKey)) : undefined;
+
+    if (!clientId) {
+      throw new RequestError(401, 'A valid API key is required');
+    }
+    return clientId;
+  }
+
+  /**
+   * Refuse every request from an address that sent too many invalid API keys in
+   * the current window, so keys cannot be guessed at the per-client rate
+   * @param {string} address - Remote address
+   * @param {http.ServerResponse} res - Response, for the Retry-After header
+   */
+  checkAuthFailures(address, res) {
+    if (!this.authFailureLimit) {
+      return;
+    }
+
+    const now = Date.now();
+    const window = this.authFailureWindows.get(address);
+    if (window && now - window.start < this.authFailureLimit.windowMs && window.count >= this.authFailureLimit.max) {
+      const retryAfter = Math.ceil((window.start + this.authFailureLimit.windowMs - now) / 1000);
+      res.setHeader('Retry-After', retryAfter);
+      throw new RequestError(429, 'Too many failed authentication attempts');
+    }
+  }
+
+  /**
+   * Count an invalid API key against the remote address's fixed window
+   * @param {string} address - Remote address
+   */
+  recordAuthFailure(address) {
+    if (!this.authFailureLimit) {
+      return;
+    }
+
+    const now = Date.now();
+    let window = this.authFailureWindows.get(address);
+    if (!window || now - window.start >= this.authFailureLimit.windowMs) {
+      // Drop expired windows so addresses that stopped failing are not kept forever
+      for (const [key, expired] of this.authFailureWindows) {
+        if (now - expired.start >= this.authFailureLimit.windowMs) {
+          this.authFailureWindows.delete(key);
+        }
+      }
+      window = { start: now, count: 0 };
+      this.authFailureWindows.set(address, window);
+    }
+    window.count++;
+  }
+
+  /**
+   * Count the request against the client's fixed rate-limit window
+   * @param {string} clientId - Authenticated clientId
+   * @param {http.ServerResponse} res - Response, for rate-limit headers
+   */
+  checkRateLimit(clientId, res) {
+    if (!this.rateLimit) {
+      return;
+    }
+
+    const now = Date.now();
+    let window = this.rateWindows.get(clientId);
+    if (!window || now - window.start >= this.rateLimit.windowMs) {
+      window = { start: now, count: 0 };
+      this.rateWindows.set(clientId, window);
+    }
+    window.count++;
+
+    res.setHeader('RateLimit-Limit', this.rateLimit.max);
+    res.setHeader('RateLimit-Remaining', Math.max(0, this.rateLimit.max - window.count));
+    if (window.count > this.rateLimit.max) {
+      const retryAfter = Math.ceil((window.start + this.rateLimit.windowMs - now) / 1000);
+      res.setHeader('Retry-After', retryAfter);
+      throw new RequestError(429, 'Rate limit exceeded');
+    }
+  }
+
+  /**
+   * Read and parse a JSON request body, enforcing the size limit
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Object>} - Parsed body
+   */
+  async readBody(req) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') {
+      throw new RequestError(415, 'Content-Type must be application/json');
+    }
+    if (Number(req.headers['content-length']) > this.maxBodyBytes) {
+      req.resume();
+      throw new RequestError(413, `Request body exceeds ${this.maxBodyBytes} bytes`);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBodyBytes) {
+        req.resume();
+        throw new RequestError(413, `Request body exceeds ${this.maxBodyBytes} bytes`);
+      }
+      chunks.push(chunk);
+    }
+
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      throw new RequestError(400, 'Request body must be valid JSON');
+    }
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new RequestError(400, 'Request body must be a JSON object');
+    }
+    return body;
+  }
+}
+
+/**
+ * Digest an API key for lookup
+ * @param {string} apiKey - Raw API key
+ * @returns {string} - Hex SHA-256 digest
+ */
+function digestApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} payload - Response body
+ */
+function sendJson(res, status, payload) {
+  const body = JSON.stringify(payload);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-store'
+  });
+  res.end(body);
+}
+
+/**
+ * Create a pseudonymization service
+ * @param {ConsentKeysPseudonymGenerator} generator - Generator used for every request
+ * @param {Object} options - Service options (see PseudonymService)
+ * @returns {PseudonymService} - Service, not yet listening
+ */
+function createPseudonymService(generator, options) {
+  return new PseudonymService(generator, options);
+}
+
+module.exports = {
+  PseudonymService,
+  createPseudonymService
+};
@@ -0,0 +1,408 @@
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { compileSchema } = require('./records');
+
+/**
+ * Streaming CSV / NDJSON Pseudonymization
+ *
+ * A Transform stream that reads CSV or NDJSON, pseudonymizes the configured
+ * columns (or applies a record schema) per clientId, and writes the same format
+ * back out. Records are processed one at a time so memory stays constant no
+ * matter how large the export is.
+ *
+ * Bad rows (malformed CSV, invalid JSON, values that cannot be pseudonymized)
+ * are skipped and reported through 'rowError' events, or stop the stream when
+ * errorMode is 'fail'. Bad rows are never written through unmodified.
+ */
+class PseudonymizeStream extends Transform {
+  /**
+   * @param {ConsentKeysPseudonymGenerator} generator - Generator used for every record
+   * @param {Object} options - Stream options
+   * @param {string} options.clientId - Client/app identifier the output is for
+   * @param {string} options.format - 'csv' (default) or 'ndjson'
+   * @param {Array<string>} options.columns - Columns (CSV, literal names) or paths (NDJSON) to pseudonymize;
+   *   a record in which one of them matches no field is a bad row
+   * @param {string} options.dataType - Data type for pseudonymized columns (default 'default')
+   * @param {Object} options.schema - Record schema, instead of columns, for other actions
+   * @param {string} options.errorMode - 'skip' (default) or 'fail' on bad rows
+   * @param {number} options.maxRecordLength - Longest record accepted, in characters (default 1,048,576)
+   */
+  constructor(generator, options = {}) {
+    super();
+    
+    if (!generator || typeof generator.pseudonymizeRecord !== 'function') {
+      throw new Error('A pseudonym generator is required');
+    }
+    if (!options.clientId || typeof options.clientId !== 'string') {
+      throw new Error('clientId is required and must be a non-empty string');
+    }
+    
+    const format = options.format || 'csv';
+    if (format !== 'csv' && format !== 'ndjson') {
+      throw new Error(`Unsupported stream format: ${format}`);
+    }
+    const errorMode = options.errorMode || 'skip';
+    if (errorMode !== 'skip' && errorMode !== 'fail') {
+      throw new Error(`Unknown error mode: ${errorMode}`);
+    }
+    
+    this.generator = generator;
+    this.clientId = options.clientId;
+    this.format = format;
+    this.errorMode = errorMode;
+    this.maxRecordLength = options.maxRecordLength || 1024 * 1024;
+    this.schema = this.buildSchema(options);
+    // Every listed column must be pseudonymized; one that matches nothing would pass through raw
+    this.requireColumns = !options.schema;
+    this.decoder = new StringDecoder('utf8');
+    this.stats = { records: 0, written: 0, errors: 0 };
+    
+    // CSV parser state, carried across chunks
+    this.header = null;
+    this.csvKeys = null;
+    this.csvSchema = null;
+    this.lineEnding = null;
+    this.resetCsvRecord();
+    
+    // NDJSON partial line carried across chunks
+    this.pendingLine = '';
+    this.skipUntilNewline = false;
+  }
+
+  /**
+   * Build the record schema from explicit schema or column list
+   * @param {Object} options - Stream options
+   * @returns {Object} - Record schema
+   */
+  buildSchema(options) {
+    if (options.schema) {
+      compileSchema(options.schema);
+      return options.schema;
+    }
+    if (!Array.isArray(options.columns) || options.columns.length === 0) {
+      throw new Error('Either columns or schema must be provided');
+    }
+    
+    const schema = {};
+    for (const column of options.columns) {
+      schema[column] = { action: 'pseudonymize', dataType: options.dataType || 'default' };
+    }
+    compileSchema(schema);
+    return schema;
+  }
+
+  _transform(chunk, encoding, callback) {
+    const text = typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+    try {
+      if (this.format === 'csv') {
+        this.parseCsv(text);
+      } else {
+        this.parseNdjson(text);
+      }
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    const text = this.decoder.end();
+    try {
+      if (this.format === 'csv') {
+        this.parseCsv(text);
+        if (this.inQuotes && !this.quotePending) {
+          this.stats.records++;
+          this.handleRowError(new Error('Unterminated quoted field at end of input'));
+        } else if (this.row.length > 0 || this.field !== '' || this.quotePending) {
+          this.inQuotes = false;
+          this.endCsvRecord();
+        }
+      } else {
+        this.parseNdjson(text);
+        if (this.pendingLine.trim() !== '') {
+          this.processNdjsonLine(this.pendingLine);
+        }
+      }
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  /**
+   * Report a bad row, or stop the stream in 'fail' mode
+   * @param {Error} error - What went wrong
+   */
+  handleRowError(error) {
+    this.stats.errors++;
+    const rowError = { record: this.stats.records, error: error.message };
+    if (this.errorMode === 'fail') {
+      throw new Error(`Record ${rowError.record}: ${rowError.error}`);
+    }
+    this.emit('rowError', rowError);
+  }
+
+  resetCsvRecord() {
+    this.row = [];
+    this.field = '';
+    this.fieldStart = true;
+    this.inQuotes = false;
+    this.quotePending = false;
+    this.sawCarriageReturn = false;
+    this.recordLength = 0;
+    this.oversized = false;
+  }
+
+  /**
+   * Feed text into the incremental CSV parser (RFC 4180 quoting, LF or CRLF line endings)
+   * @param {string} text - Decoded input text
+   */
+  parseCsv(text) {
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      
+      // Skip the LF of a CRLF pair
+      if (this.sawCarriageReturn) {
+        this.sawCarriageReturn = false;
+        if (ch === '\n') {
+          continue;
+        }
+      }
+      
+      if (++this.recordLength > this.maxRecordLength) {
+        this.oversized = true;
+      }
+      
+      if (this.inQuotes) {
+        if (this.quotePending) {
+          this.quotePending = false;
+          if (ch === '"') {
+            this.appendToField('"');
+            continue;
+          }
+          this.inQuotes = false;
+        } else if (ch === '"') {
+          this.quotePending = true;
+          continue;
+        } else {
+          this.appendToField(ch);
+          continue;
+        }
+      }
+      
+      if (ch === '"' && this.fieldStart) {
+        this.inQuotes = true;
+        this.fieldStart = false;
+      } else if (ch === ',') {
+        this.row.push(this.field);
+        this.field = '';
+        this.fieldStart = true;
+      } else if (ch === '\n' || ch === '\r') {
+        // Output keeps the input's line ending (first terminator seen)
+        this.sawCarriageReturn = ch === '\r';
+        this.lineEnding = this.lineEnding || (ch === '\r' ? '\r\n' : '\n');
+        this.endCsvRecord();
+      } else {
+        this.appendToField(ch);
+        this.fieldStart = false;
+      }
+    }
+  }
+
+  /**
+   * Append to the current field unless the record is already over the size limit
+   * @param {string} ch - Character to append
+   */
+  appendToField(ch) {
+    if (!this.oversized) {
+      this.field += ch;
+    }
+  }
+
+  /**
+   * Finish the current CSV record and process it
+   */
+  endCsvRecord() {
+    this.row.push(this.field);
+    const row = this.row;
+    const oversized = this.oversized;
+    const sawCarriageReturn = this.sawCarriageReturn;
+    this.resetCsvRecord();
+    this.sawCarriageReturn = sawCarriageReturn;
+    
+    // Blank lines carry no record
+    if (row.length === 1 && row[0] === '' && !oversized) {
+      return;
+    }
+    
+    if (this.header === null) {
+      if (oversized) {
+        throw new Error('CSV header exceeds maxRecordLength');
+      }
+      this.startCsv(row);
+      return;
+    }
+    
+    this.stats.records++;
+    if (oversized) {
+      this.handleRowError(new Error(`Record exceeds ${this.maxRecordLength} characters`));
+      return;
+    }
+    if (row.length !== this.header.length) {
+      this.handleRowError(new Error(`Expected ${this.header.length} fields, found ${row.length}`));
+      return;
+    }
+    
+    // Empty cells stay empty rather than being pseudonymized
+    const record = {};
+    this.csvKeys.forEach((key, i) => {
+      record[key] = row[i] === '' ? null : row[i];
+    });
+    
+    const transformed = this.transformRecord(record, this.csvSchema);
+    if (transformed) {
+      const fields = this.csvKeys.map((key) => (transformed[key] === null ? '' : String(transformed[key])));
+      this.push(fields.map(formatCsvField).join(',') + (this.lineEnding || '\n'));
+      this.stats.written++;
+    }
+  }
+
+  /**
+   * Validate and write the CSV header. Column names are literal, so a header such
+   * as 'user.email' must not be read as a nested path: records are keyed by column
+   * position and the schema is rewritten to those keys.
+   * @param {Array<string>} header - Column names
+   */
+  startCsv(header) {
+    const keyFor = (column) => `column ${header.indexOf(column) + 1}`;
+    this.csvSchema = {};
+    for (const [path, rule] of Object.entries(this.schema)) {
+      if (!header.includes(path)) {
+        throw new Error(`Column ${path} not found in CSV header`);
+      }
+      const spec = typeof rule === 'string' ? { action: rule } : { ...rule };
+      if (spec.from !== undefined && header.includes(spec.from)) {
+        spec.from = keyFor(spec.from);
+      }
+      this.csvSchema[keyFor(path)] = spec;
+    }
+    this.csvKeys = header.map((column, i) => `column ${i + 1}`);
+    this.header = header;
+    this.push(header.map(formatCsvField).join(',') + (this.lineEnding || '\n'));
+  }
+
+  /**
+   * Feed text into the NDJSON line splitter
+   * @param {string} text - Decoded input text
+   */
+  parseNdjson(text) {
+    let start = 0;
+    let newline = text.indexOf('\n');
+    while (newline !== -1) {
+      const line = this.pendingLine + text.substring(start, newline);
+      this.pendingLine = '';
+      this.processNdjsonLine(line);
+      start = newline + 1;
+      newline = text.indexOf('\n', start);
+    }
+    
+    // Discard the rest of an oversized line until its newline arrives
+    if (this.skipUntilNewline) {
+      return;
+    }
+    
+    this.pendingLine += text.substring(start);
+    if (this.pendingLine.length > this.maxRecordLength) {
+      this.pendingLine = '';
+      this.skipUntilNewline = true;
+      this.stats.records++;
+      this.handleRowError(new Error(`Record exceeds ${this.maxRecordLength} characters`));
+    }
+  }
+
+  /**
+   * Process one complete NDJSON line
+   * @param {string} line - JSON text of one record
+   */
+  processNdjsonLine(line) {
+    if (this.skipUntilNewline) {
+      this.skipUntilNewline = false;
+      return;
+    }
+    if (line.trim() === '') {
+      return;
+    }
+    
+    this.stats.records++;
+    // Lines that arrive whole within one chunk never pass through pendingLine
+    if (line.length > this.maxRecordLength) {
+      this.handleRowError(new Error(`Record exceeds ${this.maxRecordLength} characters`));
+      return;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      this.handleRowError(new Error(`Invalid JSON: ${error.message}`));
+      return;
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      this.handleRowError(new Error('Each NDJSON line must be a JSON object'));
+      return;
+    }
+    
+    const transformed = this.transformRecord(record);
+    if (transformed) {
+      this.push(JSON.stringify(transformed) + '\n');
+      this.stats.written++;
+    }
+  }
+
+  /**
+   * Apply the schema to one record
+   * @param {Object} record - Parsed record
+   * @param {Object} schema - Schema to apply (defaults to the stream's schema)
+   * @returns {Object|null} - Transformed record, or null if the row was bad
+   */
+  transformRecord(record, schema = this.schema) {
+    let result;
+    try {
+      result = this.generator.pseudonymizeRecord(record, schema, this.clientId);
+    } catch (error) {
+      this.handleRowError(error);
+      return null;
+    }
+    if (this.requireColumns && result.report.missing.length > 0) {
+      this.handleRowError(new Error(`Column ${result.report.missing.join(', ')} matched no field`));
+      return null;
+    }
+    return result.record;
+  }
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ * @param {string} value - Field value
+ * @returns {string} - CSV-safe field
+ */
+function formatCsvField(value) {
+  if (/[",\r\n]/.test(value)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
+
+/**
+ * Create a pseudonymization Transform stream
+ * @param {ConsentKeysPseudonymGenerator} generator - Generator used for every record
+ * @param {Object} options - Stream options (see PseudonymizeStream)
+ * @returns {PseudonymizeStream} - Transform stream
+ */
+function createPseudonymizeStream(generator, options) {
+  return new PseudonymizeStream(generator, options);
+}
+
+module.exports = {
+  PseudonymizeStream,
+  createPseudonymizeStream
+};
@@ -0,0 +1,98 @@
+/**
+ * Consent-Scoped Pseudonym Translation
+ *
+ * Maps a user's pseudonym in one app to their pseudonym in another app, but only
+ * when the user has granted a link between those two apps. The real userId is
+ * resolved internally (through a registry or reversible pseudonyms) and is never
+ * returned to either app.
+ */
+class PseudonymTranslator {
+  /**
+   * @param {ConsentKeysPseudonymGenerator} generator - Generator that issued the pseudonyms
+   * @param {Object} options - Translator options
+   * @param {ConsentStore} options.consentStore - Store holding link grants
+   * @param {PseudonymRegistry} options.registry - Optional registry for reverse lookup
+   */
+  constructor(generator, options = {}) {
+    if (!generator || typeof generator.generatePseudonym !== 'function') {
+      throw new Error('A pseudonym generator is required');
+    }
+    if (!options.consentStore || typeof options.consentStore.hasLink !== 'function') {
+      throw new Error('A consent store is required for pseudonym translation');
+    }
+    
+    this.generator = generator;
+    this.consentStore = options.consentStore;
+    this.registry = options.registry || null;
+  }
+
+  /**
+   * Translate a pseudonym from one app into the same user's pseudonym for another app
+   * @param {string} pseudonym - Pseudonym issued to fromClientId
+   * @param {string} fromClientId - App the pseudonym was issued to
+   * @param {string} toClientId - App to translate the pseudonym for
+   * @returns {Promise<string>} - The user's pseudonym for toClientId
+   */
+  async translatePseudonym(pseudonym, fromClientId, toClientId) {
+    if (!fromClientId || typeof fromClientId !== 'string') {
+      throw new Error('fromClientId is required and must be a non-empty string');
+    }
+    if (!toClientId || typeof toClientId !== 'string') {
+      throw new Error('toClientId is required and must be a non-empty string');
+    }
+    fromClientId = fromClientId.trim();
+    toClientId = toClientId.trim();
+    
+    // Fail closed with one message, so callers cannot probe which pseudonyms exist
+    const denied = new Error('Pseudonym translation is not permitted');
+    
+    const identity = await this.resolve(pseudonym, fromClientId, {
+      reason: `Consented translation to ${toClientId}`,
+      actor: fromClientId
+    });
+    if (!identity || identity.clientId !== fromClientId || fromClientId === toClientId) {
+      throw denied;
+    }
+    if (!this.consentStore.hasLink(identity.userId, fromClientId, toClientId)) {
+      throw denied;
+    }
+    
+    if (this.registry) {
+      return this.registry.issuePseudonym(identity.userId, toClientId, identity.dataType);
+    }
+    return this.generator.generatePseudonym(identity.userId, toClientId, identity.dataType);
+  }
+
+  /**
+   * Resolve a pseudonym to the identity it was issued for
+   * @param {string} pseudonym - Pseudonym to resolve
+   * @param {string} clientId - App the pseudonym is claimed to belong to
+   * @param {Object} authorization - Reason and actor for decoding a reversible pseudonym
+   * @returns {Promise<Object|null>} - userId, clientId and dataType, or null if unresolvable
+   */
+  async resolve(pseudonym, clientId, authorization) {
+    if (!this.generator.verifyPseudonym(pseudonym, clientId)) {
+      return null;
+    }
+    
+    let identity = null;
+    if (this.registry) {
+      identity = await this.registry.lookup(pseudonym);
+    }
+    if (!identity && this.generator.reidentificationKey && this.generator.parsePseudonym(pseudonym, clientId).reversible) {
+      identity = this.generator.decodeReversiblePseudonym(pseudonym, authorization);
+    }
+    
+    // Registry records and encrypted identities outlive consent revocations; only a
+    // pseudonym that is still the user's current one for this app (same consent
+    // epoch) may be translated
+    if (!identity || !this.generator.verifyPseudonymFor(pseudonym, identity.userId, identity.clientId, identity.dataType)) {
+      return null;
+    }
+    return identity;
+  }
+}
+
+module.exports = {
+  PseudonymTranslator
+};
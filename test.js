@@ -1,5 +1,34 @@
 // test.js - Comprehensive Test Suite for ConsentKeysPseudonymGenerator
-const { ConsentKeysPseudonymGenerator } = require('./index.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Readable } = require('stream');
+const { spawnSync } = require('child_process');
+const crypto = require('crypto');
+const {
+    ConsentKeysPseudonymGenerator,
+    PseudonymRegistry,
+    FileRegistryAdapter,
+    ConsentStore,
+    PseudonymTranslator,
+    registerLocalePack,
+    createPseudonymizeStream,
+    createPseudonymService,
+    createPseudonymMiddleware,
+    createPseudonymResolverMiddleware,
+    EmailRelay,
+    GENERALIZERS,
+    checkKAnonymity,
+    suppressSmallClasses,
+    AuditLog,
+    FileAuditSink,
+    verifyAuditChain,
+    estimateKeyEntropy,
+    loadKeyFromEnv,
+    loadKeyFromFile,
+    deriveKeyFromPassphrase
+} = require('./index.js');
 
 /**
  * Test suite for the ConsentKeysPseudonymGenerator
@@ -129,6 +158,50 @@ function runTestSuite() {
     console.log('✓ Valid pseudonym check:', generator.verifyPseudonym(validPseudonym));
     console.log('✓ Invalid pseudonym check:', !generator.verifyPseudonym('invalid_pseudonym'));
     console.log('✓ Malformed pseudonym check:', !generator.verifyPseudonym('ck_invalid!@#'));
+    console.log('✓ Forged pseudonym check:', !generator.verifyPseudonym('ck_AAAAAAAAAAAAAAAAAAAAAAAA'));
+    
+    // Corrupt a single character of the body
+    const corrupted = validPseudonym.slice(0, 5) +
+        (validPseudonym[5] === 'A' ? 'B' : 'A') + validPseudonym.slice(6);
+    console.log('✓ Corrupted pseudonym check:', !generator.verifyPseudonym(corrupted));
+    
+    const otherKeyGenerator = new ConsentKeysPseudonymGenerator('another-secret-key-at-least-32-chars-long');
+    console.log('✓ Other key pseudonym check:',
+        !generator.verifyPseudonym(otherKeyGenerator.generatePseudonym('user123', 'shopping-app')));
+    
+    // Verification bound to a specific user and app
+    console.log('✓ Owner verification:',
+        generator.verifyPseudonymFor(validPseudonym, 'user123', 'shopping-app'));
+    console.log('✓ Other user rejected:',
+        !generator.verifyPseudonymFor(validPseudonym, 'user456', 'shopping-app'));
+    console.log('✓ Other app rejected:',
+        !generator.verifyPseudonymFor(validPseudonym, 'user123', 'social-app'));
+    console.log('✓ Other data type rejected:',
+        !generator.verifyPseudonymFor(validPseudonym, 'user123', 'shopping-app', 'email'));
+    
+    // Pseudonyms stored before check tags were added (ck_ + 16 characters, no tag)
+    const baselinePseudonym = 'ck_LXG3lkaA_4kKGJzy';
+    console.log('✓ Untagged legacy pseudonym verifies for its owner:',
+        generator.verifyPseudonymFor(baselinePseudonym, 'user123', 'shopping-app') &&
+        !generator.verifyPseudonymFor(baselinePseudonym, 'user456', 'shopping-app'));
+    console.log('✓ Untagged legacy pseudonym not verifiable without its owner:', !generator.verifyPseudonym(baselinePseudonym));
+    console.log('✓ Untagged legacy pseudonym upgraded:',
+        generator.migratePseudonym(baselinePseudonym, 'user123', 'shopping-app') === validPseudonym &&
+        validPseudonym.startsWith(baselinePseudonym));
+    const rotatedGenerator = new ConsentKeysPseudonymGenerator({
+        keys: { 1: 'super-secret-key-at-least-32-chars-long', 2: 'another-secret-key-at-least-32-chars-long' },
+        activeVersion: 2,
+        legacyVersion: 1
+    });
+    console.log('✓ Untagged legacy pseudonym migrates to the active key:',
+        rotatedGenerator.migratePseudonym(baselinePseudonym, 'user123', 'shopping-app') ===
+        rotatedGenerator.generatePseudonym('user123', 'shopping-app'));
+    
+    // Fake identities are derived from the untagged pseudonym, so they did not change with check tags
+    console.log('✓ Fake identities unchanged by check tags:',
+        generator.generateFakeDisplayName('user123', 'shop') === 'Avery Garcia' &&
+        generator.generateFakeEmail('user123', 'shop') === 'oZAa3M_djPJ_UtGe@consentkeys.local' &&
+        generator.generateFakeAddress('user123', 'shop').street === '220 Monroe St');
 
     // Test 8: Security Demonstration
     console.log('\n=== Security Demonstration ===');
@@ -263,7 +336,7 @@ function testEdgeCaseScenarios() {
     try {
         const result = generator.generatePseudonym(longUser, longApp);
         console.log('✓ Long inputs handled successfully');
-        console.log('✓ Result format valid:', /^ck_[A-Za-z0-9_-]{16}$/.test(result));
+        console.log('✓ Result format valid:', /^ck_[A-Za-z0-9_-]{24}$/.test(result));
     } catch (e) {
         console.log('✗ Long input handling failed:', e.message);
     }
@@ -276,21 +349,1867 @@ function testEdgeCaseScenarios() {
     try {
         const result = generator.generatePseudonym(binaryUser, binaryApp);
         console.log('✓ Binary data handled successfully');
-        console.log('✓ Result format valid:', /^ck_[A-Za-z0-9_-]{16}$/.test(result));
+        console.log('✓ Result format valid:', /^ck_[A-Za-z0-9_-]{24}$/.test(result));
     } catch (e) {
         console.log('✗ Binary data handling failed:', e.message);
     }
 }
 
+function testKeyRotation() {
+    console.log('\n🔑 Key Rotation Scenarios');
+    console.log('=========================');
+    
+    const oldKey = 'super-secret-key-at-least-32-chars-long';
+    const newKey = 'rotated-secret-key-at-least-32-chars-long';
+    const legacy = new ConsentKeysPseudonymGenerator(oldKey);
+    const rotated = new ConsentKeysPseudonymGenerator({
+        keys: { 1: oldKey, 2: newKey },
+        activeVersion: 2,
+        legacyVersion: 1
+    });
+    
+    // New pseudonyms carry the active key version
+    console.log('\n--- Versioned Pseudonyms ---');
+    const legacyPseudo = legacy.generatePseudonym('user123', 'shopping-app');
+    const currentPseudo = rotated.generatePseudonym('user123', 'shopping-app');
+    console.log('Legacy pseudonym:', legacyPseudo);
+    console.log('Current pseudonym:', currentPseudo);
+    console.log('✓ Legacy format has no version marker:', /^ck_[A-Za-z0-9_-]{24}$/.test(legacyPseudo));
+    console.log('✓ Current pseudonym carries version marker:', currentPseudo.startsWith('ck_v2_'));
+    console.log('✓ Old pseudonyms still resolve:', rotated.verifyPseudonym(legacyPseudo));
+    console.log('✓ Old pseudonym key version:', rotated.getPseudonymKeyVersion(legacyPseudo) === 1);
+    console.log('✓ Unknown key version rejected:', !rotated.verifyPseudonym(currentPseudo.replace('v2_', 'v9_')));
+    
+    // Migration from old key to current key
+    console.log('\n--- Migration ---');
+    const migrated = rotated.migratePseudonym(legacyPseudo, 'user123', 'shopping-app');
+    console.log('✓ Migrated to current pseudonym:', migrated === currentPseudo);
+    try {
+        rotated.migratePseudonym(legacyPseudo, 'user456', 'shopping-app');
+        console.log('✗ Should have rejected migration for a different user');
+    } catch (e) {
+        console.log('✓ Wrong user migration error:', e.message);
+    }
+    
+    // Rotating a single-key generator in place
+    console.log('\n--- In-Place Rotation ---');
+    const inPlace = new ConsentKeysPseudonymGenerator(oldKey);
+    inPlace.rotateKey(2, newKey);
+    console.log('✓ Rotation matches keyring output:', inPlace.generatePseudonym('user123', 'shopping-app') === currentPseudo);
+    console.log('✓ Pre-rotation pseudonyms resolve:', inPlace.verifyPseudonym(legacyPseudo));
+    inPlace.retireKey(1);
+    console.log('✓ Retired key pseudonyms rejected:', !inPlace.verifyPseudonym(legacyPseudo));
+    
+    const info = rotated.getInfo();
+    console.log('✓ Info reports active version:', info.activeKeyVersion === 2);
+    console.log('✓ Info reports accepted versions:', JSON.stringify(info.acceptedKeyVersions) === '[1,2]');
+    console.log('✓ Info reports the package version:', info.version === require('./package.json').version);
+}
+
+function testReversibleMode() {
+    console.log('\n🔓 Reversible Mode Scenarios');
+    console.log('============================');
+    
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const reidentificationKey = 'reidentification-key-at-least-32-chars';
+    const reversible = new ConsentKeysPseudonymGenerator(secretKey, {
+        mode: 'reversible',
+        reidentificationKey
+    });
+    const verifyOnly = new ConsentKeysPseudonymGenerator(secretKey);
+    
+    console.log('\n--- Reversible Pseudonyms ---');
+    const pseudonym = reversible.generatePseudonym('user123', 'shopping-app', 'id');
+    console.log('Reversible pseudonym:', pseudonym);
+    console.log('✓ Deterministic:', pseudonym === reversible.generatePseudonym('user123', 'shopping-app', 'id'));
+    console.log('✓ App isolation:', pseudonym !== reversible.generatePseudonym('user123', 'social-app', 'id'));
+    console.log('✓ Verifies with the main key:', reversible.verifyPseudonym(pseudonym));
+    console.log('✓ Verifies without the re-identification key:', verifyOnly.verifyPseudonym(pseudonym));
+    console.log('✓ Owner verification:', reversible.verifyPseudonymFor(pseudonym, 'user123', 'shopping-app', 'id'));
+    console.log('✓ HMAC mode still the default:',
+        verifyOnly.getInfo().mode === 'hmac' && !verifyOnly.generatePseudonym('user123', 'shopping-app').startsWith('ck_r_'));
+    
+    console.log('\n--- Authorized Re-identification ---');
+    const identity = reversible.reidentify(pseudonym, { reason: 'DSAR-1042', actor: 'legal@example.com' });
+    console.log('✓ Recovered userId:', identity.userId === 'user123');
+    console.log('✓ Recovered clientId:', identity.clientId === 'shopping-app');
+    console.log('✓ Recovered dataType:', identity.dataType === 'id');
+    
+    try {
+        reversible.reidentify(pseudonym, { actor: 'legal@example.com' });
+        console.log('✗ Should have required a reason');
+    } catch (e) {
+        console.log('✓ Missing reason error:', e.message);
+    }
+    try {
+        verifyOnly.reidentify(pseudonym, { reason: 'DSAR-1042', actor: 'legal@example.com' });
+        console.log('✗ Should have required the re-identification key');
+    } catch (e) {
+        console.log('✓ Missing key error:', e.message);
+    }
+    try {
+        const oneWay = reversible.generatePseudonym('user123', 'shopping-app', 'id', { mode: 'hmac' });
+        reversible.reidentify(oneWay, { reason: 'DSAR-1042', actor: 'legal@example.com' });
+        console.log('✗ Should have rejected a one-way pseudonym');
+    } catch (e) {
+        console.log('✓ One-way pseudonym error:', e.message);
+    }
+    
+    // Separator bytes inside identifiers survive the round trip
+    const binaryUser = 'user\x00\x01\x02';
+    const binaryPseudonym = reversible.generateReversiblePseudonym(binaryUser, 'shopping-app');
+    const binaryIdentity = reversible.reidentify(binaryPseudonym, { reason: 'fraud-77', actor: 'risk-team' });
+    console.log('✓ Binary userId round trip:', binaryIdentity.userId === binaryUser);
+}
+
+function testAnonymization() {
+    console.log('\n🧮 Anonymization Scenarios');
+    console.log('==========================');
+
+    console.log('\n--- Generalizers ---');
+    console.log('✓ ZIP truncated:', GENERALIZERS.zip('94107-1234', {}) === '941**');
+    console.log('✓ Sparse ZIP areas zeroed under Safe Harbor:', GENERALIZERS.zip('03601', { safeHarbor: true }) === '000**');
+    console.log('✓ Age banded:', GENERALIZERS.age(37, {}) === '30-39' && GENERALIZERS.age('42', { size: 5 }) === '40-44');
+    console.log('✓ Birthdate banded as of a date:',
+        GENERALIZERS.age('1987-06-15', { asOf: '2024-06-14' }) === '30-39' &&
+        GENERALIZERS.age('1930-01-01', { asOf: '2024-01-01', max: 90 }) === '90+');
+    console.log('✓ Dates coarsened:', GENERALIZERS.date('1987-06-15', { to: 'quarter' }) === '1987-Q2' &&
+        GENERALIZERS.date('1987-06-15', { to: 'month' }) === '1987-06');
+    const regions = { 'Bay Area': ['San Francisco', 'Oakland'], 'SoCal': ['Los Angeles', 'San Diego'] };
+    console.log('✓ City mapped to region:', GENERALIZERS.region(' oakland ', { regions }) === 'Bay Area');
+    console.log('✓ Unmapped city suppressed:', GENERALIZERS.region('Fresno', { regions }) === '*');
+    try {
+        GENERALIZERS.zip('941', {});
+        console.log('✗ Should have rejected a short ZIP');
+    } catch (e) {
+        console.log('✓ Invalid ZIP rejected:', e.message);
+    }
+    const badSpecs = [
+        ['truncate', '94107', { keep: -1 }], ['truncate', '94107', { keep: '2' }],
+        ['range', 37, { size: -5 }], ['range', 37, { size: 0.5 }],
+        ['age', 37, { size: 0 }], ['age', 37, { max: '90' }]
+    ];
+    console.log('✓ Invalid generalization options rejected:', badSpecs.every(([method, value, spec]) => {
+        try {
+            GENERALIZERS[method](value, spec);
+            return false;
+        } catch (e) {
+            return /needs an integer/.test(e.message);
+        }
+    }));
+
+    console.log('\n--- Records Through the Generator ---');
+    const generator = new ConsentKeysPseudonymGenerator('super-secret-key-at-least-32-chars-long');
+    const schema = {
+        'user.id': { action: 'pseudonymize', dataType: 'id' },
+        'user.zip': { action: 'generalize', method: 'zip' },
+        'user.birthDate': { action: 'generalize', method: 'age', asOf: '2024-01-01' },
+        'user.city': { action: 'generalize', method: 'region', regions },
+        'user.gender': 'suppress'
+    };
+    const people = [
+        ['u1', '94107', '1987-03-02', 'San Francisco', 'F', 'flu'],
+        ['u2', '94110', '1985-11-20', 'Oakland', 'M', 'asthma'],
+        ['u3', '94121', '1989-07-09', 'San Francisco', 'F', 'flu'],
+        ['u4', '90012', '1960-05-05', 'Los Angeles', 'M', 'diabetes'],
+        ['u5', '90015', '1962-08-30', 'San Diego', 'F', 'diabetes'],
+        ['u6', '10001', '1999-01-01', 'New York', 'M', 'flu']
+    ].map(([id, zip, birthDate, city, gender, diagnosis]) =>
+        generator.pseudonymizeRecord({ user: { id, zip, birthDate, city, gender }, diagnosis }, schema, 'research-app').record);
+    console.log('Generalized record:', JSON.stringify(people[0].user));
+    console.log('✓ Suppress action masks the value:', people.every((person) => person.user.gender === '*'));
+
+    console.log('\n--- k-Anonymity and l-Diversity ---');
+    const quasiIdentifiers = ['user.zip', 'user.birthDate', 'user.city'];
+    const report = checkKAnonymity(people, quasiIdentifiers, { k: 2, sensitive: 'diagnosis', l: 2 });
+    console.log('Classes:', report.classes, 'smallest:', report.smallestClass);
+    console.log('✓ Classes below k reported:', !report.kAnonymous && report.belowK.length === 1 &&
+        report.belowK[0].values['user.zip'] === '100**' && report.belowK[0].indexes[0] === 5);
+    console.log('✓ Classes below l reported:', !report.lDiverse &&
+        JSON.stringify(report.belowL.map((group) => group.indexes)) === JSON.stringify([[3, 4], [5]]));
+    const { records: kept, suppressed } = suppressSmallClasses(people, quasiIdentifiers, { k: 2 });
+    console.log('✓ Small classes suppressed:', suppressed === 1 && kept.length === 5 &&
+        checkKAnonymity(kept, quasiIdentifiers, { k: 2 }).kAnonymous);
+    console.log('✓ Missing columns group as null:',
+        checkKAnonymity([{ a: 1 }, { a: 1, b: 2 }], ['a', 'b'], { k: 1 }).classes === 2);
+    try {
+        checkKAnonymity([{ tags: ['a', 'b'] }], ['tags[]']);
+        console.log('✗ Should have rejected a multi-valued quasi-identifier');
+    } catch (e) {
+        console.log('✓ Multi-valued quasi-identifier rejected:', e.message);
+    }
+}
+
+async function testRegistry() {
+    console.log('\n📇 Pseudonym Registry Scenarios');
+    console.log('===============================');
+    
+    const generator = new ConsentKeysPseudonymGenerator('super-secret-key-at-least-32-chars-long');
+    const registry = new PseudonymRegistry(generator);
+    
+    console.log('\n--- Recording and Reverse Lookup ---');
+    const shoppingPseudo = await registry.issuePseudonym('user123', 'shopping-app');
+    const socialProfile = await registry.issueFakeProfile('user123', 'social-app');
+    await registry.issuePseudonym('user456', 'shopping-app');
+    
+    console.log('✓ Issued pseudonym matches generator:',
+        shoppingPseudo === generator.generatePseudonym('user123', 'shopping-app'));
+    const record = await registry.lookup(shoppingPseudo);
+    console.log('✓ Reverse lookup userId:', record.userId === 'user123');
+    console.log('✓ Reverse lookup clientId and dataType:',
+        record.clientId === 'shopping-app' && record.dataType === 'default');
+    console.log('✓ Creation time recorded:', !Number.isNaN(Date.parse(record.createdAt)));
+    console.log('✓ Fake email reverse lookup:', (await registry.lookup(socialProfile.email)).userId === 'user123');
+    console.log('✓ Unknown pseudonym lookup:', (await registry.lookup('ck_unknown')) === null);
+    
+    console.log('\n--- Deletion Requests ---');
+    const userRecords = await registry.listForUser('user123');
+    console.log('✓ All pseudonyms listed for user:', userRecords.length === 3);
+    console.log('✓ Purged single app:', (await registry.purgeUser('user123', { clientId: 'social-app' })) === 2);
+    console.log('✓ Purged across apps:', (await registry.purgeUser('user123')) === 1);
+    console.log('✓ Purged user no longer resolves:', (await registry.lookup(shoppingPseudo)) === null);
+    console.log('✓ Other users untouched:', (await registry.listForUser('user456')).length === 1);
+    
+    console.log('\n--- File Adapter ---');
+    const filePath = path.join(os.tmpdir(), `pseudonym-registry-${process.pid}.json`);
+    try {
+        const fileRegistry = new PseudonymRegistry(generator, { adapter: new FileRegistryAdapter(filePath) });
+        const filePseudo = await fileRegistry.issuePseudonym('user789', 'shopping-app', 'id');
+        
+        const reopened = new PseudonymRegistry(generator, { adapter: new FileRegistryAdapter(filePath) });
+        console.log('✓ Records persisted to file:', (await reopened.lookup(filePseudo)).userId === 'user789');
+        await reopened.purgeUser('user789');
+        const afterPurge = new PseudonymRegistry(generator, { adapter: new FileRegistryAdapter(filePath) });
+        console.log('✓ Purge persisted to file:', (await afterPurge.lookup(filePseudo)) === null);
+    } finally {
+        fs.rmSync(filePath, { force: true });
+    }
+}
+
+async function testTranslation() {
+    console.log('\n🔁 Cross-App Translation Scenarios');
+    console.log('==================================');
+    
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const generator = new ConsentKeysPseudonymGenerator(secretKey);
+    const consentStore = new ConsentStore();
+    const registry = new PseudonymRegistry(generator);
+    const translator = new PseudonymTranslator(generator, { consentStore, registry });
+    
+    const shoppingPseudo = await registry.issuePseudonym('user123', 'shopping-app');
+    const socialPseudo = generator.generatePseudonym('user123', 'social-app');
+    
+    const expectDenied = async (label, from, to, pseudonym = shoppingPseudo) => {
+        try {
+            await translator.translatePseudonym(pseudonym, from, to);
+            console.log(`✗ ${label} should have been denied`);
+        } catch (e) {
+            console.log(`✓ ${label} denied:`, e.message);
+        }
+    };
+    
+    console.log('\n--- Registry-Backed Translation ---');
+    await expectDenied('Translation without consent', 'shopping-app', 'social-app');
+    consentStore.grantLink('user123', 'shopping-app', 'social-app');
+    const translated = await translator.translatePseudonym(shoppingPseudo, 'shopping-app', 'social-app');
+    console.log('✓ Consented translation matches target pseudonym:', translated === socialPseudo);
+    console.log('✓ Translated pseudonym recorded:', (await registry.lookup(translated)).clientId === 'social-app');
+    await expectDenied('Wrong source app', 'other-app', 'social-app');
+    await expectDenied('Unconsented target app', 'shopping-app', 'other-app');
+    await expectDenied('Unknown pseudonym', 'shopping-app', 'social-app', 'ck_AAAAAAAAAAAAAAAAAAAAAAAA');
+    consentStore.revokeLink('user123', 'social-app', 'shopping-app');
+    await expectDenied('Translation after revocation', 'shopping-app', 'social-app');
+    
+    console.log('\n--- Revoked Consent Epochs ---');
+    const epochConsent = new ConsentStore();
+    const epochGenerator = new ConsentKeysPseudonymGenerator(secretKey, { consentStore: epochConsent });
+    const epochRegistry = new PseudonymRegistry(epochGenerator);
+    const epochTranslator = new PseudonymTranslator(epochGenerator, { consentStore: epochConsent, registry: epochRegistry });
+    epochConsent.grant('user789', 'shopping-app', ['email']);
+    epochConsent.grantLink('user789', 'shopping-app', 'social-app');
+    const oldEpochPseudo = await epochRegistry.issuePseudonym('user789', 'shopping-app');
+    console.log('✓ Current-epoch pseudonym translates:',
+        await epochTranslator.translatePseudonym(oldEpochPseudo, 'shopping-app', 'social-app') ===
+        epochGenerator.generatePseudonym('user789', 'social-app'));
+    epochConsent.revoke('user789', 'shopping-app', ['email']);
+    try {
+        await epochTranslator.translatePseudonym(oldEpochPseudo, 'shopping-app', 'social-app');
+        console.log('✗ Pseudonym from a revoked epoch should have been denied');
+    } catch (e) {
+        console.log('✓ Pseudonym from a revoked epoch denied:', e.message);
+    }
+    const newEpochPseudo = await epochRegistry.issuePseudonym('user789', 'shopping-app');
+    console.log('✓ New-epoch pseudonym translates:',
+        await epochTranslator.translatePseudonym(newEpochPseudo, 'shopping-app', 'social-app') ===
+        epochGenerator.generatePseudonym('user789', 'social-app'));
+    const reversibleEpochGenerator = new ConsentKeysPseudonymGenerator(secretKey, {
+        consentStore: epochConsent,
+        mode: 'reversible',
+        reidentificationKey: 'reidentification-key-at-least-32-chars'
+    });
+    const reversibleEpochTranslator = new PseudonymTranslator(reversibleEpochGenerator, { consentStore: epochConsent });
+    epochConsent.grant('user789', 'shopping-app', ['email']);
+    const oldReversible = reversibleEpochGenerator.generatePseudonym('user789', 'shopping-app');
+    console.log('✓ Decoded reversible pseudonym carries its epoch:',
+        reversibleEpochGenerator.decodeReversiblePseudonym(oldReversible, { reason: 'test', actor: 'test-suite' }).epoch === 1);
+    epochConsent.revoke('user789', 'shopping-app', ['email']);
+    try {
+        await reversibleEpochTranslator.translatePseudonym(oldReversible, 'shopping-app', 'social-app');
+        console.log('✗ Reversible pseudonym from a revoked epoch should have been denied');
+    } catch (e) {
+        console.log('✓ Reversible pseudonym from a revoked epoch denied:', e.message);
+    }
+    console.log('✓ New-epoch reversible pseudonym translates:',
+        await reversibleEpochTranslator.translatePseudonym(reversibleEpochGenerator.generatePseudonym('user789', 'shopping-app'),
+            'shopping-app', 'social-app') === reversibleEpochGenerator.generatePseudonym('user789', 'social-app'));
+    
+    console.log('\n--- Reversible-Mode Translation ---');
+    const reversible = new ConsentKeysPseudonymGenerator(secretKey, {
+        mode: 'reversible',
+        reidentificationKey: 'reidentification-key-at-least-32-chars'
+    });
+    const reversibleTranslator = new PseudonymTranslator(reversible, { consentStore });
+    consentStore.grantLink('user456', 'shopping-app', 'social-app');
+    const source = reversible.generatePseudonym('user456', 'shopping-app');
+    const target = await reversibleTranslator.translatePseudonym(source, 'shopping-app', 'social-app');
+    console.log('✓ Reversible translation matches target pseudonym:',
+        target === reversible.generatePseudonym('user456', 'social-app'));
+    console.log('✓ Translated pseudonym does not expose userId:', !target.includes('user456'));
+}
+
+function testConsent() {
+    console.log('\n✅ Consent Scenarios');
+    console.log('====================');
+    
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const consentStore = new ConsentStore();
+    const generator = new ConsentKeysPseudonymGenerator(secretKey, { consentStore });
+    const unrestricted = new ConsentKeysPseudonymGenerator(secretKey);
+    
+    console.log('\n--- Field Gating ---');
+    console.log('✓ No consent, empty profile:',
+        Object.keys(generator.generateFakeProfile('user123', 'shopping-app')).length === 0);
+    consentStore.grant('user123', 'shopping-app', ['id', 'email']);
+    const profile = generator.generateFakeProfile('user123', 'shopping-app');
+    console.log('Consented profile:', JSON.stringify(profile));
+    console.log('✓ Consented fields included:', profile.id !== undefined && profile.email !== undefined);
+    console.log('✓ Unconsented fields omitted:', profile.displayName === undefined && profile.address === undefined);
+    console.log('✓ Consented values unchanged before revocation:',
+        profile.email === unrestricted.generateFakeEmail('user123', 'shopping-app'));
+    try {
+        generator.generateFakeAddress('user123', 'shopping-app');
+        console.log('✗ Should have refused unconsented address');
+    } catch (e) {
+        console.log('✓ Unconsented field refused:', e.message);
+    }
+    
+    const refusing = new ConsentKeysPseudonymGenerator(secretKey, { consentStore, consentMode: 'refuse' });
+    try {
+        refusing.generateFakeProfile('user123', 'shopping-app');
+        console.log('✗ Should have refused the profile');
+    } catch (e) {
+        console.log('✓ Refuse mode rejects profile:', e.message);
+    }
+    
+    console.log('\n--- Revocation Epochs ---');
+    const beforeRevoke = generator.generatePseudonym('user123', 'shopping-app', 'id');
+    const otherAppBefore = generator.generatePseudonym('user123', 'social-app', 'id');
+    consentStore.revoke('user123', 'shopping-app', ['email']);
+    const consent = consentStore.getConsent('user123', 'shopping-app');
+    console.log('✓ Revocation timestamp recorded:', consent.grants.email.revokedAt !== null);
+    console.log('✓ Epoch advanced:', consent.epoch === 1);
+    console.log('✓ Revoked field omitted:', generator.generateFakeProfile('user123', 'shopping-app').email === undefined);
+    console.log('✓ New pseudonym after revocation:',
+        generator.generatePseudonym('user123', 'shopping-app', 'id') !== beforeRevoke);
+    console.log('✓ Old pseudonym no longer matches user:',
+        !generator.verifyPseudonymFor(beforeRevoke, 'user123', 'shopping-app', 'id'));
+    console.log('✓ Other apps unaffected:',
+        generator.generatePseudonym('user123', 'social-app', 'id') === otherAppBefore);
+    consentStore.grant('user123', 'shopping-app', ['email']);
+    console.log('✓ Re-granting does not restore the old epoch:',
+        generator.generatePseudonym('user123', 'shopping-app', 'id') !== beforeRevoke);
+}
+
+function testLocales() {
+    console.log('\n🌍 Locale Pack Scenarios');
+    console.log('========================');
+    
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const generator = new ConsentKeysPseudonymGenerator(secretKey);
+    const germanGenerator = new ConsentKeysPseudonymGenerator(secretKey, { locale: 'de-DE' });
+    
+    console.log('\n--- Built-in Packs ---');
+    const postalFormats = {
+        'en-US': { field: 'zip', pattern: /^\d{5}$/ },
+        'en-GB': { field: 'postcode', pattern: /^[A-Z]{1,2}\d{1,2} \d[A-Z]{2}$/ },
+        'de-DE': { field: 'postalCode', pattern: /^\d{5}$/ },
+        'fr-FR': { field: 'postalCode', pattern: /^\d{5}$/ },
+        'ja-JP': { field: 'postalCode', pattern: /^\d{3}-\d{4}$/ },
+        'pt-BR': { field: 'postalCode', pattern: /^\d{5}-\d{3}$/ }
+    };
+    for (const [locale, { field, pattern }] of Object.entries(postalFormats)) {
+        const profile = generator.generateFakeProfile('user123', 'shopping-app', { locale });
+        console.log(`${locale}:`, profile.displayName, JSON.stringify(profile.address));
+        console.log(`✓ ${locale} postal code format:`, pattern.test(profile.address[field]));
+    }
+    
+    const japaneseName = generator.generateFakeDisplayName('user123', 'shopping-app', { locale: 'ja-JP' });
+    const [familyName] = japaneseName.split(' ');
+    console.log('✓ ja-JP family name first:',
+        ['佐藤', '鈴木', '高橋', '田中', '伊藤', '渡辺', '山本', '中村',
+            '小林', '加藤', '吉田', '山田', '佐々木', '山口', '松本', '井上'].includes(familyName));
+    
+    console.log('\n--- Determinism ---');
+    console.log('✓ Same locale, same output:',
+        JSON.stringify(generator.generateFakeAddress('user123', 'shopping-app', { locale: 'de-DE' })) ===
+        JSON.stringify(germanGenerator.generateFakeAddress('user123', 'shopping-app')));
+    console.log('✓ Generator default locale applied:', germanGenerator.getInfo().locale === 'de-DE');
+    console.log('✓ Per-call locale overrides default:',
+        germanGenerator.generateFakeAddress('user123', 'shopping-app', { locale: 'en-US' }).zip !== undefined);
+    const isolatedGenerator = new ConsentKeysPseudonymGenerator(secretKey);
+    const nameBefore = generator.generateFakeDisplayName('user123', 'shopping-app');
+    isolatedGenerator.firstNames.fill('Mallory');
+    isolatedGenerator.lastNames.length = 0;
+    console.log('✓ Pools are per generator:', generator.firstNames[0] !== 'Mallory' && generator.lastNames.length > 0 &&
+        generator.generateFakeDisplayName('user123', 'shopping-app') === nameBefore &&
+        new ConsentKeysPseudonymGenerator(secretKey).firstNames[0] !== 'Mallory');
+    
+    console.log('\n--- Custom Packs ---');
+    registerLocalePack({
+        locale: 'nl-NL',
+        nameOrder: 'given-family',
+        firstNames: ['Daan', 'Emma', 'Sem', 'Julia'],
+        lastNames: ['de Jong', 'Jansen', 'de Vries', 'Bakker'],
+        address(hash) {
+            const letters = 'ABCDEFGHJKLMNPRSTVWXZ';
+            return {
+                street: `Dorpsstraat ${(hash[0] % 100) + 1}`,
+                postalCode: `${1000 + hash.readUInt16BE(4) % 9000} ${letters[hash[6] % letters.length]}${letters[hash[7] % letters.length]}`,
+                city: 'Utrecht',
+                country: 'NL'
+            };
+        }
+    });
+    const dutchAddress = generator.generateFakeAddress('user123', 'shopping-app', { locale: 'nl-NL' });
+    console.log('nl-NL:', JSON.stringify(dutchAddress));
+    console.log('✓ Custom pack postal code:', /^\d{4} [A-Z]{2}$/.test(dutchAddress.postalCode));
+    try {
+        generator.generateFakeAddress('user123', 'shopping-app', { locale: 'xx-XX' });
+        console.log('✗ Should have rejected an unknown locale');
+    } catch (e) {
+        console.log('✓ Unknown locale error:', e.message);
+    }
+}
+
+function testFakeFieldTypes() {
+    console.log('\n🧪 Fake Field Type Scenarios');
+    console.log('============================');
+    
+    const generator = new ConsentKeysPseudonymGenerator('super-secret-key-at-least-32-chars-long');
+    const isLuhnValid = (number) => {
+        let sum = 0;
+        for (let i = 0; i < number.length; i++) {
+            let digit = Number(number[number.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    };
+    
+    console.log('\n--- Field Formats ---');
+    const phone = generator.generateFakePhoneNumber('user123', 'shopping-app');
+    const birthdate = generator.generateFakeBirthdate('user123', 'shopping-app');
+    const username = generator.generateFakeUsername('user123', 'shopping-app');
+    const ipv4 = generator.generateFakeIpAddress('user123', 'shopping-app');
+    const ipv6 = generator.generateFakeIpAddress('user123', 'shopping-app', { version: 6 });
+    const card = generator.generateFakeTestCard('user123', 'shopping-app');
+    const amex = generator.generateFakeTestCard('user123', 'shopping-app', { brand: 'amex' });
+    
+    console.log('Phone:', phone, '| Birthdate:', birthdate, '| Username:', username);
+    console.log('IPv4:', ipv4, '| IPv6:', ipv6, '| Card:', card, '| Amex:', amex);
+    console.log('✓ Fictional US phone number:', /^\+1 \(\d{3}\) 555-01\d{2}$/.test(phone));
+    console.log('✓ Locale phone number:',
+        /^\+44 7700 900\d{3}$/.test(generator.generateFakePhoneNumber('user123', 'shopping-app', { locale: 'en-GB' })));
+    console.log('✓ Valid birthdate:', /^\d{4}-\d{2}-\d{2}$/.test(birthdate) && !Number.isNaN(Date.parse(birthdate)));
+    console.log('✓ Username format:', /^[a-z]+_[a-z]+\d{1,3}$/.test(username));
+    console.log('✓ Private IPv4 address:', /^10\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(ipv4));
+    console.log('✓ Documentation IPv6 address:', ipv6.startsWith('2001:db8:') && ipv6.split(':').length === 8);
+    console.log('✓ Luhn-valid test card:', card.length === 16 && card.startsWith('400000') && isLuhnValid(card));
+    console.log('✓ Luhn-valid amex test card:', amex.length === 15 && isLuhnValid(amex));
+    
+    console.log('\n--- Age Band Preservation ---');
+    let sameDecade = true;
+    const fakeYearsByReal = {};
+    const userIds = Array.from({ length: 40 }, (_, i) => `user${i}`);
+    for (const realBirthdate of ['1987-06-15', '1990-01-01', '2003-11-30']) {
+        const realYear = Number(realBirthdate.substring(0, 4));
+        fakeYearsByReal[realYear] = new Set();
+        for (const userId of userIds) {
+            const fakeYear = Number(generator.generateFakeBirthdate(userId, 'shopping-app', { realBirthdate }).substring(0, 4));
+            sameDecade = sameDecade && Math.floor(fakeYear / 10) === Math.floor(realYear / 10) &&
+                fakeYear <= new Date().getUTCFullYear();
+            fakeYearsByReal[realYear].add(fakeYear);
+        }
+    }
+    console.log('✓ Fake birthdates stay in the real decade:', sameDecade);
+    // The same users get the same fake years for any real year of the decade
+    const sameDecadeYears = userIds.map((userId) => ['1990-01-01', '1997-03-09'].map((realBirthdate) =>
+        generator.generateFakeBirthdate(userId, 'shopping-app', { realBirthdate }).substring(0, 4)));
+    console.log('✓ Fake years do not reveal the real year:', fakeYearsByReal[1990].size > 5 &&
+        [...fakeYearsByReal[1987]].some((year) => year > 1987) &&
+        sameDecadeYears.every(([a, b]) => a === b));
+    
+    console.log('\n--- Determinism and Isolation ---');
+    console.log('✓ Consistent across calls:',
+        card === generator.generateFakeTestCard('user123', 'shopping-app') &&
+        username === generator.generateFakeUsername('user123', 'shopping-app'));
+    console.log('✓ Isolated between apps:',
+        ipv6 !== generator.generateFakeIpAddress('user123', 'social-app', { version: 6 }) &&
+        card !== generator.generateFakeTestCard('user123', 'social-app'));
+    
+    console.log('\n--- Profile Field Selection ---');
+    const profile = generator.generateFakeProfile('user123', 'shopping-app', {
+        fields: ['id', 'phone', 'birthDate', 'username', 'ipv4', 'ipv6', 'testCard']
+    });
+    console.log('Selected profile:', JSON.stringify(profile));
+    console.log('✓ Selected fields only:', Object.keys(profile).join(',') === 'id,phone,birthDate,username,ipv4,ipv6,testCard');
+    console.log('✓ Profile fields match methods:', profile.testCard === card && profile.phone === phone);
+    console.log('✓ Default profile unchanged:',
+        Object.keys(generator.generateFakeProfile('user123', 'shopping-app')).join(',') === 'id,email,displayName,address');
+    try {
+        generator.generateFakeProfile('user123', 'shopping-app', { fields: ['ssn'] });
+        console.log('✗ Should have rejected an unknown field');
+    } catch (e) {
+        console.log('✓ Unknown field error:', e.message);
+    }
+}
+
+function testFakeAvatars() {
+    console.log('\n🎨 Fake Avatar Scenarios');
+    console.log('========================');
+    
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const generator = new ConsentKeysPseudonymGenerator(secretKey);
+    const isSafeSvg = (svg) => svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"') && svg.endsWith('</svg>') &&
+        !/<script|href=|on\w+=/i.test(svg);
+    
+    console.log('\n--- Styles ---');
+    const identicon = generator.generateFakeAvatar('user123', 'shopping-app');
+    const pattern = generator.generateFakeAvatar('user123', 'shopping-app', { style: 'pattern', size: 128 });
+    const initials = generator.generateFakeAvatar('user123', 'shopping-app', { style: 'initials' });
+    console.log('Identicon:', identicon.substring(0, 120) + '...');
+    console.log('✓ Self-contained SVGs:', [identicon, pattern, initials].every(isSafeSvg));
+    console.log('✓ Identicon is mirrored:', (identicon.match(/<rect x="(\d)"/g) || [])
+        .map((rect) => Number(rect.match(/\d/)[0])).every((x) => identicon.includes(`<rect x="${6 - x}"`)));
+    console.log('✓ Pattern has 16 cells at the requested size:', (pattern.match(/<(circle|rect|polygon) /g).length === 17) &&
+        pattern.includes('width="128" height="128"'));
+    const displayName = generator.generateFakeDisplayName('user123', 'shopping-app');
+    const expectedInitials = displayName.split(' ').map((word) => word[0].toUpperCase()).join('');
+    console.log('Display name:', displayName, '| Initials:', initials.match(/>([^<]*)<\/text>/)[1]);
+    console.log('✓ Initials drawn from the fake display name:', initials.includes(`>${expectedInitials}</text>`));
+    
+    console.log('\n--- Determinism and Isolation ---');
+    console.log('✓ Consistent across calls:', identicon === generator.generateFakeAvatar('user123', 'shopping-app') &&
+        pattern === generator.generateFakeAvatar('user123', 'shopping-app', { style: 'pattern', size: 128 }));
+    console.log('✓ Isolated between apps:', identicon !== generator.generateFakeAvatar('user123', 'social-app') &&
+        pattern !== generator.generateFakeAvatar('user123', 'social-app', { style: 'pattern', size: 128 }));
+    console.log('✓ Distinct between users:', identicon !== generator.generateFakeAvatar('user456', 'shopping-app'));
+    for (const options of [{ style: 'photo' }, { size: 8 }]) {
+        try {
+            generator.generateFakeAvatar('user123', 'shopping-app', options);
+            console.log('✗ Should have rejected avatar options', JSON.stringify(options));
+        } catch (e) {
+            console.log('✓ Invalid avatar options rejected:', e.message);
+        }
+    }
+    
+    console.log('\n--- Profiles and Consent ---');
+    const profile = generator.generateFakeProfile('user123', 'shopping-app', {
+        fields: ['displayName', 'avatar'],
+        avatarStyle: 'initials'
+    });
+    console.log('✓ Avatar profile field:', profile.avatar === initials);
+    console.log('✓ Avatar not in default profile:',
+        generator.generateFakeProfile('user123', 'shopping-app').avatar === undefined);
+    const consentStore = new ConsentStore();
+    const consenting = new ConsentKeysPseudonymGenerator(secretKey, { consentStore });
+    consentStore.grant('user123', 'shopping-app', ['avatar']);
+    console.log('✓ Avatar gated by avatar consent:', consenting.generateFakeAvatar('user123', 'shopping-app') === identicon &&
+        consenting.generateFakeProfile('user123', 'shopping-app', { fields: ['displayName', 'avatar'] }).displayName === undefined);
+    try {
+        consenting.generateFakeAvatar('user123', 'shopping-app', { style: 'initials' });
+        console.log('✗ Initials should need name consent');
+    } catch (e) {
+        console.log('✓ Initials need name consent:', e.message);
+    }
+    console.log('✓ Initials avatar omitted from profiles without name consent:', Object.keys(consenting.generateFakeProfile(
+        'user123', 'shopping-app', { fields: ['avatar'], avatarStyle: 'initials' })).length === 0);
+}
+
+function testFormatPreserving() {
+    console.log('\n🔢 Format-Preserving Scenarios');
+    console.log('==============================');
+    
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const generator = new ConsentKeysPseudonymGenerator(secretKey, {
+        reidentificationKey: 'reidentification-key-at-least-32-chars'
+    });
+    const authorization = { reason: 'fraud-77', actor: 'risk-team' };
+    
+    console.log('\n--- One-Way Tokens ---');
+    const ssnToken = generator.generateFormatPreservingPseudonym('123-45-6789', 'shopping-app', 'ssn');
+    const phoneToken = generator.generateFormatPreservingPseudonym('5550100000', 'shopping-app', 'phone');
+    const maskToken = generator.generateFormatPreservingPseudonym('user123', 'shopping-app', 'AA-DDDD-aa');
+    console.log('SSN token:', ssnToken, '| Phone token:', phoneToken, '| Mask token:', maskToken);
+    console.log('✓ SSN shape preserved:', /^\d{3}-\d{2}-\d{4}$/.test(ssnToken));
+    console.log('✓ Phone shape preserved:', /^\d{10}$/.test(phoneToken));
+    console.log('✓ Mixed mask shape:', /^[A-Z]{2}-\d{4}-[a-z]{2}$/.test(maskToken));
+    console.log('✓ Deterministic:',
+        ssnToken === generator.generateFormatPreservingPseudonym('123-45-6789', 'shopping-app', 'ssn'));
+    console.log('✓ Per-client tokens:',
+        ssnToken !== generator.generateFormatPreservingPseudonym('123-45-6789', 'social-app', 'ssn'));
+    
+    console.log('\n--- Reversible FF1 Tokens ---');
+    const cardToken = generator.generateFormatPreservingPseudonym('4111111111111111', 'shopping-app', 'card', { reversible: true });
+    const alphabetToken = generator.generateFormatPreservingPseudonym('ACCT7Q2Z9', 'shopping-app',
+        { alphabet: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ', length: 9 }, { reversible: true });
+    console.log('Card token:', cardToken, '| Alphabet token:', alphabetToken);
+    console.log('✓ Card shape preserved:', /^\d{16}$/.test(cardToken) && cardToken !== '4111111111111111');
+    console.log('✓ Card reversed:',
+        generator.reverseFormatPreservingPseudonym(cardToken, 'shopping-app', 'card', authorization) === '4111111111111111');
+    console.log('✓ Alphabet token reversed:', generator.reverseFormatPreservingPseudonym(alphabetToken, 'shopping-app',
+        { alphabet: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ', length: 9 }, authorization) === 'ACCT7Q2Z9');
+    console.log('✓ Wrong client does not reverse:',
+        generator.reverseFormatPreservingPseudonym(cardToken, 'social-app', 'card', authorization) !== '4111111111111111');
+    
+    try {
+        generator.reverseFormatPreservingPseudonym(cardToken, 'shopping-app', 'card');
+        console.log('✗ Should have required a reason');
+    } catch (e) {
+        console.log('✓ Undocumented reversal error:', e.message);
+    }
+    try {
+        generator.generateFormatPreservingPseudonym('1234', 'shopping-app', 'DDDD', { reversible: true });
+        console.log('✗ Should have rejected a tiny domain');
+    } catch (e) {
+        console.log('✓ Small domain error:', e.message);
+    }
+    try {
+        generator.generateFormatPreservingPseudonym('12-345', 'shopping-app', 'ssn', { reversible: true });
+        console.log('✗ Should have rejected a mismatched value');
+    } catch (e) {
+        console.log('✓ Mismatched value error:', e.message);
+    }
+}
+
+function testRecordPseudonymization() {
+    console.log('\n🗂️  Record Pseudonymization Scenarios');
+    console.log('====================================');
+    
+    const generator = new ConsentKeysPseudonymGenerator('super-secret-key-at-least-32-chars-long');
+    const record = {
+        user: { id: 'user123', email: 'jane@example.com', name: 'Jane Doe', ssn: '123-45-6789', birthDate: '1987-06-15', nickname: null },
+        orders: [
+            { customerId: 'user123', total: 42.5, notes: 'leave at door', zip: '94107' },
+            { customerId: 'user123', total: 13, notes: null, zip: '10001' }
+        ],
+        device: { serial: 'SN-0042', age: 37 }
+    };
+    const schema = {
+        'user.id': { action: 'pseudonymize', dataType: 'id' },
+        'user.email': { action: 'fakeEmail', from: 'user.id' },
+        'user.name': { action: 'fakeName', from: 'user.id' },
+        'user.ssn': { action: 'pseudonymize', format: 'ssn' },
+        'user.birthDate': { action: 'generalize', method: 'date', to: 'year' },
+        'orders[].customerId': { action: 'pseudonymize', dataType: 'id' },
+        'orders[].total': 'keep',
+        'orders[].notes': 'drop',
+        'orders[].zip': { action: 'generalize', method: 'truncate', keep: 3 },
+        'device.serial': 'hash',
+        'device.age': { action: 'generalize', method: 'range', size: 10 },
+        'user.nickname': 'fakeName',
+        'user.phone': 'drop'
+    };
+    
+    const { record: output, report } = generator.pseudonymizeRecord(record, schema, 'shopping-app');
+    console.log('Output:', JSON.stringify(output));
+    console.log('Report actions:', JSON.stringify(report.actions));
+    
+    console.log('\n--- Actions ---');
+    const userPseudo = generator.generatePseudonym('user123', 'shopping-app', 'id');
+    console.log('✓ Nested pseudonymize:', output.user.id === userPseudo);
+    console.log('✓ Array pseudonymize:', output.orders.every((order) => order.customerId === userPseudo));
+    console.log('✓ Fake email from user id:', output.user.email === generator.generateFakeEmail('user123', 'shopping-app'));
+    console.log('✓ Fake name from user id:', output.user.name === generator.generateFakeDisplayName('user123', 'shopping-app'));
+    console.log('✓ Format-preserving SSN:', /^\d{3}-\d{2}-\d{4}$/.test(output.user.ssn) && output.user.ssn !== '123-45-6789');
+    console.log('✓ Date generalized:', output.user.birthDate === '1987');
+    console.log('✓ Kept values unchanged:', output.orders[0].total === 42.5 && output.orders[1].total === 13);
+    console.log('✓ Dropped fields removed:', output.orders.every((order) => !('notes' in order)));
+    console.log('✓ ZIP truncated:', output.orders[0].zip === '941**');
+    console.log('✓ Keyed hash:', /^[0-9a-f]{64}$/.test(output.device.serial));
+    console.log('✓ Age banded:', output.device.age === '30-39');
+    console.log('✓ Input record untouched:', record.user.id === 'user123' && record.orders[0].notes === 'leave at door');
+    
+    console.log('\n--- Report ---');
+    console.log('✓ Touched paths listed:', report.touched.some((entry) => entry.path === 'orders[1].customerId'));
+    console.log('✓ Unmatched schema paths listed:', JSON.stringify(report.missing) === '["user.phone"]');
+    console.log('✓ Null values skipped:',
+        output.user.nickname === null && !report.touched.some((entry) => entry.path === 'user.nickname'));
+    
+    try {
+        generator.pseudonymizeRecord(record, { 'user.id': 'encrypt' }, 'shopping-app');
+        console.log('✗ Should have rejected an unknown action');
+    } catch (e) {
+        console.log('✓ Unknown action error:', e.message);
+    }
+    try {
+        generator.pseudonymizeRecord(record, { user: 'hash' }, 'shopping-app');
+        console.log('✗ Should have rejected hashing an object');
+    } catch (e) {
+        console.log('✓ Non-scalar value error:', e.message);
+    }
+}
+
+function testOutputFormats() {
+    console.log('\n🔠 Output Format Scenarios');
+    console.log('==========================');
+
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const generator = new ConsentKeysPseudonymGenerator(secretKey, {
+        dataTypeOutputFormats: {
+            account: { encoding: 'base32' },
+            ref: { encoding: 'hex', prefix: 'ref_', length: 32 },
+            pin: { encoding: 'numeric', length: 12 },
+            row: { encoding: 'uuid' },
+            email: { prefix: 'u_' }
+        }
+    });
+    const defaultGenerator = new ConsentKeysPseudonymGenerator(secretKey);
+
+    console.log('\n--- Encodings ---');
+    const outputs = {};
+    for (const dataType of ['default', 'account', 'ref', 'pin', 'row']) {
+        outputs[dataType] = generator.generatePseudonym('user123', 'shopping-app', dataType);
+        console.log(`${dataType}:`, outputs[dataType]);
+    }
+    console.log('✓ Default format unchanged:',
+        outputs.default === defaultGenerator.generatePseudonym('user123', 'shopping-app'));
+    console.log('✓ Crockford base32 shape:', /^ck_[0-9A-HJKMNP-TV-Z]{28}$/.test(outputs.account));
+    console.log('✓ Hex shape with custom prefix:', /^ref_[0-9a-f]{42}$/.test(outputs.ref));
+    console.log('✓ Numeric shape:', /^\d{24}$/.test(outputs.pin));
+    console.log('✓ UUID shape (version 8):',
+        /^[0-9a-f]{8}-[0-9a-f]{4}-8[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(outputs.row));
+    console.log('✓ Every format verifies:', Object.values(outputs).every((p) => generator.verifyPseudonym(p)));
+    console.log('✓ Every format verifies for its owner:',
+        Object.entries(outputs).every(([dataType, p]) => generator.verifyPseudonymFor(p, 'user123', 'shopping-app', dataType)));
+    console.log('✓ Owner check binds the data type:', !generator.verifyPseudonymFor(outputs.ref, 'user123', 'shopping-app', 'account'));
+    console.log('✓ Unconfigured generator rejects custom formats:', !defaultGenerator.verifyPseudonym(outputs.account));
+    console.log('✓ Base32 is case-insensitive:', generator.verifyPseudonym(outputs.account.toLowerCase()) &&
+        generator.verifyPseudonymFor(outputs.account.toLowerCase(), 'user123', 'shopping-app', 'account'));
+    console.log('✓ Uppercase UUID accepted:', generator.verifyPseudonym(outputs.row.toUpperCase()));
+    const tamperedPin = outputs.pin.slice(0, -1) + (outputs.pin.endsWith('0') ? '1' : '0');
+    console.log('✓ Tampered numeric pseudonym rejected:', !generator.verifyPseudonym(tamperedPin));
+    console.log('✓ Fake email drops the email prefix:',
+        generator.generateFakeEmail('user123', 'shopping-app') ===
+        `${generator.generatePseudonym('user123', 'shopping-app', 'email').substring(2, 18)}@consentkeys.local`);
+
+    const rotated = new ConsentKeysPseudonymGenerator({
+        keys: { 1: secretKey, 2: 'another-secret-key-at-least-32-chars-long' },
+        activeVersion: 2
+    }, { outputFormat: { encoding: 'uuid' } });
+    const oldUuid = new ConsentKeysPseudonymGenerator(secretKey, { outputFormat: { encoding: 'uuid' } })
+        .generatePseudonym('user123', 'shopping-app');
+    console.log('✓ Key version recovered without a marker:', rotated.getPseudonymKeyVersion(oldUuid) === 1 &&
+        rotated.getPseudonymKeyVersion(rotated.generatePseudonym('user123', 'shopping-app')) === 2);
+
+    const longer = new ConsentKeysPseudonymGenerator(secretKey, { outputFormat: { prefix: 'acme-', length: 24 } });
+    const longerPseudonym = longer.generatePseudonym('user123', 'shopping-app');
+    console.log('✓ Custom default prefix and length:', /^acme-[A-Za-z0-9_-]{32}$/.test(longerPseudonym) &&
+        longer.verifyPseudonym(longerPseudonym));
+    console.log('✓ getInfo reports configured length:', longer.getInfo().outputLength === 24 &&
+        generator.getInfo().dataTypeOutputFormats.pin.length === 12);
+
+    console.log('\n--- Configuration Errors ---');
+    const invalidConfigs = [
+        ['Unknown encoding', { outputFormat: { encoding: 'base58' } }],
+        ['Length below minimum', { outputFormat: { encoding: 'hex', length: 4 } }],
+        ['UUID with prefix', { dataTypeOutputFormats: { row: { encoding: 'uuid', prefix: 'x_' } } }],
+        ['Invalid prefix', { outputFormat: { prefix: 'ck /' } }]
+    ];
+    for (const [label, options] of invalidConfigs) {
+        try {
+            new ConsentKeysPseudonymGenerator(secretKey, options);
+            console.log(`✗ ${label} should have been rejected`);
+        } catch (e) {
+            console.log(`✓ ${label}:`, e.message);
+        }
+    }
+    try {
+        generator.generatePseudonym('user123', 'shopping-app', 'pin', { mode: 'reversible' });
+        console.log('✗ Reversible numeric pseudonym should have been rejected');
+    } catch (e) {
+        console.log('✓ Reversible needs base64url:', e.message);
+    }
+
+    console.log('\n--- Collision Analysis ---');
+    const estimate = generator.estimateCollisionProbability(1000000);
+    const pinEstimate = generator.estimateCollisionProbability(1000000, { dataType: 'pin' });
+    console.log('Default, 1M users:', estimate.probability, `(${estimate.bits} bits)`);
+    console.log('12-digit numeric, 1M users:', pinEstimate.probability, `(${pinEstimate.bits.toFixed(1)} bits)`);
+    console.log('✓ 96-bit default is negligible:', estimate.bits === 96 && estimate.probability < 1e-15);
+    console.log('✓ Short numeric format flagged:', pinEstimate.probability > 0.3 && pinEstimate.probability < 0.5);
+
+    const tiny = new ConsentKeysPseudonymGenerator(secretKey, { outputFormat: { encoding: 'hex', length: 8 } });
+    const issued = [];
+    // 200,000 users over a 32-bit body: about 4.7 collisions expected
+    for (let i = 0; i < 200000; i++) {
+        issued.push({ pseudonym: tiny.generatePseudonym(`user${i}`, 'shopping-app'), userId: `user${i}`, clientId: 'shopping-app', dataType: 'default' });
+    }
+    const report = tiny.findCollisions(issued);
+    console.log('✓ Bulk check finds 32-bit collisions:', report.collisions.length > 0 &&
+        report.collisions.every((collision) => collision.identities === 2));
+    const repeated = tiny.findCollisions([issued[0], issued[0], issued[1]]);
+    console.log('✓ Same identity twice is not a collision:', repeated.collisions.length === 0 && repeated.unique === 2);
+    console.log('✓ Plain pseudonym lists count duplicates:', tiny.findCollisions(['a', 'b', 'a']).collisions[0].count === 2);
+}
+
+async function testBulkGeneration() {
+    console.log('\n📦 Bulk Generation Scenarios');
+    console.log('============================');
+
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const generator = new ConsentKeysPseudonymGenerator(secretKey);
+    async function* userIds(count) {
+        for (let i = 0; i < count; i++) {
+            // Every 500th ID is invalid and the last 100 repeat earlier ones (one of them invalid)
+            yield i % 500 === 42 ? '   ' : `user${i % (count - 100)}`;
+        }
+    }
+
+    console.log('\n--- Calling Thread ---');
+    const progress = [];
+    const single = await generator.generateBulkPseudonymsAsync(userIds(2100), 'shopping-app', {
+        dataType: 'email',
+        batchSize: 250,
+        onProgress: (stats) => progress.push(stats.processed)
+    });
+    console.log('Stats:', JSON.stringify(single.stats));
+    console.log('✓ Results match generatePseudonym:', [...single.results].every(([userId, pseudonym]) =>
+        pseudonym === generator.generatePseudonym(userId, 'shopping-app', 'email')));
+    console.log('✓ Failures kept apart from results:', single.failures.length === 5 && !single.results.has('   '));
+    console.log('✓ Failures carry index and reason:', single.failures[0].index === 42 &&
+        single.failures[0].reason === 'userId cannot be empty or whitespace only');
+    console.log('✓ Duplicates counted, not failed:', single.stats.duplicates === 99 && single.stats.failed === 5);
+    console.log('✓ Progress reported per batch:', progress.length === 9 && progress[progress.length - 1] === 2100);
+    const fromArray = await generator.generateBulkPseudonymsAsync(['user1', 'user2'], 'shopping-app');
+    console.log('✓ Arrays accepted:', fromArray.results.get('user2') === generator.generatePseudonym('user2', 'shopping-app'));
+
+    console.log('\n--- Worker Threads ---');
+    const rotated = new ConsentKeysPseudonymGenerator({
+        keys: { 1: secretKey, 2: 'another-secret-key-at-least-32-chars-long' },
+        activeVersion: 2,
+        legacyVersion: 1
+    }, { dataTypeOutputFormats: { email: { encoding: 'base32' } } });
+    const threaded = await rotated.generateBulkPseudonymsAsync(userIds(2100), 'shopping-app', {
+        dataType: 'email',
+        batchSize: 250,
+        workers: 2
+    });
+    console.log('✓ Workers match the parent generator:', threaded.results.size === single.results.size &&
+        [...threaded.results].every(([userId, pseudonym]) =>
+            pseudonym === rotated.generatePseudonym(userId, 'shopping-app', 'email')));
+    const localized = new ConsentKeysPseudonymGenerator(secretKey, { locale: 'nl-NL' });
+    const localizedThreaded = await localized.generateBulkPseudonymsAsync(['user1', 'user2'], 'shopping-app', { workers: 1 });
+    console.log('✓ Runtime locale packs do not break workers:',
+        localizedThreaded.results.get('user2') === localized.generatePseudonym('user2', 'shopping-app'));
+    console.log('✓ Worker failures in input order:', threaded.failures.map((f) => f.index).join(',') === '42,542,1042,1542,2042');
+
+    const consentGenerator = new ConsentKeysPseudonymGenerator(secretKey, { consentStore: new ConsentStore() });
+    try {
+        await consentGenerator.generateBulkPseudonymsAsync(['user1'], 'shopping-app', { workers: 1 });
+        console.log('✗ Should have refused workers with a consent store');
+    } catch (e) {
+        console.log('✓ Consent store needs the calling thread:', e.message);
+    }
+    try {
+        await generator.generateBulkPseudonymsAsync(42, 'shopping-app');
+        console.log('✗ Should have rejected a non-iterable source');
+    } catch (e) {
+        console.log('✓ Non-iterable source error:', e.message);
+    }
+}
+
+async function testEmailRelay() {
+    console.log('\n📬 Email Relay Scenarios');
+    console.log('========================');
+
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const consentStore = new ConsentStore();
+    consentStore.grant('user123', 'shopping-app', ['email']);
+    consentStore.grant('user123', 'social-app', ['email']);
+    const generator = new ConsentKeysPseudonymGenerator(secretKey, {
+        consentStore,
+        relayDomain: 'relay.example.com',
+        dataTypeOutputFormats: { email: { encoding: 'base32', prefix: '' } }
+    });
+    const registry = new PseudonymRegistry(generator);
+    const relay = new EmailRelay(generator, { registry });
+
+    console.log('\n--- Relay Domain ---');
+    const shopping = await relay.issueAddress('user123', 'shopping-app');
+    const social = await relay.issueAddress('user123', 'social-app');
+    console.log('Shopping app address:', shopping);
+    console.log('✓ Issued at the relay domain:', shopping.endsWith('@relay.example.com'));
+    console.log('✓ Default domain unchanged:',
+        new ConsentKeysPseudonymGenerator(secretKey).generateFakeEmail('user123', 'shopping-app').endsWith('@consentkeys.local'));
+    console.log('✓ getInfo reports relay domain:', generator.getInfo().relayDomain === 'relay.example.com');
+
+    console.log('\n--- Resolving Inbound Mail ---');
+    console.log('✓ No forwarding target yet:', (await relay.resolve(shopping)).reason === 'no-forwarding-target');
+    relay.registerForwardingTarget('user123', 'jane@example.com');
+    const delivered = await relay.resolve(shopping);
+    console.log('✓ Forwarded to the real address:', delivered.deliver && delivered.to === 'jane@example.com' &&
+        delivered.clientId === 'shopping-app');
+    const [localPart, domain] = shopping.split('@');
+    console.log('✓ Case and plus-tags ignored:',
+        (await relay.resolve(`${localPart.toLowerCase()}+receipts@${domain.toUpperCase()}`)).to === 'jane@example.com');
+    console.log('✓ Other domains refused:', (await relay.resolve(`${localPart}@example.org`)).reason === 'invalid-address');
+    console.log('✓ Forged address refused:', (await relay.resolve(`0000000000000000000000000000@${domain}`)).reason === 'unknown-recipient');
+    const fromRegistry = new EmailRelay(generator, { registry });
+    fromRegistry.registerForwardingTarget('user123', 'jane@example.com');
+    console.log('✓ Addresses resolved through the registry:', (await fromRegistry.resolve(shopping)).deliver);
+
+    console.log('\n--- Per-App Switches ---');
+    relay.blockClient('user123', 'shopping-app');
+    console.log('✓ User block stops one app:', (await relay.resolve(shopping)).reason === 'blocked-by-user');
+    console.log('✓ Other apps still delivered:', (await relay.resolve(social)).deliver);
+    relay.unblockClient('user123', 'shopping-app');
+    console.log('✓ Unblocked app delivered again:', (await relay.resolve(shopping)).deliver);
+    relay.disableClient('social-app');
+    console.log('✓ Disabled app refused:', (await relay.resolve(social)).reason === 'client-disabled');
+    relay.enableClient('social-app');
+
+    consentStore.revoke('user123', 'shopping-app', ['email']);
+    console.log('✓ Revoked consent refused:', (await relay.resolve(shopping)).reason === 'consent-revoked');
+    consentStore.grant('user123', 'shopping-app', ['email']);
+    console.log('✓ Pre-revocation address retired:', (await relay.resolve(shopping)).reason === 'address-retired');
+    const reissued = await relay.issueAddress('user123', 'shopping-app');
+    console.log('✓ New address delivered:', reissued !== shopping && (await relay.resolve(reissued)).deliver);
+
+    console.log('\n--- Key Rotation ---');
+    for (const formats of [{}, { dataTypeOutputFormats: { email: { encoding: 'base32', prefix: '' } } }]) {
+        const rotating = new ConsentKeysPseudonymGenerator(secretKey, { relayDomain: 'relay.example.com', ...formats });
+        const rotatingRelay = new EmailRelay(rotating);
+        rotatingRelay.registerForwardingTarget('user123', 'jane@example.com');
+        const beforeRotation = await rotatingRelay.issueAddress('user123', 'shopping-app');
+        rotating.rotateKey(2, 'rotated-secret-key-at-least-32-chars-long');
+        const afterRotation = await rotatingRelay.issueAddress('user123', 'shopping-app');
+        console.log(`✓ Pre-rotation address still delivered (${formats.dataTypeOutputFormats ? 'base32' : 'default'} format):`,
+            afterRotation !== beforeRotation && (await rotatingRelay.resolve(beforeRotation)).deliver &&
+            (await rotatingRelay.resolve(afterRotation)).deliver);
+        rotating.retireKey(1);
+        console.log('✓ Retired key address refused:', !(await rotatingRelay.resolve(beforeRotation)).deliver);
+    }
+
+    try {
+        relay.registerForwardingTarget('user123', social);
+        console.log('✗ Should have rejected a relay forwarding target');
+    } catch (e) {
+        console.log('✓ Relay loop prevented:', e.message);
+    }
+    try {
+        new ConsentKeysPseudonymGenerator(secretKey, { relayDomain: 'not a domain' });
+        console.log('✗ Should have rejected an invalid relay domain');
+    } catch (e) {
+        console.log('✓ Invalid relay domain:', e.message);
+    }
+}
+
+async function testClientKeys() {
+    console.log('\n🔑 Per-Client Key Scenarios');
+    console.log('===========================');
+
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const master = new ConsentKeysPseudonymGenerator(secretKey, {
+        keyDerivation: 'client',
+        relayDomain: 'relay.example.com',
+        dataTypeOutputFormats: { username: { encoding: 'hex' } }
+    });
+    const clientKey = master.deriveClientKey('shopping-app');
+    const restricted = ConsentKeysPseudonymGenerator.fromClientKey(clientKey);
+    const fields = ['id', 'email', 'displayName', 'address', 'phone', 'birthDate', 'username', 'ipv4', 'ipv6', 'testCard'];
+
+    console.log('\n--- Derivation ---');
+    console.log('Client key:', clientKey.substring(0, 24) + '...');
+    console.log('✓ Client key does not contain the master key:',
+        !clientKey.includes(secretKey) && !Buffer.from(clientKey.substring(10), 'base64url').toString().includes(secretKey));
+    console.log('✓ Derived keys change pseudonyms:',
+        master.generatePseudonym('user123', 'shopping-app') !==
+        new ConsentKeysPseudonymGenerator(secretKey).generatePseudonym('user123', 'shopping-app'));
+    console.log('✓ Derivation is deterministic:', master.deriveClientKey(' shopping-app ') === clientKey);
+    console.log('✓ Apps get different keys:', master.deriveClientKey('social-app') !== clientKey);
+    try {
+        new ConsentKeysPseudonymGenerator(secretKey).deriveClientKey('shopping-app');
+        console.log('✗ Should have required keyDerivation client');
+    } catch (e) {
+        console.log('✓ Client keys need keyDerivation client:', e.message);
+    }
+
+    console.log('\n--- Restricted Generator Matches Master ---');
+    const matches = ['user123', 'user456', 'user789'].every((userId) =>
+        restricted.generatePseudonym(userId, 'shopping-app') === master.generatePseudonym(userId, 'shopping-app') &&
+        restricted.generatePseudonym(userId, 'shopping-app', 'email') === master.generatePseudonym(userId, 'shopping-app', 'email') &&
+        JSON.stringify(restricted.generateFakeProfile(userId, 'shopping-app', { fields })) ===
+            JSON.stringify(master.generateFakeProfile(userId, 'shopping-app', { fields })));
+    console.log('✓ Pseudonyms and every fake profile field match:', matches);
+    console.log('✓ Output formats and relay domain carried over:',
+        restricted.generateFakeUsername('user123', 'shopping-app') === master.generateFakeUsername('user123', 'shopping-app') &&
+        restricted.generateFakeEmail('user123', 'shopping-app').endsWith('@relay.example.com'));
+    console.log('✓ Value hashes match:',
+        restricted.hashValue('4111', 'shopping-app') === master.hashValue('4111', 'shopping-app'));
+    console.log('✓ Format-preserving tokens match:',
+        restricted.generateFormatPreservingPseudonym('555-12-3456', 'shopping-app', 'ssn') ===
+        master.generateFormatPreservingPseudonym('555-12-3456', 'shopping-app', 'ssn'));
+    console.log('✓ Master pseudonyms for the app verify on the restricted generator:',
+        restricted.verifyPseudonym(master.generatePseudonym('user123', 'shopping-app')) &&
+        !restricted.verifyPseudonym(master.generatePseudonym('user123', 'social-app')));
+    const minted = restricted.generatePseudonym('made-up-user', 'shopping-app');
+    console.log('✓ Check tags are per app:', master.verifyPseudonym(minted, 'shopping-app') &&
+        !master.verifyPseudonym(minted, 'social-app') &&
+        !master.verifyPseudonym(master.generatePseudonym('user123', 'social-app'), 'shopping-app'));
+    try {
+        master.verifyPseudonym(minted);
+        console.log('✗ Should have required a clientId to verify');
+    } catch (e) {
+        console.log('✓ Verification needs the clientId:', e.message);
+    }
+    try {
+        ConsentKeysPseudonymGenerator.fromClientKey('ckclient1_' + clientKey.substring(10));
+        console.log('✗ Should have rejected a retired client key');
+    } catch (e) {
+        console.log('✓ Retired client key format rejected:', e.message);
+    }
+    const bulk = await restricted.generateBulkPseudonymsAsync(['user1', 'user2', 'user3'], 'shopping-app', { workers: 1 });
+    console.log('✓ Worker threads rebuild the restricted generator:',
+        bulk.results.get('user2') === master.generatePseudonym('user2', 'shopping-app'));
+    console.log('✓ getInfo reports the scope:',
+        restricted.getInfo().clientScope === 'shopping-app' && master.getInfo().keyDerivation === 'client');
+
+    console.log('\n--- Other Apps Refused ---');
+    const refused = [
+        () => restricted.generatePseudonym('user123', 'social-app'),
+        () => restricted.generateFakeEmail('user123', 'social-app'),
+        () => restricted.generateFakeProfile('user123', 'social-app'),
+        () => restricted.hashValue('4111', 'social-app'),
+        () => restricted.generateFormatPreservingPseudonym('555-12-3456', 'social-app', 'ssn'),
+        () => restricted.deriveClientKey('social-app'),
+        () => restricted.rotateKey(2, 'another-secret-key-at-least-32-chars-long')
+    ].every((attempt) => {
+        try {
+            attempt();
+            return false;
+        } catch (e) {
+            return true;
+        }
+    });
+    console.log('✓ Other clientIds, derivation and rotation refused:', refused);
+    try {
+        ConsentKeysPseudonymGenerator.fromClientKey(clientKey, { reidentificationKey: 'reid-secret-key-at-least-32-chars-long' });
+        console.log('✗ Should have refused a re-identification key');
+    } catch (e) {
+        console.log('✓ Re-identification key refused:', e.message);
+    }
+    try {
+        ConsentKeysPseudonymGenerator.fromClientKey(clientKey.slice(0, -8));
+        console.log('✗ Should have rejected a truncated client key');
+    } catch (e) {
+        console.log('✓ Truncated client key rejected:', e.message);
+    }
+
+    console.log('\n--- Key Rotation ---');
+    const keyring = new ConsentKeysPseudonymGenerator({
+        keys: { 1: secretKey, 2: 'rotated-secret-key-at-least-32-chars-long' },
+        activeVersion: 2,
+        legacyVersion: 1
+    }, { keyDerivation: 'client' });
+    const legacy = keyring.generatePseudonymWithKey('user123', 'shopping-app', 'default', 1);
+    const rotated = ConsentKeysPseudonymGenerator.fromClientKey(keyring.deriveClientKey('shopping-app'));
+    console.log('✓ Active version matches:',
+        rotated.generatePseudonym('user123', 'shopping-app') === keyring.generatePseudonym('user123', 'shopping-app'));
+    console.log('✓ Older versions verify and migrate:', rotated.verifyPseudonym(legacy) &&
+        rotated.migratePseudonym(legacy, 'user123', 'shopping-app') === keyring.generatePseudonym('user123', 'shopping-app'));
+}
+
+async function testAuditLog() {
+    console.log('\n🧾 Audit Log Scenarios');
+    console.log('======================');
+
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const auditKey = 'audit-secret-key-at-least-32-chars-long';
+    const auditLog = new AuditLog({ key: auditKey });
+    const generator = new ConsentKeysPseudonymGenerator(secretKey, {
+        auditLog,
+        reidentificationKey: 'reid-secret-key-at-least-32-chars-long'
+    });
+
+    console.log('\n--- Recorded Operations ---');
+    const pseudonym = generator.generatePseudonym('user123', 'shopping-app', 'id');
+    generator.generateFakeProfile('user123', 'analytics-app', { fields: ['email', 'displayName', 'phone'] });
+    generator.generateBulkPseudonyms(['user1', 'user2', ''], 'shopping-app');
+    await generator.generateBulkPseudonymsAsync(['user1', 'user2', 'user3'], 'shopping-app', { dataType: 'email' });
+    generator.verifyPseudonym(pseudonym);
+    const reversible = generator.generateReversiblePseudonym('user123', 'support-app');
+    generator.reidentify(reversible, { reason: 'Fraud investigation #42', actor: 'alice@example.com' });
+    try {
+        generator.generatePseudonym('', 'shopping-app');
+    } catch (e) {
+        // Failed operations disclose nothing and are not recorded
+    }
+
+    const entries = await auditLog.query();
+    console.log('Operations:', entries.map((entry) => entry.operation).join(', '));
+    console.log('✓ One entry per outermost operation:', JSON.stringify(entries.map((entry) => entry.operation)) === JSON.stringify([
+        'generatePseudonym', 'generateFakeProfile', 'generateBulkPseudonyms', 'generateBulkPseudonymsAsync',
+        'verifyPseudonym', 'generatePseudonym', 'reidentify'
+    ]));
+    const [issued, profile, bulk, asyncBulk, verified, , reidentified] = entries;
+    console.log('✓ Entry records clientId, dataType and timestamp:', issued.clientId === 'shopping-app' &&
+        issued.dataType === 'id' && !Number.isNaN(Date.parse(issued.timestamp)));
+    console.log('✓ User is referenced by a keyed hash:', issued.userRef === auditLog.userReference('user123') &&
+        !JSON.stringify(entries).includes('user123'));
+    console.log('✓ Profile lists the disclosed fields:', profile.dataType === 'profile' &&
+        JSON.stringify(profile.fields) === JSON.stringify(['email', 'displayName', 'phone']));
+    console.log('✓ Bulk runs record their count:', bulk.count === 2 && bulk.userRef === null &&
+        asyncBulk.count === 3 && asyncBulk.dataType === 'email');
+    console.log('✓ Verification outcome recorded:', verified.valid === true);
+    console.log('✓ Re-identification records actor and reason:', reidentified.actor === 'alice@example.com' &&
+        reidentified.reason === 'Fraud investigation #42' && reidentified.clientId === 'support-app');
+    console.log('✓ Successful operations record their outcome:', entries.every((entry) => entry.outcome === 'success'));
+    const forUser = await auditLog.query({ userId: 'user123' });
+    console.log('✓ Entries found by userId:', forUser.length === 4);
+
+    console.log('\n--- Refused Re-identification ---');
+    const attempts = [
+        () => generator.reidentify(reversible, { actor: 'mallory@example.com' }),
+        () => generator.reidentify(pseudonym, { reason: 'Curiosity', actor: 'mallory@example.com' }),
+        () => new ConsentKeysPseudonymGenerator(secretKey, {
+            auditLog,
+            reidentificationKey: 'wrong-reid-secret-key-at-least-32-chars'
+        }).reidentify(reversible, { reason: 'Fraud investigation #43', actor: 'mallory@example.com' })
+    ];
+    for (const attempt of attempts) {
+        try {
+            attempt();
+            console.log('✗ Should have refused the re-identification attempt');
+        } catch (e) {
+            // Recorded below
+        }
+    }
+    const refusedAttempts = await auditLog.query({ operation: 'reidentify' });
+    const failures = refusedAttempts.filter((entry) => entry.outcome === 'failure');
+    console.log('Refusals:', failures.map((entry) => entry.error).join(' | '));
+    console.log('✓ Every refused attempt recorded:', failures.length === 3 &&
+        failures.every((entry) => entry.actor === 'mallory@example.com' && entry.userRef === null));
+    console.log('✓ Refusal reasons recorded:', failures[0].error === 'reason is required for re-identification' &&
+        failures[0].reason === null && failures[1].reason === 'Curiosity');
+    const cardToken = generator.generateFormatPreservingPseudonym('4111111111111111', 'shopping-app', 'card', { reversible: true });
+    const reversals = [
+        () => generator.reverseFormatPreservingPseudonym(cardToken, 'shopping-app', 'card', { actor: 'mallory@example.com' }),
+        () => new ConsentKeysPseudonymGenerator(secretKey, { auditLog }).reverseFormatPreservingPseudonym(cardToken,
+            'shopping-app', 'card', { reason: 'Chargeback #7', actor: 'mallory@example.com' })
+    ];
+    for (const reversal of reversals) {
+        try {
+            reversal();
+            console.log('✗ Should have refused the format-preserving reversal');
+        } catch (e) {
+            // Recorded below
+        }
+    }
+    const refusedReversals = (await auditLog.query({ operation: 'reverseFormatPreservingPseudonym' }))
+        .filter((entry) => entry.outcome === 'failure');
+    console.log('✓ Refused format-preserving reversals recorded:', refusedReversals.length === 2 &&
+        refusedReversals.every((entry) => entry.actor === 'mallory@example.com' && entry.clientId === 'shopping-app') &&
+        refusedReversals[0].error === 'reason is required for re-identification' && refusedReversals[0].reason === null &&
+        refusedReversals[1].error === 'Re-identification key is not loaded' && refusedReversals[1].reason === 'Chargeback #7');
+    console.log('✓ Audit key not kept on the log:', !JSON.stringify(auditLog).includes(auditKey) &&
+        !Object.values(auditLog).includes(auditKey) && auditLog.key === undefined);
+
+    console.log('\n--- Internal Decoding ---');
+    try {
+        generator.decodeReversiblePseudonym(reversible);
+        console.log('✗ Should have refused decoding without reason and actor');
+    } catch (e) {
+        console.log('✓ Decoding needs reason and actor:', e.message === 'reason is required for re-identification');
+    }
+    const decoded = generator.decodeReversiblePseudonym(reversible, { reason: 'Consented translation', actor: 'support-app' });
+    const decodes = await auditLog.query({ operation: 'decodeReversiblePseudonym' });
+    console.log('✓ Decoding audited like re-identification:', decoded.userId === 'user123' && decodes.length === 2 &&
+        decodes[0].outcome === 'failure' && decodes[0].actor === null &&
+        decodes[1].outcome === 'success' && decodes[1].actor === 'support-app' &&
+        decodes[1].reason === 'Consented translation' && decodes[1].userRef === auditLog.userReference('user123'));
+
+    console.log('\n--- Chain Verification ---');
+    const result = await auditLog.verify();
+    const allEntries = await auditLog.query();
+    console.log('✓ Untouched log verifies:', result.valid && result.count === allEntries.length &&
+        result.head.hash === allEntries[allEntries.length - 1].hash);
+    const edited = entries.map((entry) => ({ ...entry }));
+    edited[1].clientId = 'other-app';
+    console.log('✓ Edited entry detected:', verifyAuditChain(edited, auditKey).index === 1);
+    console.log('✓ Deleted entry detected:', verifyAuditChain(entries.filter((entry, i) => i !== 3), auditKey).index === 3);
+    console.log('✓ Reordered entries detected:', !verifyAuditChain([entries[1], entries[0], ...entries.slice(2)], auditKey).valid);
+    console.log('✓ Wrong key detected:', !verifyAuditChain(entries, 'another-audit-key-at-least-32-chars').valid);
+
+    console.log('\n--- Append-Only File Sink ---');
+    const filePath = path.join(os.tmpdir(), `pseudonym-audit-${process.pid}.log`);
+    try {
+        const sink = new FileAuditSink(filePath);
+        const fileGenerator = new ConsentKeysPseudonymGenerator(secretKey, { auditLog: new AuditLog({ key: auditKey, sink }) });
+        fileGenerator.generateFakeEmail('user123', 'shopping-app');
+        fileGenerator.generateFakeAddress('user456', 'shopping-app');
+        sink.close();
+
+        // A restarted process continues the same chain
+        const reopened = new AuditLog({ key: auditKey, sink: new FileAuditSink(filePath) });
+        new ConsentKeysPseudonymGenerator(secretKey, { auditLog: reopened }).generateFakeUsername('user123', 'shopping-app');
+        reopened.sink.close();
+        const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+        console.log('✓ One JSON line per entry:', lines.length === 3 && JSON.parse(lines[2]).seq === 2);
+        console.log('✓ Chain continues across restarts:', (await reopened.verify()).valid);
+        console.log('✓ File is private:', (fs.statSync(filePath).mode & 0o777) === 0o600);
+
+        fs.writeFileSync(filePath, lines.filter((line, i) => i !== 1).join('\n') + '\n');
+        console.log('✓ Line removed from the file detected:', !(await reopened.verify()).valid);
+    } finally {
+        fs.rmSync(filePath, { force: true });
+    }
+
+    try {
+        new AuditLog({ key: 'too-short' });
+        console.log('✗ Should have rejected a short audit key');
+    } catch (e) {
+        console.log('✓ Short audit key rejected:', e.message);
+    }
+}
+
+async function testKeyManagement() {
+    console.log('\n🗝️  Key Management Scenarios');
+    console.log('============================');
+
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const expected = new ConsentKeysPseudonymGenerator(secretKey).generatePseudonym('user123', 'shopping-app');
+
+    console.log('\n--- Entropy Checks ---');
+    const randomKey = crypto.randomBytes(32).toString('base64url');
+    console.log('Estimated entropy of a random key:', estimateKeyEntropy(randomKey), 'bits');
+    console.log('✓ Random keys pass:', estimateKeyEntropy(randomKey) >= 128 &&
+        estimateKeyEntropy(crypto.randomBytes(16).toString('hex')) >= 80);
+    for (const weakKey of ['a'.repeat(32), 'ab'.repeat(16), 'abcdefghijklmnopqrstuvwxyz0123456789', 'password'.repeat(4)]) {
+        try {
+            new ConsentKeysPseudonymGenerator(weakKey);
+            console.log('✗ Should have rejected weak key', weakKey);
+        } catch (e) {
+            console.log('✓ Weak key rejected:', e.message);
+        }
+    }
+    try {
+        new ConsentKeysPseudonymGenerator({ keys: { 1: secretKey, 2: 'x'.repeat(40) } });
+        console.log('✗ Should have rejected a weak keyring key');
+    } catch (e) {
+        console.log('✓ Weak keyring key rejected:', e.message);
+    }
+
+    console.log('\n--- Key Storage ---');
+    const generator = new ConsentKeysPseudonymGenerator(secretKey, { reidentificationKey: 'reid-secret-key-at-least-32-chars-long' });
+    console.log('✓ Keys held as KeyObjects:', generator.secretKey instanceof crypto.KeyObject &&
+        generator.reidentificationKey instanceof crypto.KeyObject);
+    console.log('✓ Keys are not enumerable:', ['keys', 'secretKey', 'reidentificationKey', 'preparedKeys']
+        .every((name) => !Object.keys(generator).includes(name)));
+    console.log('✓ Keys never serialized:', !JSON.stringify(generator).includes(secretKey) &&
+        !JSON.stringify({ ...generator }).includes('super-secret'));
+    console.log('✓ String, Buffer and KeyObject keys agree:',
+        new ConsentKeysPseudonymGenerator(Buffer.from(secretKey)).generatePseudonym('user123', 'shopping-app') === expected &&
+        new ConsentKeysPseudonymGenerator(crypto.createSecretKey(Buffer.from(secretKey))).generatePseudonym('user123', 'shopping-app') === expected);
+
+    console.log('\n--- Environment and Key Files ---');
+    const fromEnv = loadKeyFromEnv('APP_PSEUDONYM_KEY', { APP_PSEUDONYM_KEY: secretKey });
+    console.log('✓ Key loaded from the environment:',
+        new ConsentKeysPseudonymGenerator(fromEnv).generatePseudonym('user123', 'shopping-app') === expected);
+    try {
+        loadKeyFromEnv('APP_PSEUDONYM_KEY', {});
+        console.log('✗ Should have required the variable');
+    } catch (e) {
+        console.log('✓ Missing variable rejected:', e.message);
+    }
+    const keyPath = path.join(os.tmpdir(), `pseudonym-key-${process.pid}.key`);
+    try {
+        fs.writeFileSync(keyPath, `${secretKey}\n`, { mode: 0o600 });
+        console.log('✓ Key loaded from a private file:',
+            new ConsentKeysPseudonymGenerator(loadKeyFromFile(keyPath)).generatePseudonym('user123', 'shopping-app') === expected);
+        fs.chmodSync(keyPath, 0o644);
+        try {
+            loadKeyFromFile(keyPath);
+            console.log('✗ Should have rejected a world-readable key file');
+        } catch (e) {
+            console.log('✓ World-readable key file rejected:', e.message);
+        }
+    } finally {
+        fs.rmSync(keyPath, { force: true });
+    }
+
+    console.log('\n--- Passphrases ---');
+    const passphrase = 'correct horse battery staple on a sunny tuesday';
+    const { key, params } = await deriveKeyFromPassphrase(passphrase, { N: 2 ** 14 });
+    console.log('Stored parameters:', JSON.stringify({ ...params, salt: '...' }));
+    const again = await deriveKeyFromPassphrase(passphrase, JSON.parse(JSON.stringify(params)));
+    console.log('✓ Stored parameters derive the same key:', key.equals(again.key) &&
+        new ConsentKeysPseudonymGenerator(again.key).generatePseudonym('user123', 'shopping-app') ===
+        new ConsentKeysPseudonymGenerator(key).generatePseudonym('user123', 'shopping-app'));
+    console.log('✓ A fresh salt derives a different key:', !key.equals((await deriveKeyFromPassphrase(passphrase, { N: 2 ** 14 })).key));
+    try {
+        await deriveKeyFromPassphrase('aaaaaaaaaaaaaaaaaaaa');
+        console.log('✗ Should have rejected a weak passphrase');
+    } catch (e) {
+        console.log('✓ Weak passphrase rejected:', e.message);
+    }
+}
+
+async function testNormalizers() {
+    console.log('\n🧹 Identifier Normalizer Scenarios');
+    console.log('=================================');
+
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const plain = new ConsentKeysPseudonymGenerator(secretKey);
+    const generator = new ConsentKeysPseudonymGenerator(secretKey, {
+        normalizers: {
+            email: { name: 'email', stripPlusTags: true },
+            phone: { name: 'e164', defaultCountryCode: '44' },
+            name: 'unicode',
+            account: function stripLeadingZeros(value) { return value.replace(/^0+/, ''); }
+        }
+    });
+
+    console.log('\n--- Email ---');
+    const email = generator.generatePseudonym('jane.doe@example.com', 'shopping-app', 'email');
+    console.log('✓ Case and plus tags folded:', ['Jane.Doe@Example.COM', 'jane.doe+news@example.com', ' JANE.DOE+x@EXAMPLE.com ']
+        .every((userId) => generator.generatePseudonym(userId, 'shopping-app', 'email') === email));
+    console.log('✓ Canonical input matches an unnormalized generator:', email === plain.generatePseudonym('jane.doe@example.com', 'shopping-app', 'email'));
+    console.log('✓ Other addresses still differ:', generator.generatePseudonym('john.doe@example.com', 'shopping-app', 'email') !== email);
+    try {
+        generator.generatePseudonym('not-an-email', 'shopping-app', 'email');
+        console.log('✗ Should have rejected an invalid email');
+    } catch (e) {
+        console.log('✓ Invalid email rejected:', e.message);
+    }
+
+    console.log('\n--- Phone ---');
+    const phone = generator.generatePseudonym('+447700900123', 'shopping-app', 'phone');
+    console.log('✓ E.164 spellings agree:', ['+44 7700 900123', '0044 7700 900123', '07700 900123', '(07700) 900-123']
+        .every((userId) => generator.generatePseudonym(userId, 'shopping-app', 'phone') === phone));
+    try {
+        generator.generatePseudonym('call me maybe', 'shopping-app', 'phone');
+        console.log('✗ Should have rejected an invalid phone number');
+    } catch (e) {
+        console.log('✓ Invalid phone number rejected:', e.message);
+    }
+
+    console.log('\n--- Unicode and Custom ---');
+    const name = generator.generatePseudonym('zoë müller', 'shopping-app', 'name');
+    console.log('✓ NFC, case and whitespace folded:', generator.generatePseudonym('Zoë  MÜLLER', 'shopping-app', 'name') === name);
+    console.log('✓ Custom normalizer applied:', generator.generatePseudonym('000123', 'shopping-app', 'account') ===
+        generator.generatePseudonym('123', 'shopping-app', 'account'));
+    console.log('✓ DataTypes without a normalizer unchanged:', generator.generatePseudonym('User123', 'shopping-app') ===
+        plain.generatePseudonym('User123', 'shopping-app') &&
+        generator.generatePseudonym('User123', 'shopping-app') !== generator.generatePseudonym('user123', 'shopping-app'));
+    const wildcard = new ConsentKeysPseudonymGenerator(secretKey, { normalizers: { '*': 'email' } });
+    console.log('✓ Wildcard normalizer covers fake data:', wildcard.generateFakeEmail('Jane@Example.com', 'shopping-app') ===
+        wildcard.generateFakeEmail('jane@example.com', 'shopping-app'));
+    try {
+        new ConsentKeysPseudonymGenerator(secretKey, { normalizers: { email: 'soundex' } });
+        console.log('✗ Should have rejected an unknown normalizer');
+    } catch (e) {
+        console.log('✓ Unknown normalizer rejected:', e.message);
+    }
+
+    console.log('\n--- Consent ---');
+    const consentStore = new ConsentStore();
+    const consenting = new ConsentKeysPseudonymGenerator(secretKey, { consentStore, normalizers: { '*': 'email' } });
+    const rawId = '  User@Example.com ';
+    consentStore.grant(rawId, 'shopping-app', ['id', 'email']);
+    const beforeRevocation = consenting.generatePseudonym(rawId, 'shopping-app');
+    consentStore.revoke(rawId, 'shopping-app', ['email']);
+    console.log('✓ Revocation rotates normalized pseudonyms:', consenting.generatePseudonym(rawId, 'shopping-app') !== beforeRevocation);
+    console.log('✓ Consent checked under the same identifier:', consenting.isConsented(rawId, 'shopping-app', 'id') &&
+        !consenting.isConsented(rawId, 'shopping-app', 'email'));
+
+    console.log('\n--- Reporting and Propagation ---');
+    const info = generator.getInfo().normalizers;
+    console.log('Normalizers:', JSON.stringify(info));
+    console.log('✓ Normalizers reported in getInfo:', info.email.name === 'email' && info.email.stripPlusTags === true &&
+        info.phone.defaultCountryCode === '44' && info.account.custom === true && info.account.name === 'stripLeadingZeros');
+
+    const master = new ConsentKeysPseudonymGenerator(secretKey, { keyDerivation: 'client', normalizers: { email: 'email' } });
+    const restricted = ConsentKeysPseudonymGenerator.fromClientKey(master.deriveClientKey('shopping-app'));
+    try {
+        new ConsentKeysPseudonymGenerator(secretKey, { keyDerivation: 'client', normalizers: { account: (value) => value.trim() } })
+            .deriveClientKey('shopping-app');
+        console.log('✗ Should have refused a client key with custom normalizers');
+    } catch (e) {
+        console.log('✓ Custom normalizers kept out of client keys:', e.message);
+    }
+    console.log('✓ Client keys carry normalizers:', restricted.generatePseudonym('JANE@example.com', 'shopping-app', 'email') ===
+        master.generatePseudonym('jane@example.com', 'shopping-app', 'email'));
+
+    const builtIn = new ConsentKeysPseudonymGenerator(secretKey, { normalizers: { email: 'email' } });
+    const threaded = await builtIn.generateBulkPseudonymsAsync(['A@Example.com', 'b@example.com'], 'shopping-app', {
+        dataType: 'email',
+        workers: 1
+    });
+    console.log('✓ Workers apply built-in normalizers:', threaded.results.get('A@Example.com') ===
+        builtIn.generatePseudonym('a@example.com', 'shopping-app', 'email'));
+    try {
+        await generator.generateBulkPseudonymsAsync(['user1'], 'shopping-app', { workers: 1 });
+        console.log('✗ Should have refused custom normalizers in workers');
+    } catch (e) {
+        console.log('✓ Custom normalizers kept out of workers:', e.message);
+    }
+}
+
+async function testStreaming() {
+    console.log('\n🌊 Streaming Pipeline Scenarios');
+    console.log('===============================');
+
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const generator = new ConsentKeysPseudonymGenerator(secretKey);
+    const collect = async (input, options, chunkSize = input.length) => {
+        const chunks = [];
+        for (let i = 0; i < input.length; i += chunkSize) {
+            chunks.push(Buffer.from(input.substring(i, i + chunkSize)));
+        }
+        const stream = createPseudonymizeStream(generator, options);
+        const rowErrors = [];
+        stream.on('rowError', (rowError) => rowErrors.push(rowError));
+        let output = '';
+        for await (const chunk of Readable.from(chunks).pipe(stream)) {
+            output += chunk;
+        }
+        return { output, rowErrors, stats: stream.stats };
+    };
+
+    console.log('\n--- CSV ---');
+    const csv = 'user_id,email,note\r\n' +
+        'user123,jane@example.com,"hello, ""world"""\r\n' +
+        'bad,row\r\n' +
+        'user456,,"multi\r\nline"\r\n';
+    const csvOptions = { clientId: 'shopping-app', columns: ['user_id', 'email'] };
+    const csvResult = await collect(csv, csvOptions);
+    const csvLines = csvResult.output.split('\r\n');
+    console.log('✓ Header preserved:', csvLines[0] === 'user_id,email,note');
+    console.log('✓ Column pseudonymized:', csvLines[1].startsWith(generator.generatePseudonym('user123', 'shopping-app') + ','));
+    console.log('✓ Quoted fields round-trip:', csvLines[1].endsWith(',"hello, ""world"""'));
+    console.log('✓ Empty cells stay empty:', csvResult.output.includes(',,"multi\r\nline"'));
+    console.log('✓ Bad row skipped and reported:',
+        csvResult.stats.errors === 1 && csvResult.rowErrors.length === 1 && !csvResult.output.includes('bad,row'));
+    const byteByByte = await collect(csv, csvOptions, 1);
+    console.log('✓ Chunk boundaries do not matter:', byteByByte.output === csvResult.output);
+    const dotted = await collect('user.email,name\nalice@example.com,Alice\n', { clientId: 'shopping-app', columns: ['user.email'] });
+    console.log('✓ Dotted CSV header is a literal column:', dotted.stats.errors === 0 &&
+        dotted.output === `user.email,name\n${generator.generatePseudonym('alice@example.com', 'shopping-app')},Alice\n`);
+
+    console.log('\n--- NDJSON ---');
+    const ndjson = '{"user":{"id":"user123"},"total":5}\n{not json\n\n{"user":{"id":"user456"}}';
+    const ndjsonResult = await collect(ndjson, { clientId: 'shopping-app', format: 'ndjson', columns: ['user.id'] }, 7);
+    const ndjsonLines = ndjsonResult.output.trim().split('\n').map((line) => JSON.parse(line));
+    console.log('✓ NDJSON records pseudonymized:',
+        ndjsonLines.length === 2 && ndjsonLines[0].user.id === generator.generatePseudonym('user123', 'shopping-app'));
+    console.log('✓ Other NDJSON fields kept:', ndjsonLines[0].total === 5);
+    console.log('✓ Invalid JSON skipped:', ndjsonResult.stats.errors === 1);
+    const flatKey = await collect('{"user.id":"user123"}\n', { clientId: 'shopping-app', format: 'ndjson', columns: ['user.id'] });
+    console.log('✓ Column matching no field reported:', flatKey.stats.errors === 1 &&
+        flatKey.rowErrors[0].error === 'Column user.id matched no field' && !flatKey.output.includes('user123'));
+    const oversized = `{"user":{"id":"user123"},"note":"${'x'.repeat(200)}"}\n{"user":{"id":"user456"}}\n`;
+    for (const chunkSize of [oversized.length, 16]) {
+        const oversizedResult = await collect(oversized,
+            { clientId: 'shopping-app', format: 'ndjson', columns: ['user.id'], maxRecordLength: 100 }, chunkSize);
+        console.log(`✓ Oversized line rejected (${chunkSize === oversized.length ? 'one chunk' : 'split across chunks'}):`,
+            oversizedResult.stats.errors === 1 && oversizedResult.rowErrors[0].error === 'Record exceeds 100 characters' &&
+            oversizedResult.output.trim().split('\n').length === 1 && !oversizedResult.output.includes('xxx'));
+    }
+
+    try {
+        await collect(csv, { ...csvOptions, errorMode: 'fail' });
+        console.log('✗ Strict mode should have failed');
+    } catch (e) {
+        console.log('✓ Strict mode stops on bad row:', e.message);
+    }
+
+    console.log('\n--- Command Line ---');
+    const cli = path.join(__dirname, 'bin', 'pseudonym.js');
+    const inputPath = path.join(os.tmpdir(), `pseudonym-cli-${process.pid}.csv`);
+    const keyPath = path.join(os.tmpdir(), `pseudonym-cli-${process.pid}.key`);
+    const args = ['transform', '--client', 'shopping-app', '--columns', 'user_id,email'];
+    try {
+        fs.writeFileSync(inputPath, 'user_id,email\nuser123,jane@example.com\n');
+        fs.writeFileSync(keyPath, `${secretKey}\n`, { mode: 0o600 });
+        const fromEnv = spawnSync(process.execPath, [cli, ...args, inputPath], {
+            env: { ...process.env, PSEUDONYM_SECRET_KEY: secretKey },
+            encoding: 'utf8'
+        });
+        const fromFile = spawnSync(process.execPath, [cli, ...args, '--key-file', keyPath, inputPath], {
+            env: { PATH: process.env.PATH },
+            encoding: 'utf8'
+        });
+        const missingKey = spawnSync(process.execPath, [cli, ...args, inputPath], {
+            env: { PATH: process.env.PATH },
+            encoding: 'utf8'
+        });
+        console.log('✓ CLI with key from environment:', fromEnv.status === 0 &&
+            fromEnv.stdout.split('\n')[1].startsWith(generator.generatePseudonym('user123', 'shopping-app')));
+        console.log('✓ CLI with key file:', fromFile.status === 0 && fromFile.stdout === fromEnv.stdout);
+        console.log('✓ CLI without a key fails:', missingKey.status === 1 && missingKey.stderr.includes('No secret key'));
+    } finally {
+        fs.rmSync(inputPath, { force: true });
+        fs.rmSync(keyPath, { force: true });
+    }
+}
+
+async function testService() {
+    console.log('\n🌐 HTTP Service Scenarios');
+    console.log('=========================');
+
+    const secretKey = 'super-secret-key-at-least-32-chars-long';
+    const generator = new ConsentKeysPseudonymGenerator(secretKey);
+    const shopKey = 'shop-api-key-0123456789abcdefghijklmnop';
+    const bankKey = 'bank-api-key-0123456789abcdefghijklmnop';
+    const service = createPseudonymService(generator, {
+        clients: [
+            { clientId: 'shopping-app', apiKey: shopKey },
+            { clientId: 'banking-app', apiKey: bankKey }
+        ],
+        maxBodyBytes: 1024,
+        maxBulkSize: 3,
+        rateLimit: { windowMs: 60 * 1000, max: 20 },
+        authFailureLimit: { windowMs: 60 * 1000, max: 5 }
+    });
+
+    const { port } = await service.listen(0);
+    const responses = [];
+    const call = async (method, pathname, { apiKey = shopKey, body, headers = {} } = {}) => {
+        const response = await fetch(`http://127.0.0.1:${port}${pathname}`, {
+            method,
+            headers: {
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        responses.push(text);
+        return { status: response.status, headers: response.headers, json: JSON.parse(text) };
+    };
+
+    try {
+        console.log('\n--- Endpoints ---');
+        const health = await call('GET', '/healthz', { apiKey: null });
+        const ready = await call('GET', '/readyz', { apiKey: null });
+        console.log('✓ Health and readiness without auth:', health.status === 200 && ready.json.status === 'ready');
+
+        const pseudonym = await call('POST', '/v1/pseudonym', { body: { userId: 'user123', clientId: 'banking-app' } });
+        console.log('✓ Pseudonym uses the key\'s clientId:',
+            pseudonym.json.pseudonym === generator.generatePseudonym('user123', 'shopping-app'));
+        const bankPseudonym = await call('POST', '/v1/pseudonym', { apiKey: bankKey, body: { userId: 'user123' } });
+        console.log('✓ Different client, different pseudonym:', bankPseudonym.json.pseudonym !== pseudonym.json.pseudonym);
+
+        const bulk = await call('POST', '/v1/pseudonyms/bulk', { body: { userIds: ['a', 'b'], dataType: 'email' } });
+        console.log('✓ Bulk pseudonyms:', bulk.json.pseudonyms.b === generator.generatePseudonym('b', 'shopping-app', 'email'));
+        const tooMany = await call('POST', '/v1/pseudonyms/bulk', { body: { userIds: ['a', 'b', 'c', 'd'] } });
+        console.log('✓ Bulk size limit:', tooMany.status === 400);
+
+        const email = await call('POST', '/v1/fake/email', { body: { userId: 'user123' } });
+        const name = await call('POST', '/v1/fake/name', { body: { userId: 'user123', locale: 'de-DE' } });
+        const address = await call('POST', '/v1/fake/address', { body: { userId: 'user123' } });
+        const profile = await call('POST', '/v1/fake/profile', { body: { userId: 'user123', fields: ['id', 'username'] } });
+        console.log('✓ Fake email:', email.json.email === generator.generateFakeEmail('user123', 'shopping-app'));
+        console.log('✓ Fake name:', name.json.displayName === generator.generateFakeDisplayName('user123', 'shopping-app', { locale: 'de-DE' }));
+        console.log('✓ Fake address:', address.json.address.city === generator.generateFakeAddress('user123', 'shopping-app').city);
+        console.log('✓ Fake profile fields:', Object.keys(profile.json.profile).join(',') === 'id,username');
+
+        const verified = await call('POST', '/v1/verify', { body: { pseudonym: pseudonym.json.pseudonym, userId: 'user123' } });
+        const crossClient = await call('POST', '/v1/verify', { apiKey: bankKey, body: { pseudonym: pseudonym.json.pseudonym, userId: 'user123' } });
+        const tampered = await call('POST', '/v1/verify', { body: { pseudonym: pseudonym.json.pseudonym.slice(0, -1) + 'x' } });
+        console.log('✓ Verify for own client:', verified.json.valid === true);
+        console.log('✓ Verify rejects another client\'s pseudonym:', crossClient.json.valid === false);
+        console.log('✓ Verify rejects tampered pseudonym:', tampered.json.valid === false);
+
+        const info = await call('GET', '/v1/info');
+        console.log('✓ Info reports clientId:', info.json.clientId === 'shopping-app' && info.json.algorithm === 'HMAC-SHA256');
+
+        console.log('\n--- Request Handling ---');
+        const noKey = await call('GET', '/v1/info', { apiKey: null });
+        const wrongKey = await call('GET', '/v1/info', { apiKey: 'not-a-real-key-0123456789abcdefghijklmnop' });
+        console.log('✓ Missing or unknown API key:', noKey.status === 401 && wrongKey.status === 401);
+        const invalidUser = await call('POST', '/v1/pseudonym', { body: { userId: '' } });
+        console.log('✓ Invalid input is a 400:', invalidUser.status === 400, invalidUser.json.error);
+        const badJson = await call('POST', '/v1/pseudonym', { body: '{"userId":' });
+        const wrongType = await call('POST', '/v1/pseudonym', { body: 'userId=1', headers: { 'Content-Type': 'text/plain' } });
+        const tooLarge = await call('POST', '/v1/pseudonym', { body: { userId: 'x'.repeat(2048) } });
+        console.log('✓ Malformed JSON:', badJson.status === 400);
+        console.log('✓ Wrong content type:', wrongType.status === 415);
+        console.log('✓ Body size limit:', tooLarge.status === 413);
+        const notFound = await call('GET', '/v1/unknown');
+        const wrongMethod = await call('GET', '/v1/pseudonym');
+        console.log('✓ Unknown route and wrong method:',
+            notFound.status === 404 && wrongMethod.status === 405 && wrongMethod.headers.get('allow') === 'POST');
+
+        let limited = null;
+        for (let i = 0; i < 20 && !limited; i++) {
+            const response = await call('GET', '/v1/info', { apiKey: bankKey });
+            if (response.status === 429) {
+                limited = response;
+            }
+        }
+        console.log('✓ Rate limit per client:', limited !== null && Number(limited.headers.get('retry-after')) > 0);
+        const otherClient = await call('GET', '/v1/info');
+        console.log('✓ Other clients unaffected:', otherClient.status === 200);
+
+        const guesses = [];
+        for (let i = 0; i < 5; i++) {
+            guesses.push(await call('GET', '/v1/info', { apiKey: `guessed-api-key-${i}-0123456789abcdefghijklmnop` }));
+        }
+        const lockedOut = await call('GET', '/v1/info');
+        console.log('✓ Failed API keys limited per address:',
+            guesses[0].status === 401 && guesses[guesses.length - 1].status === 429 &&
+            lockedOut.status === 429 && Number(lockedOut.headers.get('retry-after')) > 0);
+
+        console.log('✓ Secret never returned:', responses.every((text) => !text.includes(secretKey)));
+    } finally {
+        await service.close();
+    }
+    console.log('✓ Not ready after close:', service.ready === false);
+
+    try {
+        createPseudonymService(generator, { clients: [{ clientId: 'shopping-app', apiKey: 'short' }] });
+        console.log('✗ Should have rejected a short API key');
+    } catch (e) {
+        console.log('✓ Short API key error:', e.message);
+    }
+}
+
+async function testMiddleware() {
+    console.log('\n🧩 Middleware Scenarios');
+    console.log('=======================');
+
+    const generator = new ConsentKeysPseudonymGenerator('super-secret-key-at-least-32-chars-long');
+    const registry = new PseudonymRegistry(generator);
+    const resolveClientId = (req) => req.headers['x-client-id'];
+    const users = { user123: { id: 'user123', email: 'jane@example.com', plan: 'pro' } };
+
+    const pseudonymize = createPseudonymMiddleware(generator, {
+        resolveClientId,
+        fields: {
+            'user.id': 'pseudonymize',
+            'user.email': { action: 'fakeEmail', from: 'user.id' },
+            'friends[]': 'pseudonymize'
+        },
+        registry
+    });
+    const resolveIds = createPseudonymResolverMiddleware(generator, {
+        resolveClientId,
+        fields: ['params.id', 'body.friends[]'],
+        registry
+    });
+
+    // Minimal Connect-style app: run middleware in order, then the route
+    const run = (middleware, req, res, done) => {
+        const [first, ...rest] = middleware;
+        if (!first) {
+            return done();
+        }
+        first(req, res, (error) => {
+            if (error) {
+                res.writeHead(error.status || 500, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: error.message }));
+            }
+            run(rest, req, res, done);
+        });
+    };
+    const server = http.createServer((req, res) => {
+        const [, , id] = req.url.split('/');
+        req.params = { id };
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            req.body = raw ? JSON.parse(raw) : {};
+            run([pseudonymize, resolveIds], req, res, () => {
+                if (req.url === '/text') {
+                    res.setHeader('Content-Type', 'text/plain');
+                    return res.end('user123');
+                }
+                if (req.url === '/broken') {
+                    res.setHeader('Content-Type', 'application/json');
+                    return res.end(JSON.stringify({ user: { id: { internal: 'user123' } } }));
+                }
+                const user = users[req.params.id];
+                res.writeHead(user ? 200 : 404, { 'Content-Type': 'application/json' });
+                res.write(JSON.stringify({ user, friends: req.body.friends }).slice(0, 10));
+                res.end(JSON.stringify({ user, friends: req.body.friends }).slice(10));
+            });
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    const call = async (pathname, clientId, body) => {
+        const response = await fetch(`http://127.0.0.1:${port}${pathname}`, {
+            method: body ? 'POST' : 'GET',
+            headers: clientId ? { 'X-Client-Id': clientId } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, text, json: response.headers.get('content-type').includes('json') ? JSON.parse(text) : null };
+    };
+
+    try {
+        console.log('\n--- Response Rewriting ---');
+        const direct = await call('/users/user123', 'shopping-app');
+        console.log('✓ Handler needs a pseudonym, not the real ID:', direct.status === 404);
+        await registry.issuePseudonym('user123', 'shopping-app');
+        const pseudonym = generator.generatePseudonym('user123', 'shopping-app');
+        const response = await call(`/users/${pseudonym}`, 'shopping-app');
+        console.log('Rewritten response:', response.text);
+        console.log('✓ ID pseudonymized for the caller:', response.json.user.id === pseudonym);
+        console.log('✓ Email replaced with fake email:', response.json.user.email === generator.generateFakeEmail('user123', 'shopping-app'));
+        console.log('✓ Unmapped fields kept:', response.json.user.plan === 'pro');
+        console.log('✓ Real data never sent:', !response.text.includes('user123') && !response.text.includes('jane@example.com'));
+        const text = await call('/text', 'shopping-app');
+        console.log('✓ Non-JSON responses pass through:', text.text === 'user123');
+        const broken = await call('/broken', 'shopping-app');
+        console.log('✓ Unrewritable response fails closed:', broken.status === 500 && !broken.text.includes('user123'));
+
+        console.log('\n--- Request Resolution ---');
+        const fakeEmail = response.json.user.email;
+        const friendPseudonym = await registry.issuePseudonym('user456', 'shopping-app');
+        const withBody = await call(`/users/${fakeEmail}`, 'shopping-app', { friends: [friendPseudonym] });
+        console.log('✓ Recorded fake email resolves back:', withBody.status === 200);
+        console.log('✓ Body pseudonyms resolved, then pseudonymized again on the way out:',
+            withBody.json.friends[0] === friendPseudonym);
+        const otherApp = await call(`/users/${pseudonym}`, 'social-app');
+        console.log('✓ Another app\'s pseudonym is rejected:', otherApp.status === 404 && otherApp.json.error === 'Unknown pseudonym');
+        const unknown = await call('/users/ck_AAAAAAAAAAAAAAAAAAAAAAAA', 'shopping-app');
+        console.log('✓ Unknown pseudonym is rejected:', unknown.status === 404);
+        const anonymous = await call(`/users/${pseudonym}`, null);
+        console.log('✓ Unresolvable clientId is rejected:', anonymous.status === 401);
+
+        const reidentificationKey = 'reidentification-key-at-least-32-chars-long';
+        const reversibleGenerator = new ConsentKeysPseudonymGenerator('super-secret-key-at-least-32-chars-long', {
+            mode: 'reversible', reidentificationKey
+        });
+        const reversibleResolver = createPseudonymResolverMiddleware(reversibleGenerator, {
+            resolveClientId,
+            fields: { 'query.user': 'id' }
+        });
+        const reversible = reversibleGenerator.generatePseudonym('user789', 'shopping-app', 'id');
+        const reversibleReq = { headers: { 'x-client-id': 'shopping-app' }, query: { user: reversible } };
+        let reversibleError;
+        await reversibleResolver(reversibleReq, null, (error) => { reversibleError = error; });
+        console.log('✓ Reversible pseudonym resolved without a registry:', !reversibleError && reversibleReq.query.user === 'user789');
+        const wrongTypeReq = { headers: { 'x-client-id': 'shopping-app' }, query: { user: reversibleGenerator.generatePseudonym('user789', 'shopping-app', 'email') } };
+        await reversibleResolver(wrongTypeReq, null, (error) => { reversibleError = error; });
+        console.log('✓ Wrong dataType rejected:', reversibleError && reversibleError.status === 404);
+
+        const consentStore = new ConsentStore();
+        const consentedGenerator = new ConsentKeysPseudonymGenerator('super-secret-key-at-least-32-chars-long', { consentStore });
+        const consentedRegistry = new PseudonymRegistry(consentedGenerator);
+        const epochResolver = createPseudonymResolverMiddleware(consentedGenerator, {
+            resolveClientId,
+            fields: ['query.user'],
+            registry: consentedRegistry
+        });
+        const resolveQuery = async (user) => {
+            const req = { headers: { 'x-client-id': 'shopping-app' }, query: { user } };
+            let error = null;
+            await epochResolver(req, null, (nextError) => { error = nextError || null; });
+            return error ? null : req.query.user;
+        };
+        consentStore.grant('user321', 'shopping-app', ['email']);
+        const beforeRevocation = await consentedRegistry.issuePseudonym('user321', 'shopping-app');
+        console.log('✓ Current-epoch registry pseudonym resolved:', await resolveQuery(beforeRevocation) === 'user321');
+        consentStore.revoke('user321', 'shopping-app', ['email']);
+        console.log('✓ Registry pseudonym from a revoked epoch rejected:', await resolveQuery(beforeRevocation) === null);
+        const afterRevocation = await consentedRegistry.issuePseudonym('user321', 'shopping-app');
+        console.log('✓ New-epoch registry pseudonym resolved:', await resolveQuery(afterRevocation) === 'user321');
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+    }
+
+    try {
+        createPseudonymResolverMiddleware(generator, { resolveClientId, fields: ['params.id'] });
+        console.log('✗ Should have required a registry or reversible mode');
+    } catch (e) {
+        console.log('✓ Resolver without registry or reidentification key:', e.message);
+    }
+}
+
 // Run all tests
 if (require.main === module) {
-    runTestSuite();
-    testSecurityScenarios();
-    testEdgeCaseScenarios();
+    (async () => {
+        runTestSuite();
+        testSecurityScenarios();
+        testEdgeCaseScenarios();
+        testKeyRotation();
+        testReversibleMode();
+        testConsent();
+        testLocales();
+        testFakeFieldTypes();
+        testFakeAvatars();
+        testFormatPreserving();
+        testRecordPseudonymization();
+        testOutputFormats();
+        testAnonymization();
+        await testRegistry();
+        await testTranslation();
+        await testBulkGeneration();
+        await testEmailRelay();
+        await testClientKeys();
+        await testAuditLog();
+        await testKeyManagement();
+        await testNormalizers();
+        await testStreaming();
+        await testService();
+        await testMiddleware();
+    })().catch((error) => {
+        console.error('✗ Test run failed:', error);
+        process.exitCode = 1;
+    });
 }
 
 module.exports = {
     runTestSuite,
     testSecurityScenarios,
-    testEdgeCaseScenarios
+    testEdgeCaseScenarios,
+    testKeyRotation,
+    testReversibleMode,
+    testConsent,
+    testLocales,
+    testFakeFieldTypes,
+    testFakeAvatars,
+    testFormatPreserving,
+    testRecordPseudonymization,
+    testOutputFormats,
+    testAnonymization,
+    testRegistry,
+    testTranslation,
+    testBulkGeneration,
+    testEmailRelay,
+    testClientKeys,
+    testAuditLog,
+    testKeyManagement,
+    testNormalizers,
+    testStreaming,
+    testService,
+    testMiddleware
 };
\ No newline at end of file